@@ -0,0 +1,19 @@
+import crypto from 'node:crypto';
+
+// Constant-time check of a presented token; an unset token never matches.
+export function tokenMatches(provided, token) {
+  const expected = Buffer.from(token || '');
+  const given = Buffer.from(String(provided || ''));
+  return Boolean(token) && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// preHandler for admin/ops routes: requires `Authorization: Bearer <ADMIN_TOKEN>`.
+// With no token configured the routes are closed rather than left open.
+export function requireAdmin(adminToken) {
+  return async function (req, reply) {
+    const header = req.headers.authorization || '';
+    if (!tokenMatches(header.startsWith('Bearer ') ? header.slice(7) : '', adminToken)) {
+      return reply.code(401).send({ error: 'Unauthorized' });
+    }
+  };
+}
@@ -0,0 +1,1670 @@
+import fs from 'node:fs';
+import Fastify from 'fastify';
+import formbody from '@fastify/formbody';
+import websocket from '@fastify/websocket';
+import { twimlConnectStream, twimlDial, twimlEmpty, twimlFallback, twimlHangup, twimlRedirect, twimlReject, twimlSay, twimlVoicemail } from './twiml.js';
+import { registry, toolDefinitions, runToolCall } from './tools.js';
+import { createOutbox, deliveryStatus } from './outbox.js';
+import { requireAdmin, tokenMatches } from './adminAuth.js';
+import { createCallStore } from './callStore.js';
+import { createTwilioClient } from './twilioRest.js';
+import { loadSchedule, scheduleModeAt, nextOpening, afterHoursFor, fillAfterHours } from './schedule.js';
+import { createTenantRegistry } from './tenants.js';
+import { loadFlows, renderFlow, flowVariables } from './flows.js';
+import { createPlaybackTracker } from './playback.js';
+import { createGhlClient, syncCallToCrm } from './ghl.js';
+import { createCallRecorder } from './recorder.js';
+import { createRecordingStore } from './recordings.js';
+import { conversationSummary, partialIntake } from './recovery.js';
+import { buildCallReport, createTextModel } from './callReport.js';
+import { connectSpeech } from './speech.js';
+import { createCallRegistry } from './callRegistry.js';
+import { parseOutboundRequest, contextParams, contextFrom, outcomeForStatus, isMachine } from './outbound.js';
+import { handleSupervisorSocket } from './supervisor.js';
+import { createOrderStatusProvider, lookupForCaller } from './orderStatus.js';
+import { LANGUAGES, languageCode, detectLanguage } from './language.js';
+import { createCallerLists, createAdmission } from './limits.js';
+import { toE164 } from './phone.js';
+import { createSmsStore, smsBody, referenceFor, keywordOf } from './sms.js';
+import { createKeypadEntry, parseGlobalKeys, KEYPAD_FIELDS } from './keypad.js';
+import { loadAppointments, createAppointmentBook, describeBooking } from './appointments.js';
+import {
+  validateTwilioSignature,
+  publicRequestUrl,
+  createStreamToken,
+  verifyStreamToken
+} from './twilioAuth.js';
+
+// Builds the Fastify app from an env-style config object. index.js passes
+// process.env and listens; tests pass their own config with stub URLs.
+export async function buildApp(env = process.env, { logger } = {}) {
+  const app = Fastify({
+    logger: logger ?? { level: env.LOG_LEVEL || 'info' }
+  });
+  await app.register(formbody);
+  await app.register(websocket);
+
+  const VOICE = env.VOICE || 'ember';
+  const OPENAI_API_KEY = env.OPENAI_API_KEY;
+  const OPENAI_REALTIME_MODEL = env.OPENAI_REALTIME_MODEL || 'gpt-realtime';
+  const OPENAI_REALTIME_URL = env.OPENAI_REALTIME_URL || 'wss://api.openai.com/v1/realtime';
+  const GHL_API_BASE_URL = (env.GHL_API_BASE_URL || 'https://services.leadconnectorhq.com').replace(/\/+$/, '');
+  const GHL_PIT_TOKEN = env.GHL_PIT_TOKEN || '';
+  const GHL_LOCATION_ID = env.GHL_LOCATION_ID || '';
+  const GHL_TIMEOUT_MS = Number(env.GHL_TIMEOUT_MS || 8000);
+  const GHL_CACHE_TTL_MS = Number(env.GHL_CACHE_TTL_SECONDS || 300) * 1000;
+  const WEBHOOK_NEW_ORDER = env.WEBHOOK_NEW_ORDER || '';
+  const WEBHOOK_EXISTING_UPDATE = env.WEBHOOK_EXISTING_UPDATE || '';
+  const WEBHOOK_CALL_SUMMARY = env.WEBHOOK_CALL_SUMMARY || '';
+  const OPENAI_API_BASE_URL = env.OPENAI_API_BASE_URL || 'https://api.openai.com/v1';
+  const CALL_SUMMARY_MODEL = env.CALL_SUMMARY_MODEL || 'gpt-4o-mini';
+  const CALL_SUMMARY_TIMEOUT_MS = Number(env.CALL_SUMMARY_TIMEOUT_MS || 20000);
+  const TWILIO_ACCOUNT_SID = env.TWILIO_ACCOUNT_SID || '';
+  const TWILIO_AUTH_TOKEN = env.TWILIO_AUTH_TOKEN || '';
+  const PUBLIC_BASE_URL = env.PUBLIC_BASE_URL || '';
+  const STREAM_TOKEN_SECRET = env.STREAM_TOKEN_SECRET || TWILIO_AUTH_TOKEN;
+  const STREAM_TOKEN_TTL_SECONDS = Number(env.STREAM_TOKEN_TTL_SECONDS || 60);
+  const ADMIN_TOKEN = env.ADMIN_TOKEN || '';
+  const DATA_DIR = env.DATA_DIR || './data';
+  const TRANSCRIPTION_MODEL = env.TRANSCRIPTION_MODEL || 'whisper-1';
+  const DISPATCHER_NUMBERS = (env.DISPATCHER_NUMBERS || '').split(',').map((n) => n.trim()).filter(Boolean);
+  const DISPATCHER_DIAL_TIMEOUT = Number(env.DISPATCHER_DIAL_TIMEOUT || 20);
+  const WEBHOOK_VOICEMAIL = env.WEBHOOK_VOICEMAIL || '';
+  const BARGE_IN_MIN_SPEECH_MS = Number(env.BARGE_IN_MIN_SPEECH_MS ?? 250);
+  const RECORD_CALLS = env.RECORD_CALLS === 'true';
+  const OPENAI_RECONNECT_BUDGET_MS = Number(env.OPENAI_RECONNECT_BUDGET_MS || 8000);
+  const FALLBACK_APOLOGY_URL = env.FALLBACK_APOLOGY_URL || '';
+  const DRAIN_TIMEOUT_MS = Number(env.DRAIN_TIMEOUT_MS || 280000);
+  const DRAIN_REDIRECT_WINDOW_MS = Number(env.DRAIN_REDIRECT_WINDOW_MS || 30000);
+  const PEER_VOICE_URL = env.PEER_VOICE_URL || '';
+  const WEBHOOK_OUTBOUND_OUTCOME = env.WEBHOOK_OUTBOUND_OUTCOME || '';
+  const OUTBOUND_CALLER_ID = env.OUTBOUND_CALLER_ID || '';
+  const OUTBOUND_RING_TIMEOUT = Number(env.OUTBOUND_RING_TIMEOUT || 30);
+  const SUPERVISOR_TOKEN = env.SUPERVISOR_TOKEN || '';
+  const ORDER_STATUS_TIMEOUT_MS = Number(env.ORDER_STATUS_TIMEOUT_MS || 5000);
+  const DEFAULT_LANGUAGE = env.DEFAULT_LANGUAGE || 'en';
+  const SUPPORTED_LANGUAGES = env.LANGUAGES
+    ? env.LANGUAGES.split(',').map((code) => code.trim()).filter(Boolean)
+    : [DEFAULT_LANGUAGE];
+  const MAX_CONCURRENT_CALLS = Number(env.MAX_CONCURRENT_CALLS || 0);
+  const MAX_CALLS_PER_CALLER = Number(env.MAX_CALLS_PER_CALLER || 0);
+  const SMS_MAX_PER_CALL = Number(env.SMS_MAX_PER_CALL || 3);
+  const APPOINTMENTS_MAX_PER_CALL = Number(env.APPOINTMENTS_MAX_PER_CALL || 1);
+  const CALENDAR_TOKEN = env.CALENDAR_TOKEN || '';
+  const schedule = loadSchedule(env.SCHEDULE_PATH);
+  // What a new-caller flow asks for has to fit in submit_new_intake.
+  const intakeFields = Object.keys(registry.find((tool) => tool.name === 'submit_new_intake').parameters.properties);
+  const flows = loadFlows(env.FLOWS_DIR || 'config/flows', {
+    checkFlow: (flow) => (flow.audience === 'new' ? flow.intake : [])
+      .filter((item) => !intakeFields.includes(item.field))
+      .map((item) => `intake field "${item.field}" is not a submit_new_intake parameter`)
+  });
+  const appointmentsConfig = loadAppointments(env.APPOINTMENTS_PATH);
+
+  function requireEnv(value, name) {
+    if (!value) {
+      throw new Error(`Missing required environment variable: ${name}`);
+    }
+  }
+  requireEnv(OPENAI_API_KEY, 'OPENAI_API_KEY');
+  if (!TWILIO_AUTH_TOKEN) {
+    app.log.warn('TWILIO_AUTH_TOKEN not set: Twilio request signatures will NOT be verified');
+  }
+  if (!STREAM_TOKEN_SECRET) {
+    app.log.warn('No STREAM_TOKEN_SECRET or TWILIO_AUTH_TOKEN: media streams will NOT be authenticated');
+  }
+
+  // Env vars are the default tenant; TENANTS_PATH overrides per dialed number.
+  // Webhook URLs are required per tenant, so startup fails here without them.
+  const tenants = createTenantRegistry({
+    filePath: env.TENANTS_PATH,
+    envDefaults: {
+      brand: 'EZ Lumper Services',
+      personaName: 'Mike',
+      voice: VOICE,
+      model: OPENAI_REALTIME_MODEL,
+      temperature: 0.6,
+      // The bridge decides when speech interrupts Mike (see bargeIn), not the server.
+      vad: {
+        type: 'server_vad',
+        threshold: 0.5,
+        prefix_padding_ms: 300,
+        silence_duration_ms: 200,
+        interrupt_response: false
+      },
+      bargeIn: { minSpeechMs: BARGE_IN_MIN_SPEECH_MS },
+      // Which speech provider runs the assistant (see speech.js); the rest is for "cascaded".
+      speech: {
+        provider: env.SPEECH_PROVIDER || 'openai-beta',
+        sttModel: env.SPEECH_STT_MODEL || 'gpt-4o-mini-transcribe',
+        chatModel: env.SPEECH_CHAT_MODEL || 'gpt-4o-mini',
+        ttsModel: env.SPEECH_TTS_MODEL || 'gpt-4o-mini-tts',
+        ttsVoice: env.SPEECH_TTS_VOICE || '',
+        silenceMs: Number(env.SPEECH_SILENCE_MS || 700),
+        speechThreshold: Number(env.SPEECH_THRESHOLD || 0.02),
+        timeoutMs: Number(env.SPEECH_TIMEOUT_MS || 15000)
+      },
+      recordCalls: RECORD_CALLS,
+      ghl: {
+        token: GHL_PIT_TOKEN,
+        locationId: GHL_LOCATION_ID,
+        fieldIds: {
+          loadNumber: env.GHL_FIELD_LOAD_NUMBER || '',
+          reservationNumber: env.GHL_FIELD_RESERVATION_NUMBER || '',
+          language: env.GHL_FIELD_LANGUAGE || ''
+        },
+        pipeline: {
+          id: env.GHL_PIPELINE_ID || '',
+          stages: { newOrder: env.GHL_STAGE_NEW_ORDER || '', existingUpdate: env.GHL_STAGE_EXISTING_UPDATE || '' }
+        },
+        syncCalls: env.GHL_SYNC_CALLS !== 'false'
+      },
+      webhooks: {
+        newOrder: WEBHOOK_NEW_ORDER,
+        existingUpdate: WEBHOOK_EXISTING_UPDATE,
+        voicemail: WEBHOOK_VOICEMAIL,
+        outboundOutcome: WEBHOOK_OUTBOUND_OUTCOME,
+        callSummary: WEBHOOK_CALL_SUMMARY
+      },
+      orderStatus: {
+        provider: env.ORDER_STATUS_PROVIDER || (env.ORDER_STATUS_URL ? 'http' : env.ORDER_STATUS_FILE ? 'file' : ''),
+        url: env.ORDER_STATUS_URL || '',
+        token: env.ORDER_STATUS_TOKEN || '',
+        path: env.ORDER_STATUS_FILE || ''
+      },
+      languages: {
+        default: DEFAULT_LANGUAGE,
+        supported: SUPPORTED_LANGUAGES,
+        menu: env.LANGUAGE_MENU === 'true',
+        detect: env.LANGUAGE_DETECT !== 'false'
+      },
+      sms: {
+        enabled: env.SMS_ENABLED === 'true',
+        from: env.SMS_FROM || '',
+        confirmations: env.SMS_CONFIRMATIONS !== 'false'
+      },
+      keypad: {
+        globalKeys: parseGlobalKeys(env.KEYPAD_GLOBAL_KEYS ?? '0:dispatcher,*:repeat'),
+        digitTimeoutMs: Number(env.KEYPAD_DIGIT_TIMEOUT_MS || 5000),
+        firstDigitTimeoutMs: Number(env.KEYPAD_ENTRY_TIMEOUT_MS || 15000),
+        maxDigits: 20
+      },
+      limits: {
+        maxCallSeconds: Number(env.MAX_CALL_SECONDS ?? 1200),
+        warnSeconds: Number(env.CALL_WARNING_SECONDS ?? 60),
+        silenceSeconds: Number(env.SILENCE_TIMEOUT_SECONDS ?? 30)
+      },
+      // Per-tenant after-hours text and on-call numbers over the schedule's (see schedule.js).
+      afterHours: {},
+      tools: null,
+      dispatcherNumbers: DISPATCHER_NUMBERS,
+      flows: { returning: 'returning-caller', new: 'new-caller' }
+    },
+    checkTenant: (id, tenant) => ['returning', 'new']
+      .filter((audience) => !flows.has(tenant.flows[audience]))
+      .map((audience) => `${id}: flows.${audience} "${tenant.flows[audience]}" is not a known flow`),
+    log: app.log.child({ scope: 'tenants' })
+  });
+
+  const outbox = createOutbox({
+    filePath: env.OUTBOX_PATH || `${DATA_DIR}/outbox.jsonl`,
+    maxAttempts: Number(env.OUTBOX_MAX_ATTEMPTS || 6),
+    retryBaseMs: Number(env.OUTBOX_RETRY_BASE_MS || 2000),
+    timeoutMs: Number(env.OUTBOX_TIMEOUT_MS || 10000),
+    retentionDays: Number(env.OUTBOX_RETENTION_DAYS || 7),
+    log: app.log.child({ scope: 'outbox' })
+  });
+  const callStore = createCallStore({
+    dir: env.CALLS_DIR || `${DATA_DIR}/calls`,
+    log: app.log.child({ scope: 'calls' })
+  });
+  const recordings = createRecordingStore({
+    dir: env.RECORDINGS_DIR || `${DATA_DIR}/recordings`,
+    s3: {
+      bucket: env.RECORDINGS_S3_BUCKET || '',
+      endpoint: env.RECORDINGS_S3_ENDPOINT || 'https://s3.amazonaws.com',
+      region: env.RECORDINGS_S3_REGION || 'auto',
+      accessKeyId: env.RECORDINGS_S3_ACCESS_KEY_ID || '',
+      secretAccessKey: env.RECORDINGS_S3_SECRET_ACCESS_KEY || '',
+      prefix: env.RECORDINGS_S3_PREFIX || ''
+    },
+    retentionDays: Number(env.RECORDING_RETENTION_DAYS || 0),
+    log: app.log.child({ scope: 'recordings' })
+  });
+  const twilio = createTwilioClient({
+    accountSid: TWILIO_ACCOUNT_SID,
+    authToken: TWILIO_AUTH_TOKEN,
+    baseUrl: env.TWILIO_API_BASE_URL || undefined
+  });
+  const callerLists = createCallerLists({
+    filePath: env.CALLER_LISTS_PATH || `${DATA_DIR}/caller-lists.json`,
+    log: app.log.child({ scope: 'limits' })
+  });
+  const admission = createAdmission({ maxCalls: MAX_CONCURRENT_CALLS, maxPerCaller: MAX_CALLS_PER_CALLER });
+  const sms = createSmsStore({
+    filePath: env.SMS_LOG_PATH || `${DATA_DIR}/sms.jsonl`,
+    twilio,
+    log: app.log.child({ scope: 'sms' })
+  });
+  // Dock scheduling is on when APPOINTMENTS_PATH is set (see appointments.js).
+  const appointmentBook = appointmentsConfig && createAppointmentBook({
+    config: appointmentsConfig,
+    filePath: env.APPOINTMENTS_LOG_PATH || `${DATA_DIR}/appointments.jsonl`,
+    log: app.log.child({ scope: 'appointments' })
+  });
+  const reportModel = createTextModel({
+    apiKey: OPENAI_API_KEY,
+    model: CALL_SUMMARY_MODEL,
+    baseUrl: OPENAI_API_BASE_URL,
+    timeoutMs: CALL_SUMMARY_TIMEOUT_MS
+  });
+  const adminOnly = { preHandler: requireAdmin(ADMIN_TOKEN) };
+
+  app.addHook('onReady', async () => {
+    outbox.start();
+    recordings.start();
+  });
+  // Draining (SIGTERM, see index.js): /readyz fails so the proxy stops sending
+  // traffic here, new calls that still arrive are redirected to PEER_VOICE_URL for
+  // DRAIN_REDIRECT_WINDOW_MS, and we wait up to DRAIN_TIMEOUT_MS for live calls.
+  const activeCalls = createCallRegistry();
+  const drainState = { draining: false, since: null, drained: null };
+  let drainPromise = null;
+
+  function drain() {
+    if (drainPromise) return drainPromise;
+    drainState.draining = true;
+    drainState.since = new Date().toISOString();
+    app.log.info({ activeCalls: activeCalls.size }, 'Draining: waiting for active calls to end');
+    drainPromise = activeCalls.waitForIdle(DRAIN_TIMEOUT_MS).then((drained) => {
+      drainState.drained = drained;
+      if (drained) {
+        app.log.info('Drain complete');
+      } else {
+        app.log.warn({ activeCalls: activeCalls.size }, 'Drain timed out with calls still active');
+      }
+      return drained;
+    });
+    return drainPromise;
+  }
+  app.decorate('drain', drain);
+
+  app.addHook('onClose', async () => {
+    outbox.stop();
+    recordings.stop();
+    tenants.close();
+  });
+
+  function validateTwilio(req) {
+    const params = req.body && typeof req.body === 'object' ? req.body : {};
+    if (TWILIO_AUTH_TOKEN) {
+      const signature = req.headers['x-twilio-signature'];
+      const url = publicRequestUrl(req, PUBLIC_BASE_URL);
+      if (!validateTwilioSignature({ authToken: TWILIO_AUTH_TOKEN, signature, url, params })) {
+        req.log.warn({ url, hasSignature: Boolean(signature) }, 'Invalid Twilio signature');
+        return false;
+      }
+    }
+    if (TWILIO_ACCOUNT_SID && params.AccountSid && params.AccountSid !== TWILIO_ACCOUNT_SID) {
+      req.log.warn({ accountSid: params.AccountSid }, 'Unauthorized Twilio account');
+      return false;
+    }
+    return true;
+  }
+
+  // One GHL client per token/location so each keeps its own lookup cache
+  // across calls and tenant reloads.
+  const ghlClients = new Map();
+  function ghlFor(tenant) {
+    const { token, locationId, fieldIds, pipeline } = tenant.ghl;
+    if (!token || !locationId) return null;
+    const key = JSON.stringify([token, locationId, fieldIds, pipeline]);
+    if (!ghlClients.has(key)) {
+      ghlClients.set(key, createGhlClient({
+        token,
+        locationId,
+        fieldIds,
+        pipeline,
+        baseUrl: GHL_API_BASE_URL,
+        timeoutMs: GHL_TIMEOUT_MS,
+        cacheTtlMs: GHL_CACHE_TTL_MS,
+        log: app.log.child({ scope: 'ghl', tenant: tenant.id })
+      }));
+    }
+    return ghlClients.get(key);
+  }
+
+  // Same for order status providers (the file provider caches the parsed file).
+  const orderStatusProviders = new Map();
+  function orderStatusFor(tenant) {
+    const key = JSON.stringify(tenant.orderStatus);
+    if (!orderStatusProviders.has(key)) {
+      orderStatusProviders.set(key, createOrderStatusProvider({ ...tenant.orderStatus, timeoutMs: ORDER_STATUS_TIMEOUT_MS }));
+    }
+    return orderStatusProviders.get(key);
+  }
+
+  // One outcome per outbound call. The outbox key dedupes, so the first report
+  // wins: the customer's answer (tool or keypad), the answering machine, or
+  // Twilio's final call status.
+  async function reportOutboundOutcome({ tenant, callSid, to, flow, context, outcome, notes = '', source }) {
+    const url = tenant.webhooks.outboundOutcome;
+    if (!url) {
+      app.log.warn({ callSid, outcome }, 'No outbound outcome webhook configured');
+      return { success: false, error: 'no_outcome_webhook' };
+    }
+    const delivery = await outbox.send({
+      idempotencyKey: `outbound:${callSid}`,
+      url,
+      payload: { type: 'outbound_outcome', call_sid: callSid, to, flow, outcome, notes, source, context },
+      meta: { callSid, outcome }
+    });
+    return { success: delivery.status === 'delivered', delivery_status: deliveryStatus(delivery) };
+  }
+
+  // Post-call report (see callReport.js) for a tenant with a call summary webhook.
+  // It is saved on the call record too; the outbox key sends it once per call.
+  async function sendCallReport({ tenant, call, log }) {
+    const url = tenant.webhooks.callSummary;
+    if (!url) return;
+    const report = await buildCallReport(call.record, { personaName: tenant.personaName, textModel: reportModel, log });
+    call.setReport(report);
+    await outbox.send({
+      idempotencyKey: `${call.record.callSid}:summary`,
+      url,
+      payload: report,
+      meta: { callSid: call.record.callSid, disposition: report.disposition }
+    });
+    log.info({ callSid: call.record.callSid, disposition: report.disposition, urgent: report.urgent, source: report.source }, 'Call report sent');
+  }
+
+  // Greeting + system instructions for a call: the tenant's returning/new-caller
+  // flow, with the after-hours greeting and note layered on when the office is closed.
+  // `language` picks the flow's translation; `greetingLanguage` is the language the
+  // greeting is written in (English when there's no translation). `menu` adds the
+  // "Para español, oprima el 2" prompts to the greeting.
+  function buildPrompt({ tenant, contact, callerPhone, afterHours, outbound, language = tenant.languages.default, menu = false }) {
+    let prompt;
+    if (outbound) {
+      const { greeting, instructions, voicemail, language: written } = renderFlow(
+        flows.get(outbound.flow),
+        flowVariables(tenant, contact, callerPhone, outbound.context),
+        { language }
+      );
+      prompt = { flow: outbound.flow, greeting, greetingLanguage: written, instructions, voicemail };
+    } else {
+      const flowId = contact.found ? tenant.flows.returning : tenant.flows.new;
+      const flow = flows.get(flowId);
+      const closed = afterHours ? afterHoursFor(schedule, tenant) : null;
+      const nextOpen = afterHours ? nextOpening(schedule) : null;
+      const overrides = afterHours ? { greeting: fillAfterHours(closed.greeting, { nextOpen, tenant }) } : {};
+      let { greeting, instructions, language: written } =
+        renderFlow(flow, flowVariables(tenant, contact, callerPhone), { ...overrides, language });
+      if (afterHours) {
+        instructions += `\nAFTER HOURS: ${fillAfterHours(closed.instructions, { nextOpen, tenant })}\n`;
+      }
+      if (menu) {
+        const others = tenant.languages.supported.filter((code) => code !== language);
+        greeting = [greeting, ...others.map((code) => LANGUAGES[code].menu.prompt)].join(' ');
+      }
+      prompt = { flow: flowId, greeting, greetingLanguage: afterHours ? 'en' : written, instructions };
+    }
+    if (tenant.languages.supported.length > 1) {
+      prompt.instructions += `\n${LANGUAGES[language].directive}\n`;
+    }
+    return { ...prompt, language };
+  }
+
+  // The greeting is said word for word when it's written in the call's language,
+  // and translated on the fly when it isn't.
+  function greetingInstruction({ greeting, greetingLanguage, language }) {
+    const phrases = LANGUAGES[language];
+    return greetingLanguage === language ? phrases.sayExactly(greeting) : phrases.sayTranslated(greeting);
+  }
+
+  app.get('/', async () => ({ ok: true }));
+  app.get('/healthz', async () => ({ ok: true }));
+  app.get('/readyz', async (req, reply) => {
+    if (drainState.draining) reply.code(503);
+    return { ready: !drainState.draining, activeCalls: activeCalls.size };
+  });
+
+  // Live supervisor console: a static page plus the WebSocket it talks to
+  // (protocol in supervisor.js). The page holds no data; the socket needs a token.
+  const supervisorPage = fs.readFileSync(new URL('../public/supervisor.html', import.meta.url));
+  app.get('/supervisor', async (req, reply) => reply.type('text/html').send(supervisorPage));
+  app.get('/supervisor/ws', { websocket: true }, (socket) => {
+    handleSupervisorSocket(socket, {
+      activeCalls,
+      callStore,
+      tokens: [ADMIN_TOKEN, SUPERVISOR_TOKEN].filter(Boolean),
+      log: app.log.child({ scope: 'supervisor' })
+    });
+  });
+
+  app.get('/admin/drain', adminOnly, async () => ({
+    ...drainState,
+    activeCalls: activeCalls.size,
+    calls: activeCalls.list(),
+    drainTimeoutMs: DRAIN_TIMEOUT_MS,
+    redirectWindowMs: DRAIN_REDIRECT_WINDOW_MS,
+    peerVoiceUrl: PEER_VOICE_URL || null
+  }));
+
+  // Failed deliveries are 'dead'; pass ?status=pending|delivered|dead to filter.
+  app.get('/admin/outbox', adminOnly, async (req) => {
+    const status = (req.query && req.query.status) || 'dead';
+    return { deliveries: outbox.list({ status: status === 'all' ? undefined : status }) };
+  });
+
+  app.post('/admin/outbox/:id/replay', adminOnly, async (req, reply) => {
+    const delivery = await outbox.replay(req.params.id);
+    if (!delivery) {
+      reply.code(404);
+      return { error: 'Not found' };
+    }
+    return { delivery };
+  });
+
+  app.post('/admin/outbox/replay', adminOnly, async () => {
+    const replayed = [];
+    for (const dead of outbox.list({ status: 'dead' })) {
+      replayed.push(await outbox.replay(dead.id));
+    }
+    return { deliveries: replayed };
+  });
+
+  // Caller lists: blocked numbers are rejected at /twilio/voice, allowed numbers
+  // skip the concurrency caps. PUT body: { reason? }.
+  app.get('/admin/callers', adminOnly, async () => callerLists.list());
+
+  function callerListParams(req, reply) {
+    const { list, number } = req.params;
+    if (list !== 'blocked' && list !== 'allowed') {
+      reply.code(404);
+      return { error: 'Not found' };
+    }
+    if (!toE164(number)) {
+      reply.code(400);
+      return { error: `"${number}" is not a phone number` };
+    }
+    return null;
+  }
+
+  app.put('/admin/callers/:list/:number', adminOnly, async (req, reply) => {
+    const invalid = callerListParams(req, reply);
+    if (invalid) return invalid;
+    const reason = (req.body && typeof req.body === 'object' && req.body.reason) || '';
+    const entry = callerLists.add(req.params.list, req.params.number, { reason: String(reason) });
+    req.log.info({ list: entry.list, number: entry.number }, 'Caller list updated');
+    return entry;
+  });
+
+  app.delete('/admin/callers/:list/:number', adminOnly, async (req, reply) => {
+    const invalid = callerListParams(req, reply);
+    if (invalid) return invalid;
+    if (!callerLists.remove(req.params.list, req.params.number)) {
+      reply.code(404);
+      return { error: 'Not found' };
+    }
+    req.log.info({ list: req.params.list, number: req.params.number }, 'Caller list entry removed');
+    reply.code(204).send();
+  });
+
+  // Date-only values cover the whole day: ?from=2025-01-01&to=2025-01-31
+  function parseDateParam(value, endOfDay) {
+    if (!value) return null;
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+
+  app.get('/calls', adminOnly, async (req, reply) => {
+    const { caller, from, to } = req.query || {};
+    const fromDate = parseDateParam(from, false);
+    const toDate = parseDateParam(to, true);
+    if (fromDate === undefined || toDate === undefined) {
+      reply.code(400);
+      return { error: 'from/to must be ISO dates' };
+    }
+    return { calls: callStore.list({ caller, from: fromDate, to: toDate }) };
+  });
+
+  app.get('/calls/:callSid', adminOnly, async (req, reply) => {
+    const record = callStore.get(req.params.callSid);
+    if (!record) {
+      reply.code(404);
+      return { error: 'Not found' };
+    }
+    return record;
+  });
+
+  app.get('/calls/:callSid/recording', adminOnly, async (req, reply) => {
+    const wav = await recordings.load(req.params.callSid);
+    if (!wav) {
+      reply.code(404);
+      return { error: 'Not found' };
+    }
+    reply
+      .type('audio/wav')
+      .header('Content-Disposition', `attachment; filename="${req.params.callSid}.wav"`);
+    return wav;
+  });
+
+  // Per-city dock appointment feed. Calendar apps subscribe by URL and can't send
+  // headers, so ?token=CALENDAR_TOKEN works as well as the admin bearer token.
+  app.get('/calendar/:city.ics', async (req, reply) => {
+    const header = req.headers.authorization || '';
+    const token = (req.query && req.query.token) || '';
+    if (!tokenMatches(token, CALENDAR_TOKEN) && !tokenMatches(header.startsWith('Bearer ') ? header.slice(7) : '', ADMIN_TOKEN)) {
+      return reply.code(401).send({ error: 'Unauthorized' });
+    }
+    const ics = appointmentBook && appointmentBook.calendar(req.params.city);
+    if (!ics) {
+      reply.code(404);
+      return { error: 'Not found' };
+    }
+    reply
+      .type('text/calendar; charset=utf-8')
+      .header('Content-Disposition', `inline; filename="${req.params.city}.ics"`);
+    return ics;
+  });
+
+  // Render a flow for a sample contact so prompt changes can be reviewed before a deploy.
+  // Body: { to?, callerPhone?, afterHours?, contact?: { found, firstName, company, email, load_number, reservation_number } }
+  app.post('/flows/preview', adminOnly, async (req, reply) => {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const tenant = tenants.forNumber(body.to);
+    const contact = { found: false, ...(body.contact || {}) };
+    if (body.afterHours && !schedule) {
+      reply.code(400);
+      return { error: 'afterHours preview needs SCHEDULE_PATH' };
+    }
+    // { flow, context } previews an outbound flow (see POST /calls/outbound).
+    const outbound = body.flow ? flows.get(body.flow) : null;
+    if (body.flow && (!outbound || outbound.audience !== 'outbound')) {
+      reply.code(400);
+      return { error: `"${body.flow}" is not an outbound flow` };
+    }
+    return {
+      tenant: tenant.id,
+      ...buildPrompt({
+        tenant,
+        contact,
+        callerPhone: body.callerPhone || '',
+        afterHours: Boolean(body.afterHours),
+        outbound: outbound && { flow: outbound.id, context: body.context || {} },
+        language: languageCode(body.language) || undefined,
+        menu: !outbound && tenant.languages.menu
+      })
+    };
+  });
+
+  app.get('/schedule/now', adminOnly, async () => scheduleModeAt(schedule));
+
+  app.post('/twilio/voice', async (req, reply) => {
+    if (!validateTwilio(req)) {
+      reply.code(403).send('Forbidden');
+      return;
+    }
+    // While draining, send new calls to a peer. `drained=1` marks a call we've
+    // already bounced so two draining instances can't ping-pong it.
+    if (drainState.draining && !(req.query && req.query.drained)) {
+      const inWindow = Date.now() - Date.parse(drainState.since) < DRAIN_REDIRECT_WINDOW_MS;
+      if (PEER_VOICE_URL && inWindow) {
+        const peer = new URL(PEER_VOICE_URL);
+        peer.searchParams.set('drained', '1');
+        req.log.info({ callSid: req.body && req.body.CallSid }, 'Draining: redirecting call to peer');
+        reply.type('text/xml').send(twimlRedirect(peer.toString()));
+        return;
+      }
+      if (!inWindow) {
+        reply.code(503).send('Draining');
+        return;
+      }
+    }
+    const callSid = req.body && req.body.CallSid;
+    const caller = (req.body && req.body.From) || (req.query && req.query.From) || '';
+    const to = (req.body && req.body.To) || '';
+    const listed = callerLists.statusOf(caller);
+    if (listed === 'blocked') {
+      req.log.warn({ callSid, caller, limit: 'blocked' }, 'Rejected call from a blocked number');
+      reply.type('text/xml').send(twimlReject('rejected'));
+      return;
+    }
+    const hours = scheduleModeAt(schedule);
+    if (hours.mode === 'voicemail') {
+      req.log.info({ callSid, reason: hours.reason }, 'After hours: sending call to voicemail');
+      const tenant = tenants.forNumber(to);
+      reply.type('text/xml').send(twimlVoicemail({
+        message: fillAfterHours(afterHoursFor(schedule, tenant).voicemailMessage, { nextOpen: hours.nextOpen, tenant }),
+        recordingStatusCallback: recordingCallbackUrl(req, req.body && req.body.To)
+      }));
+      return;
+    }
+    // Voicemail doesn't hold an OpenAI session, so only streamed calls count.
+    const capped = listed === 'allowed' ? null : admission.admit({ callSid, caller, active: activeCalls.list() });
+    if (capped) {
+      req.log.warn({ callSid, caller, limit: capped, activeCalls: activeCalls.size }, 'Rejected call: concurrency cap reached');
+      reply.type('text/xml').send(twimlReject('busy'));
+      return;
+    }
+    reply.type('text/xml').send(streamTwiml(req, { caller, to, mode: hours.mode }));
+  });
+
+  // <Connect><Stream> back to this app's /twilio-media, with a stream token for the call.
+  function streamTwiml(req, parameters) {
+    const wsUrl = `${publicOrigin(req).replace('http://', 'ws://').replace('https://', 'wss://')}/twilio-media`;
+    const callSid = (req.body && req.body.CallSid) || '';
+    const token = STREAM_TOKEN_SECRET && callSid
+      ? createStreamToken(STREAM_TOKEN_SECRET, callSid, STREAM_TOKEN_TTL_SECONDS)
+      : undefined;
+    return twimlConnectStream(wsUrl, { ...parameters, token });
+  }
+
+  // Body: { to, from?, flow, context?: { first_name, company, load_number, reservation_number, eta, location, details } }
+  app.post('/calls/outbound', adminOnly, async (req, reply) => {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const parsed = parseOutboundRequest(body, { flows, defaultFrom: OUTBOUND_CALLER_ID });
+    if (parsed.errors) {
+      reply.code(400);
+      return { error: 'invalid_request', errors: parsed.errors };
+    }
+    const { to, from, flow, context } = parsed;
+    if (!tenants.forNumber(from).webhooks.outboundOutcome) {
+      reply.code(400);
+      return { error: 'invalid_request', errors: ['no outbound outcome webhook is configured (WEBHOOK_OUTBOUND_OUTCOME)'] };
+    }
+    if (!twilio.configured) {
+      reply.code(503);
+      return { error: 'Twilio REST credentials are not configured' };
+    }
+    // `to` on our URLs is always our number (the tenant), as on inbound calls.
+    const query = new URLSearchParams({ flow: flow.id, to: from, ...contextParams(context) }).toString();
+    const origin = publicOrigin(req);
+    try {
+      const created = await twilio.createCall({
+        To: to,
+        From: from,
+        Url: `${origin}/twilio/outbound?${query}`,
+        Method: 'POST',
+        StatusCallback: `${origin}/twilio/outbound-status?${query}`,
+        StatusCallbackEvent: 'completed',
+        StatusCallbackMethod: 'POST',
+        MachineDetection: 'DetectMessageEnd',
+        Timeout: String(OUTBOUND_RING_TIMEOUT)
+      });
+      req.log.info({ callSid: created.sid, flow: flow.id }, 'Outbound call placed');
+      reply.code(201);
+      return { callSid: created.sid, status: created.status, to, from, flow: flow.id };
+    } catch (err) {
+      req.log.error({ err }, 'Outbound call failed');
+      reply.code(502);
+      return { error: err.message };
+    }
+  });
+
+  // Twilio fetches this once the outbound call is answered (after machine detection).
+  app.post('/twilio/outbound', async (req, reply) => {
+    if (!validateTwilio(req)) {
+      reply.code(403).send('Forbidden');
+      return;
+    }
+    const query = req.query || {};
+    const body = req.body || {};
+    const flow = flows.get(query.flow);
+    if (!flow || flow.audience !== 'outbound') {
+      req.log.error({ callSid: body.CallSid, flow: query.flow }, 'Outbound call for an unknown flow');
+      reply.type('text/xml').send(twimlHangup());
+      return;
+    }
+    const tenant = tenants.forNumber(query.to);
+    const context = contextFrom(query);
+    if (isMachine(body.AnsweredBy)) {
+      const { voicemail, greetingLanguage } = buildPrompt({ tenant, contact: {}, callerPhone: body.To, outbound: { flow: flow.id, context } });
+      req.log.info({ callSid: body.CallSid, answeredBy: body.AnsweredBy }, 'Answering machine: leaving voicemail');
+      reportOutboundOutcome({
+        tenant, callSid: body.CallSid, to: body.To, flow: flow.id, context, outcome: 'voicemail_left', source: 'machine_detection'
+      }).catch((err) => req.log.error({ err }, 'Failed to report outbound outcome'));
+      reply.type('text/xml').send(twimlSay(voicemail, { hangup: true, language: LANGUAGES[greetingLanguage].twilio }));
+      return;
+    }
+    reply.type('text/xml').send(streamTwiml(req, {
+      caller: body.To || '',
+      to: query.to,
+      mode: 'open',
+      direction: 'outbound',
+      flow: flow.id,
+      ...contextParams(context)
+    }));
+  });
+
+  // Final status of an outbound call: covers no-answer/busy/failed, and calls
+  // that ended without an answer from the customer.
+  app.post('/twilio/outbound-status', async (req, reply) => {
+    if (!validateTwilio(req)) {
+      reply.code(403).send('Forbidden');
+      return;
+    }
+    const query = req.query || {};
+    const body = req.body || {};
+    const outcome = outcomeForStatus(body.CallStatus);
+    if (outcome) {
+      await reportOutboundOutcome({
+        tenant: tenants.forNumber(query.to),
+        callSid: body.CallSid,
+        to: body.To,
+        flow: query.flow,
+        context: contextFrom(query),
+        outcome,
+        source: 'call_status'
+      });
+    }
+    reply.code(204).send();
+  });
+
+  function publicOrigin(req) {
+    return new URL(publicRequestUrl(req, PUBLIC_BASE_URL)).origin;
+  }
+
+  // The dialed number rides along so the recording goes to that tenant's webhook.
+  function recordingCallbackUrl(req, to) {
+    return `${publicOrigin(req)}/twilio/recording-status?to=${encodeURIComponent(to || '')}`;
+  }
+
+  // Played to the dispatcher who answers a transfer, before the caller is bridged.
+  app.post('/twilio/whisper', async (req, reply) => {
+    if (!validateTwilio(req)) {
+      reply.code(403).send('Forbidden');
+      return;
+    }
+    const summary = (req.query && req.query.summary) || 'Transfer from the AI receptionist.';
+    reply.type('text/xml').send(twimlSay(summary));
+  });
+
+  // <Dial action>: nobody answered the transfer, so fall back to voicemail.
+  app.post('/twilio/dial-status', async (req, reply) => {
+    if (!validateTwilio(req)) {
+      reply.code(403).send('Forbidden');
+      return;
+    }
+    const status = req.body && req.body.DialCallStatus;
+    if (status === 'completed') {
+      reply.type('text/xml').send(twimlHangup());
+      return;
+    }
+    req.log.info({ callSid: req.body && req.body.CallSid, status }, 'Transfer not answered, sending to voicemail');
+    // `lang` is the call's language, added to the action URL by the media handler.
+    const phrases = LANGUAGES[languageCode(req.query && req.query.lang) || 'en'];
+    reply.type('text/xml').send(twimlVoicemail({
+      message: phrases.lines.noDispatcher,
+      language: phrases.twilio,
+      recordingStatusCallback: recordingCallbackUrl(req, req.body && req.body.To)
+    }));
+  });
+
+  app.post('/twilio/recording-status', async (req, reply) => {
+    if (!validateTwilio(req)) {
+      reply.code(403).send('Forbidden');
+      return;
+    }
+    const body = req.body || {};
+    if (body.RecordingStatus === 'completed') {
+      const tenant = tenants.forNumber(req.query && req.query.to);
+      await outbox.send({
+        idempotencyKey: `recording:${body.RecordingSid}`,
+        url: tenant.webhooks.voicemail || tenant.webhooks.existingUpdate,
+        payload: {
+          type: 'voicemail',
+          call_sid: body.CallSid,
+          recording_sid: body.RecordingSid,
+          recording_url: body.RecordingUrl,
+          recording_duration: Number(body.RecordingDuration || 0)
+        },
+        meta: { callSid: body.CallSid }
+      });
+    }
+    reply.code(204).send();
+  });
+
+  // Texts to our numbers. STOP/START update the opt-out list (Twilio answers
+  // those itself). Every text, keywords included, goes to the existing-update
+  // webhook, linked to the call that last texted the sender, or else their
+  // latest call: a "cancel" may be about the booking rather than the texts.
+  app.post('/twilio/sms', async (req, reply) => {
+    if (!validateTwilio(req)) {
+      reply.code(403).send('Forbidden');
+      return;
+    }
+    const body = req.body || {};
+    const keyword = keywordOf(body.Body, { optedOut: sms.isOptedOut(body.From) });
+    if (keyword === 'opt_out') {
+      sms.optOut(body.From, 'reply');
+    } else if (keyword === 'opt_in') {
+      sms.optIn(body.From);
+    }
+    const last = sms.lastMessageTo(body.From);
+    const callSid = last ? last.callSid : (callStore.list({ caller: body.From })[0] || {}).callSid || null;
+    await outbox.send({
+      idempotencyKey: `sms:${body.MessageSid}`,
+      url: tenants.forNumber(body.To).webhooks.existingUpdate,
+      payload: {
+        type: 'sms_reply',
+        from: body.From,
+        to: body.To,
+        body: body.Body || '',
+        keyword,
+        message_sid: body.MessageSid,
+        call_sid: callSid,
+        reference: callSid ? referenceFor(callSid) : null
+      },
+      meta: { callSid, messageSid: body.MessageSid }
+    });
+    req.log.info({ callSid, messageSid: body.MessageSid, keyword }, 'SMS reply forwarded');
+    reply.type('text/xml').send(twimlEmpty());
+  });
+
+  // Delivery status of the texts we send (StatusCallback on each message).
+  app.post('/twilio/sms-status', async (req, reply) => {
+    if (!validateTwilio(req)) {
+      reply.code(403).send('Forbidden');
+      return;
+    }
+    const body = req.body || {};
+    const message = sms.updateStatus(body.MessageSid, { status: body.MessageStatus, errorCode: body.ErrorCode });
+    const fields = { callSid: message && message.callSid, messageSid: body.MessageSid, status: body.MessageStatus, errorCode: body.ErrorCode };
+    if (body.ErrorCode || body.MessageStatus === 'failed' || body.MessageStatus === 'undelivered') {
+      req.log.warn(fields, 'SMS not delivered');
+    } else {
+      req.log.info(fields, 'SMS status');
+    }
+    reply.code(204).send();
+  });
+
+  // @fastify/websocket v10 hands the route the ws WebSocket itself.
+  app.get('/twilio-media', { websocket: true }, (socket, req) => {
+    const log = app.log.child({ scope: 'twilio-media' });
+    let streamSid = null;
+    let callSid = null;
+    let callerPhone = 'Unknown';
+    let contact = { found: false };
+    let tenant = tenants.forNumber(null);
+    let call = null;
+    let afterHours = false;
+    let dialedNumber = null;
+    let outbound = null; // { flow, context } on calls we placed
+    const origin = publicOrigin(req);
+
+    // Warm transfer: the tool records the request, we wait for the handoff line
+    // to finish playing (Twilio echoes our 'handoff' mark), then redirect the call.
+    let transfer = null;
+    let awaitingHandoffResponse = false;
+    let handoffResponseId = null;
+    let handoffTimer = null;
+
+    // Barge-in: what the caller has heard, and whether there's a response to cancel.
+    const playback = createPlaybackTracker();
+    let responseActive = false;
+    let bargeInTimer = null;
+
+    // Optional stereo recording of both legs (tenant.recordCalls).
+    let recorder = null;
+
+    let speech = null; // the assistant's session (see speech.js)
+    let contactReady = false;
+    let greeted = false;
+    let sessionNote = ''; // CALL IN PROGRESS brief for a resumed session
+
+    // Call language (see language.js): the tenant default, then the GHL contact's
+    // preference. A keypad choice or the set_language tool pins it; otherwise the
+    // caller's first words can still switch it.
+    let language = 'en';
+    let languagePinned = false;
+    let detectTries = 0;
+
+    // OpenAI recovery: while Twilio is still streaming, a dropped session is
+    // reconnected and briefed; past OPENAI_RECONNECT_BUDGET_MS the call goes to
+    // fallback TwiML instead.
+    let twilioLive = true;
+    let recovery = null; // { attempt, timer, budgetTimer, failed }
+    let unregister = () => {};
+
+    // Per-call limits (tenant.limits, 0 turns one off): a wrap-up warning and
+    // then a hangup at maxCallSeconds, and "are you still there?" then a hangup
+    // once nobody has spoken for silenceSeconds.
+    let limitTimers = [];
+    let silenceTimer = null;
+    let silencePrompted = false;
+    let callerSpeaking = false;
+
+    // Keypad entry opened by request_keypad_entry (see keypad.js), and the values
+    // keyed in so far ({ load_number: '4417' }).
+    let keypadEntry = null;
+    const keypadValues = {};
+
+    function sendToTwilio(obj) {
+      try {
+        socket.send(JSON.stringify(obj));
+      } catch (e) {
+        log.warn({ err: e }, 'Failed sending to Twilio');
+      }
+    }
+
+    // Ends the call record once; the first end also sends the post-call report
+    // and pushes the call into GHL.
+    function endCall(reason) {
+      if (!call || !call.end(reason)) return;
+      sendCallReport({ tenant, call, log })
+        .catch((err) => log.error({ err, callSid }, 'Call report failed'));
+      const ghl = ghlFor(tenant);
+      if (!ghl || !tenant.ghl.syncCalls) return;
+      syncCallToCrm(ghl, { record: call.record, contact, personaName: tenant.personaName })
+        .then((contactId) => contactId && log.info({ callSid, contactId }, 'Call synced to GHL'))
+        .catch((err) => log.error({ err, callSid }, 'GHL call sync failed'));
+    }
+
+    function saveRecording() {
+      if (!recorder) return;
+      const wav = recorder.toWav();
+      const durationMs = recorder.durationMs();
+      recorder = null;
+      recordings.save(callSid, wav)
+        .then((name) => {
+          call?.setRecording({ name, store: recordings.kind, durationMs });
+          log.info({ callSid, durationMs }, 'Call recording saved');
+        })
+        .catch((err) => log.error({ err, callSid }, 'Failed to save call recording'));
+    }
+
+    // Booking ids, sent with the new-order webhook. At most APPOINTMENTS_MAX_PER_CALL
+    // of them can be active at once, so one call (or a model stuck in a loop)
+    // can't take every crew in a city; moving a booking doesn't count again.
+    const bookedThisCall = [];
+    const activeBookings = () => bookedThisCall
+      .map((id) => appointmentBook.get(id))
+      .filter((booking) => booking && booking.status === 'booked');
+
+    function toolContext() {
+      const orderStatus = orderStatusFor(tenant);
+      return {
+        callSid,
+        contact,
+        callerPhone,
+        webhooks: tenant.webhooks,
+        enabledTools: tenant.tools,
+        outbox,
+        transfer: canTransfer()
+          ? { urgentOnly: afterHours, request: (details) => { transfer = { ...details, placed: false }; } }
+          : null,
+        outbound: outbound && { ...outbound, report: reportOutcome },
+        orderStatus: orderStatus && { lookup: (number) => lookupForCaller(orderStatus, number, contact) },
+        language,
+        sms: tenant.sms.enabled && twilio.configured ? { confirmations: tenant.sms.confirmations, send: sendSms } : null,
+        keypad: { request: requestKeypadEntry, values: keypadValues },
+        appointments: appointmentBook && {
+          availability: (query) => appointmentBook.availability(query),
+          book(details) {
+            if (activeBookings().length >= APPOINTMENTS_MAX_PER_CALL) return { error: 'booking_limit' };
+            const result = appointmentBook.book({ ...details, phone: details.phone || callerPhone, callSid });
+            if (result.booking) bookedThisCall.push(result.booking.id);
+            return result;
+          },
+          booked: () => activeBookings().map(describeBooking),
+          upcoming: () => appointmentBook.upcomingFor(callerPhone),
+          reschedule: (id, start) => appointmentBook.reschedule(id, start),
+          cancel: (id) => appointmentBook.cancel(id)
+        },
+        languages: {
+          supported: tenant.languages.supported,
+          set: (code) => {
+            languagePinned = true;
+            return switchLanguage(code, 'assistant');
+          }
+        },
+        log
+      };
+    }
+
+    // Texts from this call (see sms.js), from the number the call is on. The
+    // assistant's own texts (send_sms) are capped at SMS_MAX_PER_CALL.
+    let textsSent = 0;
+    async function sendSms({ to, kind, vars }) {
+      if (kind === 'message' && textsSent >= SMS_MAX_PER_CALL) return { sent: false, error: 'limit_reached' };
+      const result = await sms.send({
+        from: tenant.sms.from || dialedNumber,
+        to: to || callerPhone,
+        body: smsBody(kind, { brand: tenant.brand, reference: referenceFor(callSid), ...vars }, language),
+        statusCallback: `${origin}/twilio/sms-status`,
+        callSid,
+        kind
+      });
+      if (result.sent) {
+        if (kind === 'message') textsSent++;
+        call?.addMessage({ sid: result.sid, kind, to: result.to });
+      }
+      return result;
+    }
+
+    function reportOutcome({ outcome, notes, source }) {
+      return reportOutboundOutcome({
+        tenant, callSid, to: callerPhone, flow: outbound.flow, context: outbound.context, outcome, notes, source
+      });
+    }
+
+    // "Press 1 to confirm, 2 if something needs to change" on outbound calls.
+    async function onOutboundKeypress(digit) {
+      const outcome = { 1: 'confirmed', 2: 'declined' }[digit];
+      if (!outcome) return;
+      call?.addTurn('caller', `[pressed ${digit}]`);
+      const result = await reportOutcome({ outcome, notes: `Pressed ${digit}`, source: 'keypad' });
+      call?.addToolCall({ name: 'record_call_outcome', callId: `dtmf:${digit}`, arguments: { outcome }, result });
+      noteForModel(
+        `[The customer pressed ${digit} on their keypad: ${outcome}. This is already recorded; do not call record_call_outcome.]`,
+        outcome === 'confirmed'
+          ? 'Thank the customer, confirm the crew is booked as scheduled, and say goodbye.'
+          : 'Ask briefly what needs to change, then thank them and say the office will follow up.'
+      );
+    }
+
+    // Controls for the supervisor console (see supervisor.js). Errors are
+    // reported back to the supervisor.
+    function supervisorActions() {
+      const session = () => {
+        if (!speech || !speech.isOpen()) throw new Error('The assistant is not connected');
+        return speech;
+      };
+      return {
+        // A system message the model follows from here on ("offer a 10% discount").
+        async inject(text) {
+          session().addMessage('system', text);
+        },
+        async say(text) {
+          session();
+          interrupt();
+          sayExactly(text);
+        },
+        async transfer(text) {
+          if (!twilio.configured || !transferNumbers().length) throw new Error('Transfers are not configured');
+          await handOff({ reason: 'supervisor', summary: text || 'Transferred by a supervisor.' });
+        },
+        async hangup() {
+          if (twilio.configured) {
+            await twilio.updateCall(callSid, { twiml: twimlHangup() });
+          } else {
+            socket.close();
+          }
+          endCall('supervisor_hangup');
+        }
+      };
+    }
+
+    function sayExactly(line) {
+      speech.respond({ instructions: `Say exactly: "${line.replaceAll('"', "'")}"` });
+    }
+
+    // Tells the model something the caller did outside the conversation (a key
+    // press), then has it respond.
+    function noteForModel(text, instructions) {
+      if (!speech || !speech.isOpen()) return;
+      speech.addMessage('user', text);
+      speech.respond({ instructions });
+    }
+
+    // After hours, only urgent calls go to the on-call dispatcher.
+    function transferNumbers() {
+      return afterHours ? afterHoursFor(schedule, tenant).onCallNumbers : tenant.dispatcherNumbers;
+    }
+
+    function canTransfer() {
+      return Boolean(twilio.configured && transferNumbers().length && callSid);
+    }
+
+    // Transfers started outside the tool (supervisor, keypad) take the same
+    // path: the handoff line plays, then the redirect.
+    async function handOff(details) {
+      transfer = { ...details, placed: false };
+      if (speech && speech.isOpen()) {
+        interrupt();
+        awaitingHandoffResponse = true;
+        sayExactly(LANGUAGES[language].lines.handoff);
+      } else {
+        await placeTransfer();
+      }
+    }
+
+    function requestKeypadEntry(field) {
+      keypadEntry?.cancel();
+      const { digitTimeoutMs, firstDigitTimeoutMs, maxDigits } = tenant.keypad;
+      keypadEntry = createKeypadEntry({ field, digitTimeoutMs, firstDigitTimeoutMs, maxDigits, onDone: onKeypadEntryDone });
+    }
+
+    function onKeypadEntryDone({ field, digits, reason }) {
+      keypadEntry = null;
+      log.info({ callSid, field, reason, digits: digits.length }, 'Keypad entry finished');
+      const label = KEYPAD_FIELDS[field].en;
+      if (!digits) {
+        call?.addTurn('caller', '[no keypad entry]');
+        noteForModel(`[The caller did not key in their ${label}.]`, 'Ask whether they want to try the keypad again or just say the number.');
+        return;
+      }
+      keypadValues[field] = digits;
+      call?.addTurn('caller', `[keyed in ${digits}]`);
+      noteForModel(
+        `[The caller keyed in their ${label} on the keypad: ${digits}. This is confirmed: use it exactly as keyed ` +
+          '(e.g. in report_existing_issue) and do not ask them to say it.]',
+        'Thank the caller and continue with the number they keyed in.'
+      );
+    }
+
+    // An open entry takes digits and #, then come the global keys, then the
+    // outbound confirm/decline keys or the language menu.
+    function onKeypress(digit) {
+      if (keypadEntry && keypadEntry.press(digit)) return;
+      const action = tenant.keypad.globalKeys[digit];
+      if (action) {
+        onGlobalKey(action, digit);
+      } else if (outbound) {
+        onOutboundKeypress(digit);
+      } else {
+        onLanguageKeypress(digit);
+      }
+    }
+
+    function onGlobalKey(action, digit) {
+      call?.addTurn('caller', `[pressed ${digit}]`);
+      log.info({ callSid, key: digit, action }, 'Keypad global key');
+      if (action === 'repeat') {
+        if (!speech || !speech.isOpen()) return;
+        interrupt();
+        speech.respond({ instructions: 'The caller asked you to repeat that. Repeat your last message, slowly and clearly.' });
+      } else if (action === 'dispatcher') {
+        if (transfer) return;
+        if (canTransfer() && !afterHours) {
+          handOff({ reason: 'caller_request', summary: `The caller pressed ${digit} for a dispatcher.` });
+          return;
+        }
+        interrupt();
+        noteForModel(
+          `[The caller pressed ${digit} on the keypad to reach a person.]`,
+          canTransfer()
+            ? 'The office is closed. Ask if this is urgent: if it is, use transfer_to_dispatcher; if not, offer to take a message.'
+            : 'Say no dispatcher is available right now, and offer to take a message.'
+        );
+      }
+    }
+
+    // Stops Mike mid-sentence: Twilio drops the queued audio, and the session
+    // learns how much the caller heard and cancels the rest of the response.
+    function interrupt() {
+      if (!speech || !speech.isOpen()) return;
+      let heard = [];
+      if (playback.isPlaying()) {
+        sendToTwilio({ event: 'clear', streamSid });
+        activeCalls.publish(callSid, { type: 'audio_clear' });
+        recorder?.clearOutbound();
+        heard = playback.interrupt().filter(({ itemId }) => itemId);
+      }
+      speech.interrupt({ heard, cancel: responseActive });
+      responseActive = false;
+    }
+
+    async function placeTransfer() {
+      if (!transfer || transfer.placed) return;
+      transfer.placed = true;
+      clearTimeout(handoffTimer);
+      const who = contact.found ? `${contact.firstName} from ${contact.company}` : `caller ${callerPhone}`;
+      const whisper = `Transfer from ${tenant.personaName}${transfer.reason === 'urgent' ? ', urgent' : ''}. ${who}. ${transfer.summary}`.slice(0, 500);
+      const twiml = twimlDial({
+        numbers: transferNumbers(),
+        timeout: DISPATCHER_DIAL_TIMEOUT,
+        whisperUrl: `${origin}/twilio/whisper?summary=${encodeURIComponent(whisper)}`,
+        actionUrl: `${origin}/twilio/dial-status?lang=${language}`
+      });
+      try {
+        await twilio.updateCall(callSid, { twiml });
+        log.info({ callSid, reason: transfer.reason }, 'Call transferred to dispatcher');
+        endCall('transferred');
+      } catch (err) {
+        log.error({ err, callSid }, 'Transfer failed');
+        transfer = null;
+        awaitingHandoffResponse = false;
+        handoffResponseId = null;
+        if (speech && speech.isOpen()) {
+          speech.respond({ instructions: 'The transfer did not go through. Apologize, say no dispatcher is available right now, and offer to take a message.' });
+        }
+      }
+    }
+
+    function currentPrompt() {
+      return buildPrompt({ tenant, contact, callerPhone, afterHours, outbound, language, menu: languageMenuOpen() });
+    }
+
+    // A caller with dock appointments coming up hears about them without a lookup.
+    function appointmentsNote() {
+      if (!appointmentBook || outbound) return '';
+      const upcoming = appointmentBook.upcomingFor(callerPhone).map(describeBooking);
+      if (!upcoming.length) return '';
+      return '\n\nUPCOMING DOCK APPOINTMENTS for this caller:\n' +
+        upcoming.map((a) => `- booking ${a.booking_id}: ${a.city}, ${a.when}\n`).join('') +
+        'To move one, call check_availability with its booking_id, then reschedule_appointment. To cancel, use cancel_appointment.';
+    }
+
+    function sessionConfig() {
+      return {
+        instructions: currentPrompt().instructions + appointmentsNote() + sessionNote,
+        voice: tenant.voice,
+        vad: tenant.vad,
+        temperature: tenant.temperature,
+        tools: toolDefinitions(toolContext()),
+        transcriptionModel: TRANSCRIPTION_MODEL
+      };
+    }
+
+    function sendSessionConfig({ resume = false } = {}) {
+      sessionNote = resume
+        ? '\n\nCALL IN PROGRESS:\nThe connection dropped and was restored mid-call. ' +
+          `Conversation so far:\n${conversationSummary(call.record, tenant.personaName)}\n` +
+          'Do NOT greet the caller again or re-ask for anything already collected.'
+        : '';
+      speech.configure(sessionConfig());
+      speech.respond({
+        instructions: resume
+          ? 'Briefly apologize that you lost the caller for a moment, then continue where the conversation left off.'
+          : greetingInstruction(currentPrompt())
+      });
+    }
+
+    // Configures whichever session is open once the contact lookup is done;
+    // every session after the first resumes the conversation.
+    function configureSession() {
+      if (!contactReady || !speech || !speech.isOpen()) return;
+      sendSessionConfig({ resume: greeted });
+      greeted = true;
+    }
+
+    // The keypad language menu is only offered before the caller has spoken.
+    function languageMenuOpen() {
+      return !outbound && tenant.languages.menu && tenant.languages.supported.length > 1 && !languagePinned &&
+        !(call && call.record.turns.some((turn) => turn.speaker === 'caller'));
+    }
+
+    // Moves the call, and the live session, to another language. Returns false
+    // for a language this tenant doesn't offer.
+    function switchLanguage(next, source) {
+      if (!tenant.languages.supported.includes(next)) return false;
+      if (next === language) return true;
+      language = next;
+      call?.setLanguage(next, source);
+      log.info({ callSid, language, source }, 'Call language changed');
+      if (greeted && speech && speech.isOpen()) {
+        speech.configure(sessionConfig());
+      }
+      return true;
+    }
+
+    function onLanguageKeypress(digit) {
+      if (!languageMenuOpen()) return;
+      const code = tenant.languages.supported.find((c) => LANGUAGES[c].menu.digit === digit);
+      if (!code) return;
+      languagePinned = true;
+      call?.addTurn('caller', `[pressed ${digit}]`);
+      if (code === language) return;
+      switchLanguage(code, 'keypad');
+      if (!greeted || !speech || !speech.isOpen()) return;
+      // Cut the greeting short and start over in the chosen language.
+      interrupt();
+      speech.respond({ instructions: greetingInstruction(currentPrompt()) });
+    }
+
+    // The first caller turn that clearly reads as one language decides it
+    // (three tries, so an "okay" or a name doesn't).
+    function detectCallerLanguage(text) {
+      if (!tenant.languages.detect || tenant.languages.supported.length < 2 || languagePinned || detectTries >= 3) return;
+      detectTries++;
+      const guess = detectLanguage(text);
+      if (!guess) return;
+      languagePinned = true;
+      switchLanguage(guess, 'detected');
+    }
+
+    function startLimitTimers() {
+      const { maxCallSeconds, warnSeconds } = tenant.limits;
+      if (maxCallSeconds > 0) {
+        if (warnSeconds > 0 && warnSeconds < maxCallSeconds) {
+          limitTimers.push(setTimeout(warnTimeLimit, (maxCallSeconds - warnSeconds) * 1000));
+        }
+        limitTimers.push(setTimeout(() => endForLimit('max_duration', LANGUAGES[language].lines.timeLimitGoodbye), maxCallSeconds * 1000));
+      }
+      armSilenceTimer();
+    }
+
+    function clearLimitTimers() {
+      limitTimers.forEach(clearTimeout);
+      limitTimers = [];
+      clearTimeout(silenceTimer);
+    }
+
+    function warnTimeLimit() {
+      log.info({ callSid, limit: 'max_duration' }, 'Call limit: warning the caller the call ends soon');
+      if (!speech || !speech.isOpen()) return;
+      speech.addMessage(
+        'system',
+        `This call will be ended automatically in about ${Math.round(tenant.limits.warnSeconds)} seconds. ` +
+          'Tell the caller, and wrap up: submit anything already collected and say goodbye.'
+      );
+      // Mid-answer, the model picks the message up on its next turn.
+      if (!responseActive && !playback.isPlaying()) {
+        speech.respond();
+      }
+    }
+
+    // Restarted by anything either side says; Mike talking (or still being
+    // heard) doesn't count as silence.
+    function armSilenceTimer() {
+      clearTimeout(silenceTimer);
+      if (!tenant.limits.silenceSeconds || !call || call.record.endedAt) return;
+      silenceTimer = setTimeout(onSilence, tenant.limits.silenceSeconds * 1000);
+    }
+
+    function onSilence() {
+      if (callerSpeaking || responseActive || playback.isPlaying() || recovery || transfer || keypadEntry) {
+        armSilenceTimer();
+        return;
+      }
+      if (!silencePrompted && speech && speech.isOpen()) {
+        silencePrompted = true;
+        log.info({ callSid, limit: 'silence' }, 'Call limit: caller silent, asking if they are still there');
+        speech.respond({ instructions: LANGUAGES[language].sayExactly(LANGUAGES[language].lines.stillThere) });
+        armSilenceTimer();
+        return;
+      }
+      endForLimit('silence', LANGUAGES[language].lines.silenceGoodbye);
+    }
+
+    function onCallerActivity() {
+      silencePrompted = false;
+      armSilenceTimer();
+    }
+
+    // Twilio says the goodbye rather than the model: a stuck session is one of
+    // the reasons we get here.
+    async function endForLimit(reason, line) {
+      if (!call || call.record.endedAt) return;
+      clearLimitTimers();
+      log.warn({ callSid, limit: reason }, 'Call limit reached: ending the call');
+      flushPartialIntake(reason);
+      if (twilio.configured && callSid) {
+        try {
+          await twilio.updateCall(callSid, { twiml: twimlSay(line, { hangup: true, language: LANGUAGES[language].twilio }) });
+          endCall(reason);
+          return;
+        } catch (err) {
+          log.error({ err, callSid }, 'Failed to end the call over the REST API');
+        }
+      }
+      endCall(reason);
+      socket.close();
+    }
+
+    function handleOpenAIDrop() {
+      clearTimeout(bargeInTimer);
+      callerSpeaking = false;
+      responseActive = false;
+      awaitingHandoffResponse = false;
+      handoffResponseId = null;
+      playback.interrupt(); // items from the dead session can't be truncated
+      if (transfer && !transfer.placed) {
+        placeTransfer();
+        return;
+      }
+      if (!recovery) {
+        log.warn({ callSid }, 'OpenAI connection lost; reconnecting');
+        recovery = { attempt: 0, timer: null, budgetTimer: setTimeout(fallBack, OPENAI_RECONNECT_BUDGET_MS), failed: false };
+      }
+      if (recovery.failed) return;
+      const delay = Math.min(250 * 2 ** recovery.attempt, 2000);
+      recovery.attempt++;
+      recovery.timer = setTimeout(connectAssistant, delay);
+    }
+
+    function stopRecovery() {
+      if (!recovery) return;
+      clearTimeout(recovery.timer);
+      clearTimeout(recovery.budgetTimer);
+      recovery = null;
+    }
+
+    // The lead shouldn't be lost with the assistant: whatever was collected goes
+    // to the new-order webhook, flagged incomplete.
+    function flushPartialIntake(reason) {
+      const payload = call && partialIntake(call.record, { callerPhone, contact, reason, language });
+      if (!payload || !tenant.webhooks.newOrder) return;
+      outbox.send({
+        idempotencyKey: `${callSid}:incomplete`,
+        url: tenant.webhooks.newOrder,
+        payload,
+        meta: { tool: 'submit_new_intake', callSid, incomplete: true }
+      }).catch((err) => log.error({ err, callSid }, 'Failed to queue partial intake'));
+    }
+
+    async function fallBack() {
+      if (!recovery || recovery.failed) return;
+      recovery.failed = true;
+      clearTimeout(recovery.timer);
+      const session = speech;
+      speech = null;
+      session?.close();
+      log.error({ callSid, attempts: recovery.attempt }, 'OpenAI did not come back; sending call to fallback');
+      flushPartialIntake('assistant_unavailable');
+
+      const numbers = transferNumbers() || [];
+      const twiml = twimlFallback({
+        apologyUrl: FALLBACK_APOLOGY_URL,
+        apology: LANGUAGES[language].lines.apology,
+        numbers,
+        timeout: DISPATCHER_DIAL_TIMEOUT,
+        actionUrl: `${origin}/twilio/dial-status?lang=${language}`,
+        voicemailMessage: LANGUAGES[language].lines.fallbackVoicemail,
+        language: LANGUAGES[language].twilio,
+        recordingStatusCallback: recordingCallbackUrl(req, dialedNumber)
+      });
+      if (twilio.configured && callSid) {
+        try {
+          await twilio.updateCall(callSid, { twiml });
+          endCall('openai_failed');
+          return;
+        } catch (err) {
+          log.error({ err, callSid }, 'Fallback redirect failed');
+        }
+      }
+      // Without the REST API all we can do is end the stream (Twilio hangs up).
+      endCall('openai_failed');
+      socket.close();
+    }
+
+    // Opens the tenant's speech session (see speech.js). Events from a session
+    // that has since been replaced are ignored.
+    function connectAssistant() {
+      const session = connectSpeech(tenant.speech, {
+        apiKey: OPENAI_API_KEY,
+        realtimeUrl: OPENAI_REALTIME_URL,
+        apiBaseUrl: OPENAI_API_BASE_URL,
+        model: tenant.model,
+        log,
+        onOpen() {
+          if (session !== speech) return;
+          if (recovery) {
+            log.info({ callSid, attempts: recovery.attempt }, 'Assistant reconnected');
+            stopRecovery();
+          }
+          configureSession();
+        },
+        onEvent(event) {
+          if (session !== speech) return;
+          onAssistantEvent(session, event).catch((err) => log.error({ err }, 'Error handling assistant event'));
+        },
+        onClose() {
+          if (session !== speech) return;
+          log.info('Assistant session closed');
+          if (twilioLive && call && !call.record.endedAt) {
+            handleOpenAIDrop();
+          } else {
+            endCall('openai_closed');
+          }
+        }
+      });
+      speech = session;
+    }
+
+    async function onAssistantEvent(session, event) {
+      if (event.type === 'audio') {
+        sendToTwilio({ event: 'media', streamSid, media: { payload: event.payload } });
+        recorder?.addOutbound(event.payload);
+        activeCalls.publish(callSid, { type: 'audio', track: 'assistant', payload: event.payload });
+        const mark = playback.onAudioDelta(event.itemId, event.payload);
+        sendToTwilio({ event: 'mark', streamSid, mark: { name: mark } });
+        armSilenceTimer();
+      } else if (event.type === 'speech_started') {
+        callerSpeaking = true;
+        silencePrompted = false;
+        clearTimeout(silenceTimer);
+        // Wait out the minimum speech duration so a cough doesn't cut Mike off.
+        clearTimeout(bargeInTimer);
+        bargeInTimer = setTimeout(interrupt, tenant.bargeIn.minSpeechMs);
+      } else if (event.type === 'speech_stopped') {
+        clearTimeout(bargeInTimer);
+        callerSpeaking = false;
+        onCallerActivity();
+      } else if (event.type === 'transcript') {
+        call?.addTurn(event.speaker, event.text);
+        if (event.speaker === 'caller') detectCallerLanguage(event.text);
+      } else if (event.type === 'tool_call') {
+        const result = await runToolCall(event.name, event.arguments, { ...toolContext(), callId: event.callId });
+        call?.addToolCall({
+          name: event.name,
+          callId: event.callId,
+          arguments: result.args ?? event.arguments,
+          rawArguments: result.raw,
+          result: result.output
+        });
+        session.submitToolResult(event.callId, result.output);
+        // Set before respond(): a provider may report the response started right away.
+        if (transfer && !transfer.placed) {
+          awaitingHandoffResponse = true;
+        }
+        session.respond({ instructions: result.instructions });
+      } else if (event.type === 'response_started') {
+        responseActive = true;
+        if (awaitingHandoffResponse) {
+          awaitingHandoffResponse = false;
+          handoffResponseId = event.id;
+        }
+      } else if (event.type === 'response_done') {
+        responseActive = false;
+        if (handoffResponseId && event.id === handoffResponseId) {
+          handoffResponseId = null;
+          sendToTwilio({ event: 'mark', streamSid, mark: { name: 'handoff' } });
+          // Don't strand the caller if Twilio never echoes the mark.
+          handoffTimer = setTimeout(placeTransfer, 10000);
+        }
+      } else if (event.type === 'error') {
+        log.warn({ callSid, error: event.error }, 'Assistant error event');
+      }
+    }
+
+    socket.on('message', async (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch {
+        return;
+      }
+      if (msg.event === 'start') {
+        const params = msg.start.customParameters || {};
+        if (STREAM_TOKEN_SECRET && !verifyStreamToken(STREAM_TOKEN_SECRET, msg.start.callSid, params.token)) {
+          log.warn({ callSid: msg.start.callSid }, 'Rejected media stream with missing or invalid token');
+          socket.close(1008, 'Unauthorized');
+          return;
+        }
+        streamSid = msg.start.streamSid;
+        callSid = msg.start.callSid;
+        afterHours = Boolean(schedule) && params.mode === 'after_hours';
+        tenant = tenants.forNumber(params.to);
+        admission.started(callSid);
+        language = tenant.languages.default;
+        dialedNumber = params.to || null;
+        if (params.direction === 'outbound' && flows.has(params.flow)) {
+          outbound = { flow: params.flow, context: contextFrom(params) };
+        }
+        if (params.caller) {
+          callerPhone = params.caller;
+        }
+        call = callStore.startCall({
+          callSid,
+          streamSid,
+          caller: callerPhone,
+          tenant: tenant.id,
+          mode: afterHours ? 'after_hours' : 'open',
+          direction: outbound ? 'outbound' : 'inbound',
+          language,
+          onEvent: (event) => activeCalls.publish(callSid, event)
+        });
+        if (tenant.recordCalls) recorder = createCallRecorder();
+        unregister = activeCalls.add({
+          callSid,
+          streamSid,
+          caller: callerPhone,
+          tenant: tenant.id,
+          direction: call.record.direction,
+          startedAt: call.record.startedAt
+        }, supervisorActions());
+        startLimitTimers();
+        connectAssistant();
+        const ghl = ghlFor(tenant);
+        contact = ghl ? await ghl.lookupContact(callerPhone) : { found: false };
+        call.setContact(contact);
+        const preferred = languageCode(contact.language);
+        if (preferred && !languagePinned) switchLanguage(preferred, 'crm');
+        contactReady = true;
+        configureSession();
+      } else if (msg.event === 'media') {
+        recorder?.addInbound(msg.media.payload, msg.media.timestamp);
+        activeCalls.publish(callSid, { type: 'audio', track: 'caller', payload: msg.media.payload });
+        if (speech && speech.isOpen()) speech.sendAudio(msg.media.payload);
+      } else if (msg.event === 'dtmf') {
+        if (!msg.dtmf) return;
+        onCallerActivity();
+        onKeypress(msg.dtmf.digit);
+      } else if (msg.event === 'mark') {
+        if (msg.mark && msg.mark.name === 'handoff') {
+          placeTransfer();
+        } else if (msg.mark) {
+          playback.onMark(msg.mark.name);
+          // The last mark back is the end of what Mike said: silence counts from here.
+          if (!playback.isPlaying()) armSilenceTimer();
+        }
+      } else if (msg.event === 'stop') {
+        twilioLive = false;
+        stopRecovery();
+        clearLimitTimers();
+        endCall('twilio_stop');
+        saveRecording();
+        speech?.close();
+      }
+    });
+
+    socket.on('close', () => {
+      twilioLive = false;
+      stopRecovery();
+      clearTimeout(handoffTimer);
+      clearTimeout(bargeInTimer);
+      clearLimitTimers();
+      keypadEntry?.cancel();
+      endCall('twilio_disconnected');
+      unregister();
+      saveRecording();
+      speech?.close();
+    });
+  });
+
+  return app;
+}
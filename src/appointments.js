@@ -0,0 +1,403 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { DAYS, localParts, spokenTime } from './schedule.js';
+import { toE164 } from './phone.js';
+
+// Dock appointments: a local crew-capacity model behind the check_availability,
+// book_appointment, reschedule_appointment and cancel_appointment tools, and the
+// per-city calendar feed. Config (APPOINTMENTS_PATH, see config/appointments.example.json):
+// {
+//   "timezone": "America/Chicago",   // for cities without their own
+//   "slotMinutes": 30,               // start times fall on this grid
+//   "leadMinutes": 120,              // nothing bookable sooner than this
+//   "horizonDays": 14,
+//   "cities": {
+//     "dallas": {                    // the key names the feed: /calendar/dallas.ics
+//       "name": "Dallas", "state": "TX",
+//       "crews": 3,                  // jobs that can run at the same time
+//       "jobMinutes": 120,           // how long one job ties up a crew
+//       "shifts": { "mon": [["06:00", "18:00"]], ..., "sun": [] },
+//       "closed": ["2025-12-25"]
+//     }
+//   }
+// }
+//
+// A slot is open when the whole job fits in a shift window and fewer than
+// `crews` booked jobs overlap it. Bookings are kept in an append-only JSONL
+// file, replayed and compacted on startup like the SMS log. It's one process,
+// so checking a slot and booking it can't race.
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const BOOKING_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+const ID_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'; // nothing that reads like another character
+const ID_LENGTH = 6;
+
+export function loadAppointments(filePath) {
+  if (!filePath) return null;
+  return validateAppointments(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+}
+
+function validTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return Boolean(timeZone);
+  } catch {
+    return false;
+  }
+}
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+export function validateAppointments(raw) {
+  const errors = [];
+  const settings = { slotMinutes: 30, leadMinutes: 120, horizonDays: 14 };
+  for (const key of Object.keys(settings)) {
+    const value = raw[key] ?? settings[key];
+    if (!Number.isInteger(value) || value < (key === 'leadMinutes' ? 0 : 1)) errors.push(`${key} must be a whole number`);
+    settings[key] = value;
+  }
+  const cities = {};
+  for (const [key, city] of Object.entries(raw.cities || {})) {
+    const timezone = city.timezone || raw.timezone;
+    if (!/^[a-z0-9-]+$/.test(key)) errors.push(`cities.${key}: key must be lowercase letters, digits and dashes`);
+    if (!city.name) errors.push(`cities.${key}.name is required`);
+    if (!validTimezone(timezone)) errors.push(`cities.${key}: invalid timezone: ${timezone}`);
+    if (!isPositiveInteger(city.crews)) errors.push(`cities.${key}.crews must be a positive whole number`);
+    if (!isPositiveInteger(city.jobMinutes)) errors.push(`cities.${key}.jobMinutes must be a positive whole number`);
+    const shifts = {};
+    for (const day of DAYS) {
+      const windows = (city.shifts && city.shifts[day]) || [];
+      for (const window of windows) {
+        const [start, end] = Array.isArray(window) ? window : [];
+        if (!HHMM.test(start || '') || !HHMM.test(end || '') || start >= end) {
+          errors.push(`cities.${key}.shifts.${day}: bad window ${JSON.stringify(window)} (want ["HH:MM","HH:MM"], start before end)`);
+        }
+      }
+      shifts[day] = windows;
+    }
+    const closed = city.closed || [];
+    for (const date of closed) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) errors.push(`cities.${key}.closed: bad date ${date} (want YYYY-MM-DD)`);
+    }
+    cities[key] = { key, name: city.name, state: city.state || '', timezone, crews: city.crews, jobMinutes: city.jobMinutes, shifts, closed };
+  }
+  if (!Object.keys(cities).length) errors.push('cities: at least one city is required');
+  if (errors.length) {
+    throw new Error(`Invalid appointments config:\n  ${errors.join('\n  ')}`);
+  }
+  return { ...settings, cities };
+}
+
+const minutesOf = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+const hhmmOf = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+const isoOf = (date) => date.toISOString().replace('.000Z', 'Z');
+
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+// The moment a wall-clock time happens in `timeZone`.
+function zonedInstant(date, time, timeZone) {
+  const wall = Date.parse(`${date}T${time}:00Z`);
+  const offset = (ms) => {
+    const local = localParts(new Date(ms), timeZone);
+    return Date.parse(`${local.date}T${local.time}:00Z`) - (ms - (ms % 60000));
+  };
+  return new Date(wall - offset(wall - offset(wall)));
+}
+
+// "Tuesday, March 3 at 2pm", in the city's time zone.
+function spokenWhen(date, timeZone) {
+  const day = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'long', month: 'long', day: 'numeric' }).format(date);
+  return `${day} at ${spokenTime(localParts(date, timeZone).time)}`;
+}
+
+// "today", "tomorrow", a weekday (the next one, today included) or YYYY-MM-DD,
+// as a local date; null when it can't be read.
+function resolveDay(day, today) {
+  const value = String(day).trim().toLowerCase();
+  if (value === 'today') return today;
+  if (value === 'tomorrow') return addDays(today, 1);
+  const weekday = value.length >= 3 ? WEEKDAYS.findIndex((name) => name.startsWith(value)) : -1;
+  if (weekday >= 0) return addDays(today, (weekday - weekdayOf(today) + 7) % 7);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))) return value;
+  return null;
+}
+
+const slug = (value) => String(value || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+function newId(taken) {
+  let id;
+  do {
+    id = [...crypto.randomBytes(ID_LENGTH)].map((byte) => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+  } while (taken.has(id));
+  return id;
+}
+
+// What the tools and webhooks see of a booking.
+export function describeBooking(booking) {
+  return {
+    booking_id: booking.id,
+    city: booking.cityName,
+    state: booking.state,
+    start: booking.start,
+    end: booking.end,
+    when: spokenWhen(new Date(booking.start), booking.timezone),
+    status: booking.status
+  };
+}
+
+const escapeText = (value) => String(value).replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, '\\n');
+const icsTime = (iso) => iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Content lines are at most 75 octets; the rest continues on lines starting with a space.
+function fold(line) {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > (lines.length ? 74 : 75)) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join('\r\n ');
+}
+
+// An iCalendar feed of a city's bookings. Cancelled ones stay in with
+// STATUS:CANCELLED so subscribed calendars drop them.
+export function toIcs(city, bookings, now = new Date()) {
+  const stamp = icsTime(now.toISOString());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//voice-ai-twilio-fly//Dock appointments//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Dock appointments - ${[city.name, city.state].filter(Boolean).join(', ')}`)}`,
+    `X-WR-TIMEZONE:${city.timezone}`
+  ];
+  for (const booking of bookings) {
+    const who = booking.company || booking.name || booking.phone || 'Caller';
+    const details = [
+      `Booking ${booking.id}`,
+      booking.name && `Contact: ${booking.name}`,
+      booking.company && `Company: ${booking.company}`,
+      booking.phone && `Phone: ${booking.phone}`,
+      booking.notes && `Notes: ${booking.notes}`
+    ].filter(Boolean).join('\n');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${booking.id}@dock-appointments`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsTime(booking.start)}`,
+      `DTEND:${icsTime(booking.end)}`,
+      `SEQUENCE:${booking.sequence}`,
+      `STATUS:${booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+      `SUMMARY:${escapeText(`Unload - ${who}`)}`,
+      `DESCRIPTION:${escapeText(details)}`,
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+export function createAppointmentBook({ config, filePath, log, now = () => new Date() }) {
+  const bookings = new Map(); // id -> booking
+
+  function apply(entry) {
+    if (entry.op === 'booking' && entry.booking?.id) bookings.set(entry.booking.id, entry.booking);
+  }
+
+  function load() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (!fs.existsSync(filePath)) return;
+    for (const line of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        apply(JSON.parse(line));
+      } catch {
+        log.warn({ filePath }, 'Skipping corrupt appointments log line');
+      }
+    }
+    const cutoff = new Date(now().getTime() - BOOKING_RETENTION_MS).toISOString();
+    for (const [id, booking] of bookings) {
+      if (booking.end < cutoff) bookings.delete(id);
+    }
+    const lines = [...bookings.values()].map((booking) => JSON.stringify({ op: 'booking', booking }));
+    fs.writeFileSync(`${filePath}.tmp`, lines.length ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  function save(booking) {
+    const entry = { op: 'booking', booking };
+    apply(entry);
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+    return booking;
+  }
+
+  load();
+
+  // By feed key, or by the name a caller gives (with the state, when they gave one).
+  function findCity(name, state) {
+    const key = slug(name);
+    const wanted = String(state || '').toUpperCase();
+    return Object.values(config.cities).find((city) =>
+      (city.key === key || slug(city.name) === key) && (!wanted || !city.state || city.state === wanted)) || null;
+  }
+
+  // Every start time still ahead within the horizon, booked or not.
+  function slotsFor(city, at) {
+    const earliest = at.getTime() + config.leadMinutes * 60000;
+    const today = localParts(at, city.timezone).date;
+    const slots = [];
+    for (let offset = 0; offset < config.horizonDays; offset++) {
+      const date = addDays(today, offset);
+      if (city.closed.includes(date)) continue;
+      for (const [open, close] of city.shifts[DAYS[weekdayOf(date)]]) {
+        for (let minute = minutesOf(open); minute + city.jobMinutes <= minutesOf(close); minute += config.slotMinutes) {
+          const start = zonedInstant(date, hhmmOf(minute), city.timezone);
+          if (start.getTime() < earliest) continue;
+          slots.push({ start, end: new Date(start.getTime() + city.jobMinutes * 60000) });
+        }
+      }
+    }
+    return slots.sort((a, b) => a.start - b.start);
+  }
+
+  function isOpen(city, slot, exceptId) {
+    let running = 0;
+    for (const booking of bookings.values()) {
+      if (booking.city !== city.key || booking.status !== 'booked' || booking.id === exceptId) continue;
+      if (Date.parse(booking.start) < slot.end.getTime() && Date.parse(booking.end) > slot.start.getTime()) running++;
+    }
+    return running < city.crews;
+  }
+
+  function slotAt(city, start) {
+    const ms = Date.parse(start);
+    if (Number.isNaN(ms)) return null;
+    return slotsFor(city, now()).find((slot) => slot.start.getTime() === ms) || null;
+  }
+
+  // The `limit` open slots nearest the caller's preferred day/time (or the
+  // earliest ones), in time order. Returns { city, slots: [{ start, when }] } or
+  // { error: 'unknown_city' | 'invalid_day' | 'invalid_time' }.
+  function availability({ city: cityName, state, day, time, limit = 3, exceptId }) {
+    const city = findCity(cityName, state);
+    if (!city) return { error: 'unknown_city' };
+    const at = now();
+    const today = localParts(at, city.timezone).date;
+    const date = day ? resolveDay(day, today) : null;
+    if (day && !date) return { error: 'invalid_day' };
+    const preferred = time ? String(time).trim().padStart(5, '0') : null;
+    if (preferred && !HHMM.test(preferred)) return { error: 'invalid_time' };
+    let target = at.getTime();
+    if (date || preferred) {
+      const firstShift = (city.shifts[DAYS[weekdayOf(date || today)]].map(([open]) => open).sort()[0]) || '12:00';
+      target = zonedInstant(date || today, preferred || firstShift, city.timezone).getTime();
+    }
+    const slots = slotsFor(city, at)
+      .filter((slot) => isOpen(city, slot, exceptId))
+      .sort((a, b) => Math.abs(a.start - target) - Math.abs(b.start - target) || a.start - b.start)
+      .slice(0, limit)
+      .sort((a, b) => a.start - b.start);
+    return { city, slots: slots.map((slot) => ({ start: isoOf(slot.start), when: spokenWhen(slot.start, city.timezone) })) };
+  }
+
+  // Returns { booking } or { error: 'unknown_city' | 'not_a_slot' | 'slot_taken' }.
+  function book({ city: cityName, state, start, name, company, phone, notes, callSid }) {
+    const city = findCity(cityName, state);
+    if (!city) return { error: 'unknown_city' };
+    const slot = slotAt(city, start);
+    if (!slot) return { error: 'not_a_slot' };
+    if (!isOpen(city, slot)) return { error: 'slot_taken' };
+    const stamp = now().toISOString();
+    const booking = save({
+      id: newId(bookings),
+      city: city.key,
+      cityName: city.name,
+      state: city.state,
+      timezone: city.timezone,
+      start: isoOf(slot.start),
+      end: isoOf(slot.end),
+      status: 'booked',
+      sequence: 0,
+      name: name || '',
+      company: company || '',
+      phone: toE164(phone) || '',
+      notes: notes || '',
+      callSid: callSid || null,
+      createdAt: stamp,
+      updatedAt: stamp
+    });
+    log.info({ bookingId: booking.id, city: city.key, start: booking.start, callSid }, 'Dock appointment booked');
+    return { booking };
+  }
+
+  function active(id) {
+    const booking = bookings.get(id);
+    return booking && booking.status === 'booked' ? booking : null;
+  }
+
+  // Returns { booking, previous } or { error: 'not_found' | 'unknown_city' | 'not_a_slot' | 'slot_taken' }.
+  function reschedule(id, start) {
+    const booking = active(id);
+    if (!booking) return { error: 'not_found' };
+    const city = config.cities[booking.city];
+    if (!city) return { error: 'unknown_city' };
+    const slot = slotAt(city, start);
+    if (!slot) return { error: 'not_a_slot' };
+    if (!isOpen(city, slot, id)) return { error: 'slot_taken' };
+    const updated = save({
+      ...booking,
+      start: isoOf(slot.start),
+      end: isoOf(slot.end),
+      sequence: booking.sequence + 1,
+      updatedAt: now().toISOString()
+    });
+    log.info({ bookingId: id, from: booking.start, to: updated.start }, 'Dock appointment rescheduled');
+    return { booking: updated, previous: booking };
+  }
+
+  // Returns { booking } or { error: 'not_found' }.
+  function cancel(id) {
+    const booking = active(id);
+    if (!booking) return { error: 'not_found' };
+    const updated = save({ ...booking, status: 'cancelled', sequence: booking.sequence + 1, updatedAt: now().toISOString() });
+    log.info({ bookingId: id }, 'Dock appointment cancelled');
+    return { booking: updated };
+  }
+
+  // A caller's bookings that haven't finished yet, soonest first.
+  function upcomingFor(phone) {
+    const number = toE164(phone);
+    if (!number) return [];
+    const at = now().toISOString();
+    return [...bookings.values()]
+      .filter((booking) => booking.status === 'booked' && booking.phone === number && booking.end > at)
+      .sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  function calendar(cityKey) {
+    const city = config.cities[cityKey];
+    if (!city) return null;
+    const inCity = [...bookings.values()]
+      .filter((booking) => booking.city === cityKey)
+      .sort((a, b) => a.start.localeCompare(b.start));
+    return toIcs(city, inCity, now());
+  }
+
+  return { availability, book, reschedule, cancel, upcomingFor, calendar, get: (id) => bookings.get(id) || null };
+}
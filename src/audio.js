@@ -0,0 +1,86 @@
+// Audio helpers for the phone leg: Twilio Media Streams carry g711 mu-law at
+// 8kHz (one byte per sample), everything else wants 16-bit PCM.
+
+export const PHONE_SAMPLE_RATE = 8000;
+
+const MULAW_TO_PCM = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const u = ~i & 0xff;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  MULAW_TO_PCM[i] = u & 0x80 ? -magnitude : magnitude;
+}
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+export function decodeMulaw(bytes) {
+  const pcm = new Int16Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) pcm[i] = MULAW_TO_PCM[bytes[i]];
+  return pcm;
+}
+
+export function encodeMulaw(pcm) {
+  const bytes = Buffer.alloc(pcm.length);
+  for (let i = 0; i < pcm.length; i++) {
+    let sample = pcm[i];
+    const sign = sample < 0 ? 0x80 : 0;
+    if (sign) sample = -sample;
+    sample = Math.min(sample, MULAW_CLIP) + MULAW_BIAS;
+    let exponent = 7;
+    for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+    const mantissa = (sample >> (exponent + 3)) & 0x0f;
+    bytes[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+  }
+  return bytes;
+}
+
+// Linear interpolation; good enough for speech going to (or coming from) a phone.
+export function resample(pcm, fromRate, toRate) {
+  if (fromRate === toRate) return pcm;
+  const out = new Int16Array(Math.floor((pcm.length * toRate) / fromRate));
+  const step = fromRate / toRate;
+  for (let i = 0; i < out.length; i++) {
+    const pos = i * step;
+    const index = Math.floor(pos);
+    const next = index + 1 < pcm.length ? pcm[index + 1] : pcm[index];
+    out[i] = Math.round(pcm[index] + (next - pcm[index]) * (pos - index));
+  }
+  return out;
+}
+
+// Little-endian 16-bit PCM bytes (e.g. a TTS response) to samples.
+export function pcmFromBytes(bytes) {
+  const pcm = new Int16Array(Math.floor(bytes.length / 2));
+  for (let i = 0; i < pcm.length; i++) pcm[i] = bytes.readInt16LE(i * 2);
+  return pcm;
+}
+
+// Root mean square of a chunk, 0 (silence) to 1 (full scale).
+export function rms(pcm) {
+  if (!pcm.length) return 0;
+  let sum = 0;
+  for (const sample of pcm) sum += sample * sample;
+  return Math.sqrt(sum / pcm.length) / 32768;
+}
+
+export function encodeMonoWav(pcm, sampleRate = PHONE_SAMPLE_RATE) {
+  const dataSize = pcm.length * 2;
+  const out = Buffer.alloc(44 + dataSize);
+  out.write('RIFF', 0);
+  out.writeUInt32LE(36 + dataSize, 4);
+  out.write('WAVE', 8);
+  out.write('fmt ', 12);
+  out.writeUInt32LE(16, 16);
+  out.writeUInt16LE(1, 20); // PCM
+  out.writeUInt16LE(1, 22); // mono
+  out.writeUInt32LE(sampleRate, 24);
+  out.writeUInt32LE(sampleRate * 2, 28);
+  out.writeUInt16LE(2, 32);
+  out.writeUInt16LE(16, 34);
+  out.write('data', 36);
+  out.writeUInt32LE(dataSize, 40);
+  for (let i = 0; i < pcm.length; i++) out.writeInt16LE(pcm[i], 44 + i * 2);
+  return out;
+}
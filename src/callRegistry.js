@@ -0,0 +1,80 @@
+// Live media sessions on this instance. The media handler adds a session when
+// a stream starts and removes it when the Twilio socket closes. Draining waits
+// on it before the process exits, and the supervisor console uses it to list
+// calls, follow their events and act on them.
+
+export function createCallRegistry() {
+  const sessions = new Map(); // callSid -> { info, actions, listeners }
+  const changeListeners = new Set();
+  let idleWaiters = [];
+
+  function changed() {
+    for (const listener of changeListeners) listener();
+  }
+
+  // `info` is plain data (listed as-is); `actions` are the session's controls
+  // ({ inject, say, transfer, hangup }). Returns a function that removes it.
+  function add(info, actions = {}) {
+    const session = { info, actions, listeners: new Set() };
+    sessions.set(info.callSid, session);
+    changed();
+    return () => {
+      if (sessions.get(info.callSid) !== session) return;
+      sessions.delete(info.callSid);
+      changed();
+      if (sessions.size === 0) {
+        idleWaiters.forEach((resolve) => resolve());
+        idleWaiters = [];
+      }
+    };
+  }
+
+  // Fan an event (turn, tool call, audio...) out to whoever follows the call.
+  function publish(callSid, event) {
+    const session = sessions.get(callSid);
+    if (!session) return;
+    for (const listener of session.listeners) listener(event);
+  }
+
+  // Returns an unsubscribe function, or null if the call isn't active here.
+  function subscribe(callSid, listener) {
+    const session = sessions.get(callSid);
+    if (!session) return null;
+    session.listeners.add(listener);
+    return () => session.listeners.delete(listener);
+  }
+
+  function onChange(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  }
+
+  // Resolves true once no calls are active, or false after timeoutMs.
+  function waitForIdle(timeoutMs) {
+    if (sessions.size === 0) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+      const timer = setTimeout(() => {
+        idleWaiters = idleWaiters.filter((waiter) => waiter !== done);
+        resolve(false);
+      }, timeoutMs);
+      idleWaiters.push(done);
+    });
+  }
+
+  return {
+    add,
+    publish,
+    subscribe,
+    onChange,
+    actions: (callSid) => (sessions.has(callSid) ? sessions.get(callSid).actions : null),
+    list: () => [...sessions.values()].map((session) => session.info),
+    get size() {
+      return sessions.size;
+    },
+    waitForIdle
+  };
+}
@@ -0,0 +1,182 @@
+import { registry } from './tools.js';
+import { collectedFields } from './recovery.js';
+import { referenceFor } from './sms.js';
+
+// Post-call report for dispatch, built when a call ends and POSTed to the
+// tenant's call summary webhook: a short summary, a disposition, urgency,
+// sentiment and which required intake fields never got collected.
+//
+// The report is written by a text model (Chat Completions, JSON output) from the
+// call record's transcript and tool calls. `baseUrl` can point at a local stub
+// server for tests. If the model can't be reached or answers with something
+// unusable, the report is filled in from the tool calls alone (source: "rules").
+
+export const DISPOSITIONS = ['new_order', 'existing_update', 'status_inquiry', 'spam', 'hang_up_before_intake', 'other'];
+export const URGENCY_REASONS = ['crew_missing', 'detention'];
+export const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+const MAX_TRANSCRIPT_CHARS = 12000;
+
+// The intake tool whose required fields count for a disposition.
+const INTAKE_TOOL = { new_order: 'submit_new_intake', existing_update: 'report_existing_issue' };
+
+const SYSTEM_PROMPT = [
+  'You review phone calls to a lumper services dispatch line and write a report for the dispatchers.',
+  'Reply with a JSON object only, with these keys:',
+  '- summary: two or three plain sentences on what the caller wanted and what was done.',
+  `- disposition: one of ${DISPOSITIONS.join(', ')}. new_order is a request for a crew; existing_update is a`,
+  '  change or problem on a load already booked; status_inquiry is a caller only asking where things stand;',
+  '  hang_up_before_intake is a caller who left before their request was taken; spam is a robocall, sales',
+  '  pitch or wrong number.',
+  `- urgency_reasons: a list using only ${URGENCY_REASONS.join(', ')}. crew_missing when a crew has not shown`,
+  '  up at the dock; detention when a driver is waiting and detention time is running. Empty if neither.',
+  `- sentiment: the caller's mood, one of ${SENTIMENTS.join(', ')}.`,
+  '- missing_fields: the field names, from the required list given for the disposition (for a hang-up,',
+  '  the list for what they were asking for), that the caller never gave. Empty when the request was',
+  '  submitted, and for spam, status_inquiry and other.',
+  'Write the summary in English whatever language the call was in.'
+].join('\n');
+
+function requiredFor(tools) {
+  return [...new Set(registry.filter((t) => tools.includes(t.name)).flatMap((t) => t.parameters.required))];
+}
+
+function delivered(record, name) {
+  return record.toolCalls.some((t) => t.name === name && t.result && t.result.delivery_status !== undefined);
+}
+
+// The call as the model sees it: what happened around it, the tool calls and
+// the transcript (the end of it, for very long calls).
+export function reportPrompt(record, personaName) {
+  const lines = [
+    `Call ${record.direction}, ${record.language}, ended by ${record.endReason || 'unknown'}.`,
+    `Caller: ${record.contact && record.contact.found ? `known contact (${record.contact.company || 'no company'})` : 'not a known contact'}.`,
+    `Required fields for new_order: ${requiredFor([INTAKE_TOOL.new_order]).join(', ')}.`,
+    `Required fields for existing_update: ${requiredFor([INTAKE_TOOL.existing_update]).join(', ')}.`,
+    '',
+    'Tool calls:'
+  ];
+  for (const t of record.toolCalls) {
+    const outcome = t.result && t.result.delivery_status !== undefined ? 'submitted' : (t.result && t.result.error) || 'done';
+    lines.push(`- ${t.name} (${outcome}): ${JSON.stringify(t.arguments)}`);
+  }
+  if (!record.toolCalls.length) lines.push('(none)');
+  lines.push('', 'Transcript:');
+  let transcript = record.turns
+    .map((turn) => `${turn.speaker === 'caller' ? 'Caller' : personaName}: ${turn.text}`)
+    .join('\n');
+  if (transcript.length > MAX_TRANSCRIPT_CHARS) transcript = `(earlier turns omitted)\n${transcript.slice(-MAX_TRANSCRIPT_CHARS)}`;
+  lines.push(transcript || '(nobody spoke)');
+  return lines.join('\n');
+}
+
+// What can be told without the model: the disposition from the tool calls,
+// urgency from a few telltale phrases, and the fields the intake tools never got.
+export function ruleReport(record) {
+  let disposition = 'other';
+  if (delivered(record, 'submit_new_intake')) {
+    disposition = 'new_order';
+  } else if (delivered(record, 'report_existing_issue')) {
+    disposition = 'existing_update';
+  } else if (record.toolCalls.some((t) => t.name === 'check_load_status')) {
+    disposition = 'status_inquiry';
+  } else if (record.direction === 'inbound' && ['twilio_stop', 'twilio_disconnected'].includes(record.endReason)) {
+    disposition = 'hang_up_before_intake';
+  }
+  const said = record.turns.filter((t) => t.speaker === 'caller').map((t) => t.text).join('\n');
+  const urgencyReasons = [];
+  if (/\b(crew|lumpers?|cuadrilla)\b.{0,40}\b(not here|no[- ]show|didn'?t show|never showed|hasn'?t (shown|arrived)|not (shown|arrived)|missing|no ha llegado|no llegó)/i.test(said)) {
+    urgencyReasons.push('crew_missing');
+  }
+  if (/\bdetention\b|clock is running|on the clock|detención/i.test(said)) urgencyReasons.push('detention');
+  // A hang-up counts against whichever intake the model had started, if any.
+  const tools = disposition === 'hang_up_before_intake'
+    ? Object.values(INTAKE_TOOL).filter((name) => record.toolCalls.some((t) => t.name === name))
+    : [INTAKE_TOOL[disposition]];
+  const collected = collectedFields(record);
+  const missing = requiredFor(tools).filter((field) => !collected[field]);
+  return { summary: '', disposition, urgency_reasons: urgencyReasons, sentiment: 'neutral', missing_fields: missing };
+}
+
+// Keeps the model's answer to the known values; null when it isn't usable.
+function sanitize(answer, record) {
+  if (!answer || typeof answer.summary !== 'string' || !DISPOSITIONS.includes(answer.disposition)) return null;
+  const required = requiredFor(answer.disposition === 'hang_up_before_intake' ? Object.values(INTAKE_TOOL) : [INTAKE_TOOL[answer.disposition]]);
+  const missing = delivered(record, INTAKE_TOOL[answer.disposition])
+    ? []
+    : (Array.isArray(answer.missing_fields) ? answer.missing_fields : []).filter((field) => required.includes(field));
+  return {
+    summary: answer.summary.trim(),
+    disposition: answer.disposition,
+    urgency_reasons: (Array.isArray(answer.urgency_reasons) ? answer.urgency_reasons : []).filter((r) => URGENCY_REASONS.includes(r)),
+    sentiment: SENTIMENTS.includes(answer.sentiment) ? answer.sentiment : 'neutral',
+    missing_fields: [...new Set(missing)]
+  };
+}
+
+// Never throws: a model failure falls back to ruleReport().
+export async function buildCallReport(record, { personaName, textModel, log }) {
+  let report = null;
+  if (textModel) {
+    try {
+      report = sanitize(await textModel.completeJson({ system: SYSTEM_PROMPT, user: reportPrompt(record, personaName) }), record);
+      if (!report) log.warn({ callSid: record.callSid }, 'Call report: unusable model answer, using rules');
+    } catch (err) {
+      log.warn({ err, callSid: record.callSid }, 'Call report: model call failed, using rules');
+    }
+  }
+  const source = report ? 'model' : 'rules';
+  report = report || ruleReport(record);
+  return {
+    type: 'call_summary',
+    call_sid: record.callSid,
+    reference: referenceFor(record.callSid),
+    tenant: record.tenant,
+    direction: record.direction,
+    caller: record.caller,
+    language: record.language,
+    started_at: record.startedAt,
+    ended_at: record.endedAt,
+    end_reason: record.endReason,
+    duration_seconds: record.endedAt ? Math.round((Date.parse(record.endedAt) - Date.parse(record.startedAt)) / 1000) : null,
+    summary: report.summary,
+    disposition: report.disposition,
+    urgent: report.urgency_reasons.length > 0,
+    urgency_reasons: report.urgency_reasons,
+    sentiment: report.sentiment,
+    missing_fields: report.missing_fields,
+    tools: record.toolCalls.map((t) => t.name),
+    source
+  };
+}
+
+// Minimal Chat Completions client returning the parsed JSON answer.
+export function createTextModel({ apiKey, model, baseUrl = 'https://api.openai.com/v1', timeoutMs = 20000 }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  async function completeJson({ system, user }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const resp = await fetch(url, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          response_format: { type: 'json_object' },
+          messages: [{ role: 'system', content: system }, { role: 'user', content: user }]
+        }),
+        signal: controller.signal
+      });
+      const text = await resp.text();
+      if (!resp.ok) throw new Error(`Text model request failed: ${resp.status} ${text.slice(0, 200)}`.trim());
+      const data = JSON.parse(text);
+      return JSON.parse(data.choices[0].message.content);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return { model, completeJson };
+}
@@ -0,0 +1,155 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Per-call records saved as one JSON file per callSid under `dir`.
+// A record fills in as the call goes and is rewritten on every change, so a
+// crash mid-call still leaves everything up to the last turn on disk.
+
+const SAFE_SID = /^[A-Za-z0-9_-]+$/;
+
+function parseMaybeJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function digits10(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+export function createCallStore({ dir, log }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function fileFor(callSid) {
+    if (!SAFE_SID.test(callSid || '')) return null;
+    return path.join(dir, `${callSid}.json`);
+  }
+
+  function write(record) {
+    const file = fileFor(record.callSid);
+    if (!file) return;
+    try {
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(record, null, 2));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (err) {
+      log.error({ err, callSid: record.callSid }, 'Failed to save call record');
+    }
+  }
+
+  // Returns a live handle for the media handler to append to. `onEvent` sees
+  // every turn, tool call, language change, text sent and the end (the supervisor console
+  // follows these).
+  function startCall({ callSid, streamSid, caller, tenant = 'default', mode = 'open', direction = 'inbound', language = 'en', onEvent = () => {} }) {
+    const record = {
+      callSid,
+      streamSid,
+      caller,
+      tenant,
+      mode,
+      direction,
+      language,
+      languageChanges: [],
+      contact: { found: false },
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      endReason: null,
+      turns: [],
+      toolCalls: [],
+      messages: [],
+      recording: null,
+      report: null
+    };
+    write(record);
+
+    return {
+      record,
+      setContact(contact) {
+        record.contact = contact;
+        write(record);
+      },
+      addTurn(speaker, text) {
+        if (!text || !text.trim()) return;
+        const turn = { speaker, text: text.trim(), at: new Date().toISOString() };
+        record.turns.push(turn);
+        write(record);
+        onEvent({ type: 'turn', ...turn });
+      },
+      // `source`: crm, keypad, detected or assistant.
+      setLanguage(next, source) {
+        if (next === record.language) return;
+        const change = { from: record.language, to: next, source, at: new Date().toISOString() };
+        record.language = next;
+        record.languageChanges.push(change);
+        write(record);
+        onEvent({ type: 'language', language: next, source });
+      },
+      setRecording(recording) {
+        record.recording = recording;
+        write(record);
+      },
+      // `arguments` as the tool used them; `rawArguments` what the model said for any
+      // normalized fields (see normalize.js).
+      addToolCall({ name, callId, arguments: args, rawArguments, result }) {
+        const toolCall = { name, callId, arguments: parseMaybeJson(args), result, at: new Date().toISOString() };
+        if (rawArguments && Object.keys(rawArguments).length) toolCall.rawArguments = rawArguments;
+        record.toolCalls.push(toolCall);
+        write(record);
+        onEvent({ type: 'tool_call', ...toolCall });
+      },
+      // A text sent during the call ({ sid, kind, to }); delivery status is in the SMS log.
+      addMessage(message) {
+        const entry = { ...message, at: new Date().toISOString() };
+        record.messages.push(entry);
+        write(record);
+        onEvent({ type: 'sms', ...entry });
+      },
+      // The post-call report (see callReport.js), once the call has ended.
+      setReport(report) {
+        record.report = report;
+        write(record);
+      },
+      // Returns true only for the call that actually ended the record.
+      end(reason) {
+        if (record.endedAt) return false;
+        record.endedAt = new Date().toISOString();
+        record.endReason = reason;
+        write(record);
+        onEvent({ type: 'call_ended', reason });
+        return true;
+      }
+    };
+  }
+
+  function get(callSid) {
+    const file = fileFor(callSid);
+    if (!file || !fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+
+  // Summaries (no turns/tool payloads), newest first. `from`/`to` are Dates
+  // compared against startedAt; `caller` matches on the last 10 digits.
+  function list({ caller, from, to } = {}) {
+    const wanted = caller ? digits10(caller) : null;
+    const records = [];
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.endsWith('.json')) continue;
+      let record;
+      try {
+        record = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8'));
+      } catch {
+        continue;
+      }
+      if (wanted && digits10(record.caller) !== wanted) continue;
+      if (from && record.startedAt < from.toISOString()) continue;
+      if (to && record.startedAt > to.toISOString()) continue;
+      const { turns, toolCalls, ...summary } = record;
+      records.push({ ...summary, turnCount: turns.length, tools: toolCalls.map((t) => t.name) });
+    }
+    return records.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  return { startCall, get, list };
+}
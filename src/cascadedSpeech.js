@@ -0,0 +1,239 @@
+import { decodeMulaw, encodeMulaw, encodeMonoWav, pcmFromBytes, resample, rms, PHONE_SAMPLE_RATE } from './audio.js';
+
+// Cascaded adapter for speech.js: the caller's audio goes through speech-to-text
+// (/audio/transcriptions), the conversation through Chat Completions (with the
+// same tools), and the answer through text-to-speech (/audio/speech) back to
+// the phone. All plain HTTP against `apiBaseUrl`, so a stub server can stand in.
+//
+// Turn taking is an energy detector on the phone audio: a chunk louder than
+// speech.speechThreshold (RMS, 0..1) starts the caller's turn, speech.silenceMs
+// of quiet ends it. The turn (with a little audio from before it started) is
+// transcribed and answered. Three failed requests in a row close the session,
+// which the bridge treats like a dropped Realtime connection.
+//
+// Audio: mu-law 8kHz in, a 16-bit WAV to the transcriber; 24kHz PCM from TTS,
+// resampled and mu-law encoded for Twilio.
+
+const TTS_SAMPLE_RATE = 24000; // response_format "pcm"
+const BYTES_PER_MS = PHONE_SAMPLE_RATE / 1000;
+const AUDIO_CHUNK_BYTES = 1600; // 200ms per audio event
+const PREFIX_MS = 300;
+const MIN_TURN_MS = 200; // voiced audio needed before a turn is worth transcribing
+const MAX_FAILURES = 3;
+
+export function connectCascaded(speech, { apiKey, apiBaseUrl = 'https://api.openai.com/v1', log, onOpen, onEvent, onClose }) {
+  const root = apiBaseUrl.replace(/\/+$/, '');
+  let config = { instructions: '', voice: speech.ttsVoice, temperature: undefined, transcriptionModel: '' };
+  let tools = [];
+  const history = []; // chat messages after the system prompt
+  const items = new Map(); // itemId -> { entry, text, totalMs } for truncating what wasn't heard
+  const pendingToolCalls = new Set();
+  let deferredInstructions = null; // respond() calls waiting on tool results
+  let current = null; // { id, controller, done } for the response in progress
+  let responseSeq = 0;
+  let itemSeq = 0;
+  let failures = 0;
+  let opened = false;
+  let closed = false;
+
+  // Caller turn detection.
+  let speaking = false;
+  let voicedMs = 0;
+  let quietMs = 0;
+  let prefix = [];
+  let turn = [];
+
+  async function post(path, body, { signal, binary = false } = {}) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+    const timer = setTimeout(abort, speech.timeoutMs);
+    try {
+      const form = body instanceof FormData;
+      const resp = await fetch(`${root}${path}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${apiKey}`, ...(form ? {} : { 'Content-Type': 'application/json' }) },
+        body: form ? body : JSON.stringify(body),
+        signal: controller.signal
+      });
+      if (!resp.ok) throw new Error(`POST ${path} failed: ${resp.status} ${(await resp.text()).slice(0, 200)}`.trim());
+      return binary ? Buffer.from(await resp.arrayBuffer()) : await resp.json();
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+
+  function fail(err) {
+    log.error({ err }, 'Cascaded speech request failed');
+    onEvent({ type: 'error', error: { message: err.message } });
+    if (++failures >= MAX_FAILURES) close();
+  }
+
+  function sendAudio(payload) {
+    if (closed) return;
+    const bytes = Buffer.from(payload, 'base64');
+    const ms = bytes.length / BYTES_PER_MS;
+    const loud = rms(decodeMulaw(bytes)) >= speech.speechThreshold;
+    if (!speaking) {
+      prefix.push(bytes);
+      while (prefix.length > 1 && (prefix.reduce((sum, b) => sum + b.length, 0) / BYTES_PER_MS) > PREFIX_MS) prefix.shift();
+      if (!loud) return;
+      speaking = true;
+      voicedMs = ms;
+      quietMs = 0;
+      turn = prefix;
+      prefix = [];
+      onEvent({ type: 'speech_started' });
+      return;
+    }
+    turn.push(bytes);
+    if (loud) {
+      voicedMs += ms;
+      quietMs = 0;
+      return;
+    }
+    quietMs += ms;
+    if (quietMs < speech.silenceMs) return;
+    speaking = false;
+    onEvent({ type: 'speech_stopped' });
+    const audio = Buffer.concat(turn);
+    turn = [];
+    if (voicedMs >= MIN_TURN_MS) transcribe(audio).catch(fail);
+  }
+
+  async function transcribe(audio) {
+    const form = new FormData();
+    form.append('model', speech.sttModel || config.transcriptionModel);
+    form.append('file', new Blob([encodeMonoWav(decodeMulaw(audio))], { type: 'audio/wav' }), 'caller.wav');
+    const data = await post('/audio/transcriptions', form);
+    failures = 0;
+    const text = String(data.text || '').trim();
+    if (!text || closed) return;
+    onEvent({ type: 'transcript', speaker: 'caller', text });
+    history.push({ role: 'user', content: text });
+    respond();
+  }
+
+  // A response waits until every tool call from the last answer has its result;
+  // the follow-up instructions of each are kept for it.
+  function respond({ instructions } = {}) {
+    if (closed) return;
+    if (pendingToolCalls.size) {
+      deferredInstructions = [deferredInstructions, instructions].filter(Boolean).join('\n') || null;
+      return;
+    }
+    const combined = [deferredInstructions, instructions].filter(Boolean).join('\n');
+    deferredInstructions = null;
+    stop(current);
+    const response = { id: `resp_${++responseSeq}`, controller: new AbortController(), done: false };
+    current = response;
+    onEvent({ type: 'response_started', id: response.id });
+    answer(response, combined)
+      .catch((err) => {
+        if (!response.controller.signal.aborted) fail(err);
+      })
+      .finally(() => finish(response));
+  }
+
+  function finish(response) {
+    if (response.done) return;
+    response.done = true;
+    if (current === response) current = null;
+    onEvent({ type: 'response_done', id: response.id });
+  }
+
+  // A response being replaced or cancelled is done right away, not when its
+  // aborted requests get around to failing.
+  function stop(response) {
+    if (!response) return;
+    response.controller.abort();
+    finish(response);
+  }
+
+  async function answer(response, instructions) {
+    const { signal } = response.controller;
+    const messages = [{ role: 'system', content: config.instructions }, ...history];
+    if (instructions) messages.push({ role: 'system', content: instructions });
+    const data = await post('/chat/completions', {
+      model: speech.chatModel,
+      temperature: config.temperature,
+      messages,
+      ...(tools.length ? { tools } : {})
+    }, { signal });
+    failures = 0;
+    if (signal.aborted) return;
+    const message = data.choices[0].message;
+    if (message.tool_calls && message.tool_calls.length) {
+      history.push({ role: 'assistant', content: message.content || null, tool_calls: message.tool_calls });
+      message.tool_calls.forEach((toolCall) => pendingToolCalls.add(toolCall.id));
+      for (const toolCall of message.tool_calls) {
+        onEvent({ type: 'tool_call', name: toolCall.function.name, callId: toolCall.id, arguments: toolCall.function.arguments });
+      }
+      return;
+    }
+    const text = String(message.content || '').trim();
+    if (!text) return;
+    const entry = { role: 'assistant', content: text };
+    history.push(entry);
+    let pcm;
+    try {
+      pcm = await post('/audio/speech', { model: speech.ttsModel, voice: config.voice, input: text, response_format: 'pcm' }, { signal, binary: true });
+    } catch (err) {
+      history.splice(history.indexOf(entry), 1); // never said
+      throw err;
+    }
+    if (signal.aborted) {
+      history.splice(history.indexOf(entry), 1);
+      return;
+    }
+    const audio = encodeMulaw(resample(pcmFromBytes(pcm), TTS_SAMPLE_RATE, PHONE_SAMPLE_RATE));
+    const itemId = `item_${++itemSeq}`;
+    items.set(itemId, { entry, text, totalMs: audio.length / BYTES_PER_MS });
+    for (let offset = 0; offset < audio.length; offset += AUDIO_CHUNK_BYTES) {
+      onEvent({ type: 'audio', itemId, payload: audio.subarray(offset, offset + AUDIO_CHUNK_BYTES).toString('base64') });
+    }
+    onEvent({ type: 'transcript', speaker: 'assistant', text });
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    stop(current);
+    setImmediate(onClose);
+  }
+
+  setImmediate(() => {
+    if (closed) return;
+    opened = true;
+    onOpen();
+  });
+
+  return {
+    configure(next) {
+      config = { ...config, ...next, voice: speech.ttsVoice || next.voice };
+      tools = (next.tools || []).map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } }));
+    },
+    sendAudio,
+    respond,
+    addMessage(role, text) {
+      history.push({ role, content: text });
+    },
+    submitToolResult(callId, output) {
+      history.push({ role: 'tool', tool_call_id: callId, content: JSON.stringify(output) });
+      pendingToolCalls.delete(callId);
+    },
+    // What the caller didn't hear is cut from the assistant's message, so the
+    // model knows where it was interrupted.
+    interrupt({ heard = [], cancel = false } = {}) {
+      for (const { itemId, audioEndMs } of heard) {
+        const item = items.get(itemId);
+        if (!item || audioEndMs >= item.totalMs) continue;
+        item.entry.content = `${item.text.slice(0, Math.round((item.text.length * audioEndMs) / item.totalMs))}…`;
+      }
+      if (cancel) stop(current);
+    },
+    isOpen: () => opened && !closed,
+    close
+  };
+}
@@ -0,0 +1,214 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import YAML from 'yaml';
+import { LANGUAGES } from './language.js';
+
+// Conversation flows live in FLOWS_DIR as .yaml/.yml/.json files:
+//
+//   id: new-caller
+//   audience: new                # "new", "returning" or "outbound"
+//   greeting: "{{brand}}. {{persona}} speaking. How can I help you?"
+//   instructions: |
+//     You are "{{brand}}." Start by saying: "{{greeting}}"
+//     INTAKE (Ask one by one): {{intake_fields}}
+//   intake:
+//     - { field: first_name, label: First Name, readBack: repeat }
+//     - { field: email, label: Email, readBack: spell }
+//
+// Outbound flows (calls we place, see POST /calls/outbound) also need a
+// `voicemail` script, read out when an answering machine picks up, and can use
+// the call's context fields: {{eta}}, {{location}}, {{details}}.
+//
+// A flow is written in English and can carry translations, used when the call
+// is in that language (see language.js). Each needs its own greeting and
+// instructions (and voicemail, for outbound flows); `intake` relabels fields:
+//
+//   translations:
+//     es:
+//       greeting: "{{brand}}. Habla {{persona}}. ¿En qué le puedo ayudar?"
+//       instructions: |
+//         ...
+//       intake: { first_name: Nombre, email: Correo electrónico }
+//
+// Substitution is line-based: {{name}} or {{name|fallback}}. A line whose
+// variable has no value and no fallback is dropped, so placeholders like
+// "Unknown" never reach the model.
+
+const VARIABLES = new Set([
+  'brand',
+  'persona',
+  'first_name',
+  'company',
+  'email',
+  'load_number',
+  'reservation_number',
+  'caller_phone',
+  'eta',
+  'location',
+  'details',
+  'greeting',
+  'intake_fields',
+  'read_back'
+]);
+const READ_BACK = ['none', 'repeat', 'spell'];
+const AUDIENCES = ['new', 'returning', 'outbound'];
+const PLACEHOLDER = /\{\{\s*([a-z_]+)\s*(?:\|([^}]*))?\}\}/g;
+
+function placeholders(template) {
+  return [...String(template).matchAll(PLACEHOLDER)].map((m) => m[1]);
+}
+
+export function validateFlow(flow, source) {
+  const errors = [];
+  const where = source || flow.id || 'flow';
+  if (!flow.id || typeof flow.id !== 'string') errors.push(`${where}: id is required`);
+  if (!AUDIENCES.includes(flow.audience)) errors.push(`${where}: audience must be one of ${AUDIENCES.join(', ')}`);
+  if (flow.audience === 'outbound' && (!flow.voicemail || typeof flow.voicemail !== 'string')) {
+    errors.push(`${where}: outbound flows need a voicemail script`);
+  }
+  if (!flow.greeting || typeof flow.greeting !== 'string') errors.push(`${where}: greeting is required`);
+  if (!flow.instructions || typeof flow.instructions !== 'string') errors.push(`${where}: instructions is required`);
+  if (flow.intake !== undefined && !Array.isArray(flow.intake)) errors.push(`${where}: intake must be a list`);
+  for (const [i, item] of (Array.isArray(flow.intake) ? flow.intake : []).entries()) {
+    if (!item || !item.field || !item.label) errors.push(`${where}: intake[${i}] needs field and label`);
+    if (item && item.readBack && !READ_BACK.includes(item.readBack)) {
+      errors.push(`${where}: intake[${i}].readBack must be one of ${READ_BACK.join(', ')}`);
+    }
+  }
+  const templates = [flow.greeting, flow.instructions, flow.voicemail].map((t) => (typeof t === 'string' ? t : ''));
+  if (flow.translations !== undefined && (typeof flow.translations !== 'object' || Array.isArray(flow.translations))) {
+    errors.push(`${where}: translations must map language codes to a greeting and instructions`);
+  }
+  for (const [code, translation] of Object.entries(flow.translations || {})) {
+    const at = `${where}: translations.${code}`;
+    if (!LANGUAGES[code] || code === 'en') {
+      errors.push(`${at}: unknown language (have ${Object.keys(LANGUAGES).filter((c) => c !== 'en').join(', ')})`);
+      continue;
+    }
+    if (!translation || typeof translation.greeting !== 'string') errors.push(`${at}.greeting is required`);
+    if (!translation || typeof translation.instructions !== 'string') errors.push(`${at}.instructions is required`);
+    if (flow.audience === 'outbound' && !(translation && typeof translation.voicemail === 'string')) {
+      errors.push(`${at}.voicemail is required for outbound flows`);
+    }
+    if (translation && translation.intake !== undefined && (typeof translation.intake !== 'object' || Array.isArray(translation.intake))) {
+      errors.push(`${at}.intake must map fields to labels`);
+    }
+    if (translation) {
+      templates.push(...[translation.greeting, translation.instructions, translation.voicemail].map((t) => (typeof t === 'string' ? t : '')));
+    }
+  }
+  for (const name of templates.flatMap(placeholders)) {
+    if (!VARIABLES.has(name)) errors.push(`${where}: unknown variable {{${name}}}`);
+  }
+  const greetings = [flow.greeting, ...Object.values(flow.translations || {}).map((t) => t && t.greeting)];
+  if (greetings.some((g) => placeholders(g || '').includes('greeting'))) errors.push(`${where}: greeting can't reference {{greeting}}`);
+  return errors;
+}
+
+function parseFile(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  return file.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+}
+
+// Loads and validates every flow in `dir`; throws listing all problems.
+// `checkFlow(flow)` can add app-level checks (returns error strings).
+export function loadFlows(dir, { checkFlow = () => [] } = {}) {
+  const flows = new Map();
+  const errors = [];
+  for (const name of fs.readdirSync(dir).sort()) {
+    if (!/\.(ya?ml|json)$/.test(name)) continue;
+    let flow;
+    try {
+      flow = parseFile(path.join(dir, name));
+    } catch (err) {
+      errors.push(`${name}: ${err.message}`);
+      continue;
+    }
+    const problems = validateFlow(flow || {}, name);
+    if (!problems.length) problems.push(...checkFlow({ intake: [], ...flow }).map((problem) => `${name}: ${problem}`));
+    if (problems.length) {
+      errors.push(...problems);
+    } else if (flows.has(flow.id)) {
+      errors.push(`${name}: duplicate flow id "${flow.id}"`);
+    } else {
+      flows.set(flow.id, { intake: [], ...flow });
+    }
+  }
+  if (errors.length) {
+    throw new Error(`Invalid flow files in ${dir}:\n  ${errors.join('\n  ')}`);
+  }
+  return flows;
+}
+
+// Values end up inside quoted prompt text: keep them to one short line.
+function clean(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/\s+/g, ' ').replaceAll('"', "'").trim().slice(0, 200);
+}
+
+// Fills {{name}} / {{name|fallback}}; a line whose value is missing is dropped.
+// Also fills the SMS templates (sms.js).
+export function substitute(template, vars) {
+  return String(template)
+    .split('\n')
+    .flatMap((line) => {
+      let missing = false;
+      const out = line.replace(PLACEHOLDER, (_, name, fallback) => {
+        const value = clean(vars[name]);
+        if (value) return value;
+        if (fallback !== undefined) return fallback.trim();
+        missing = true;
+        return '';
+      });
+      return missing ? [] : [out];
+    })
+    .join('\n');
+}
+
+function readBackRules(intake, phrases) {
+  const repeat = intake.filter((f) => f.readBack === 'repeat' || f.readBack === 'spell').map((f) => f.label);
+  const spell = intake.filter((f) => f.readBack === 'spell').map((f) => f.label);
+  const parts = [];
+  if (repeat.length) parts.push(phrases.readBack(repeat.join(', ')));
+  if (spell.length) parts.push(phrases.spell(spell.join(', ')));
+  return parts.join(' ');
+}
+
+// `vars` holds brand/persona/contact values; intake_fields, read_back and
+// greeting are derived from the flow itself. `overrides.greeting` replaces the
+// flow's greeting (e.g. the after-hours one) everywhere it's referenced, and
+// `overrides.language` picks a translation. `language` in the result is the
+// language the text is actually written in: English when there's no translation.
+export function renderFlow(flow, vars, overrides = {}) {
+  const translation = (flow.translations || {})[overrides.language];
+  const language = translation ? overrides.language : 'en';
+  const source = translation || flow;
+  const intake = flow.intake.map((f) => ({ ...f, label: (translation && translation.intake && translation.intake[f.field]) || f.label }));
+  const derived = {
+    ...vars,
+    intake_fields: intake.map((f) => f.label).join(', '),
+    read_back: readBackRules(intake, LANGUAGES[language])
+  };
+  const greeting = overrides.greeting || substitute(source.greeting, derived).replace(/\s+/g, ' ').trim();
+  const instructions = substitute(source.instructions, { ...derived, greeting });
+  const voicemail = source.voicemail ? substitute(source.voicemail, derived).replace(/\s+/g, ' ').trim() : undefined;
+  return { greeting, instructions, voicemail, language };
+}
+
+// Template variables for a tenant + GHL contact (see ghl.js). `context` holds an
+// outbound call's fields and wins over what GHL has on file.
+export function flowVariables(tenant, contact = {}, callerPhone = '', context = {}) {
+  return {
+    brand: tenant.brand,
+    persona: tenant.personaName,
+    first_name: context.first_name || contact.firstName,
+    company: context.company || contact.company,
+    email: contact.email,
+    load_number: context.load_number || contact.load_number,
+    reservation_number: context.reservation_number || contact.reservation_number,
+    caller_phone: callerPhone,
+    eta: context.eta,
+    location: context.location,
+    details: context.details
+  };
+}
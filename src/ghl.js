@@ -0,0 +1,208 @@
+import { toE164, last10 } from './phone.js';
+
+// GoHighLevel (LeadConnector v2) adapter: contact lookup with a TTL cache,
+// contact upsert, call notes and pipeline opportunities.
+//
+// Custom fields are mapped by configured field IDs (fieldIds.loadNumber,
+// fieldIds.reservationNumber, fieldIds.language) rather than by guessing from
+// field names.
+
+const API_VERSION = '2021-07-28';
+
+export function createGhlClient({
+  token,
+  locationId,
+  baseUrl = 'https://services.leadconnectorhq.com',
+  fieldIds = {},
+  pipeline = {},
+  timeoutMs = 8000,
+  cacheTtlMs = 5 * 60 * 1000,
+  log
+}) {
+  const root = baseUrl.replace(/\/+$/, '');
+  const authHeader = token && token.startsWith('Bearer ') ? token : `Bearer ${token}`;
+  const cache = new Map(); // E.164 -> { expires, contact }
+
+  async function request(method, path, { query, body } = {}) {
+    const url = new URL(`${root}${path}`);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) url.searchParams.set(key, value);
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const resp = await fetch(url, {
+        method,
+        headers: {
+          Authorization: authHeader,
+          Version: API_VERSION,
+          Accept: 'application/json',
+          ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+      const text = await resp.text();
+      const data = text ? JSON.parse(text) : {};
+      if (!resp.ok) {
+        const err = new Error(`GHL ${method} ${path} failed: ${resp.status}`);
+        err.status = resp.status;
+        throw err;
+      }
+      return data;
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        throw new Error(`GHL ${method} ${path} timed out after ${timeoutMs}ms`);
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function fieldValue(contact, fieldId) {
+    if (!fieldId || !Array.isArray(contact.customFields)) return '';
+    const field = contact.customFields.find((f) => f.id === fieldId);
+    return (field && (field.value ?? field.field_value)) || '';
+  }
+
+  function toContact(raw) {
+    return {
+      found: true,
+      id: raw.id,
+      firstName: raw.firstName || '',
+      company: raw.companyName || '',
+      email: raw.email || '',
+      phone: toE164(raw.phone) || raw.phone || '',
+      load_number: String(fieldValue(raw, fieldIds.loadNumber)),
+      reservation_number: String(fieldValue(raw, fieldIds.reservationNumber)),
+      language: String(fieldValue(raw, fieldIds.language))
+    };
+  }
+
+  // Exact phone matches first, then the most recently updated contact.
+  function pickBest(contacts, phone) {
+    const updated = (c) => Date.parse(c.dateUpdated || c.dateAdded || 0) || 0;
+    const byRecency = [...contacts].sort((a, b) => updated(b) - updated(a));
+    return byRecency.find((c) => toE164(c.phone) === phone) || byRecency[0] || null;
+  }
+
+  async function lookupContact(phoneNumber) {
+    const phone = toE164(phoneNumber);
+    if (!phone) return { found: false };
+    const cached = cache.get(phone);
+    if (cached && cached.expires > Date.now()) return cached.contact;
+
+    let contact = { found: false };
+    try {
+      const data = await request('GET', '/contacts/', {
+        query: { locationId, query: last10(phone), limit: 20 }
+      });
+      const best = pickBest(data.contacts || [], phone);
+      if (best) contact = toContact(best);
+    } catch (err) {
+      // Don't cache failures: the next call should try again.
+      log.warn({ err }, 'GHL contact lookup failed');
+      return { found: false };
+    }
+    cache.set(phone, { expires: Date.now() + cacheTtlMs, contact });
+    return contact;
+  }
+
+  // Create or update a contact from intake fields. Returns the contact id.
+  async function upsertContact({ phone, firstName, companyName, email, loadNumber, reservationNumber }) {
+    const customFields = [];
+    if (fieldIds.loadNumber && loadNumber) customFields.push({ id: fieldIds.loadNumber, field_value: loadNumber });
+    if (fieldIds.reservationNumber && reservationNumber) {
+      customFields.push({ id: fieldIds.reservationNumber, field_value: reservationNumber });
+    }
+    const body = { locationId, phone: toE164(phone) || phone };
+    if (firstName) body.firstName = firstName;
+    if (companyName) body.companyName = companyName;
+    if (email) body.email = email;
+    if (customFields.length) body.customFields = customFields;
+    const data = await request('POST', '/contacts/upsert', { body });
+    const e164 = toE164(phone);
+    if (e164) cache.delete(e164);
+    return data.contact && data.contact.id;
+  }
+
+  async function addNote(contactId, text) {
+    await request('POST', `/contacts/${encodeURIComponent(contactId)}/notes`, { body: { body: text } });
+  }
+
+  // Moves the contact's open opportunity in the configured pipeline to
+  // `stage` (a key of pipeline.stages), creating one if there is none.
+  async function upsertOpportunity(contactId, { stage, name }) {
+    const stageId = pipeline.stages && pipeline.stages[stage];
+    if (!pipeline.id || !stageId) return null;
+    const data = await request('GET', '/opportunities/search', {
+      query: { location_id: locationId, contact_id: contactId, pipeline_id: pipeline.id, status: 'open' }
+    });
+    const existing = (data.opportunities || [])[0];
+    if (existing) {
+      if (existing.pipelineStageId !== stageId) {
+        await request('PUT', `/opportunities/${encodeURIComponent(existing.id)}`, { body: { pipelineStageId: stageId } });
+      }
+      return existing.id;
+    }
+    const created = await request('POST', '/opportunities/', {
+      body: { locationId, pipelineId: pipeline.id, pipelineStageId: stageId, contactId, name, status: 'open' }
+    });
+    return created.opportunity && created.opportunity.id;
+  }
+
+  return { configured: Boolean(token && locationId), lookupContact, upsertContact, addNote, upsertOpportunity };
+}
+
+function toolArgs(record, name) {
+  const calls = record.toolCalls.filter((t) => t.name === name && t.result && t.result.error !== 'invalid_arguments');
+  return calls.length ? calls[calls.length - 1].arguments : null;
+}
+
+function callNote(record, personaName) {
+  const lines = [`AI call ${record.callSid} on ${record.startedAt} (${record.endReason || 'ended'})`];
+  for (const t of record.toolCalls) {
+    lines.push(`- ${t.name}: ${JSON.stringify(t.arguments)}`);
+  }
+  if (record.turns.length) {
+    lines.push('', 'Transcript:');
+    for (const turn of record.turns) {
+      lines.push(`${turn.speaker === 'caller' ? 'Caller' : personaName}: ${turn.text}`);
+    }
+  }
+  return lines.join('\n').slice(0, 10000);
+}
+
+// Calls without a tool call need this many caller turns to be worth a CRM
+// entry, so hang-ups and wrong numbers don't become contacts.
+const MIN_CALLER_TURNS = 2;
+
+// After a call: create/update the contact from the intake, attach a call note,
+// and create or move the pipeline opportunity.
+export async function syncCallToCrm(ghl, { record, contact, personaName }) {
+  const intake = toolArgs(record, 'submit_new_intake');
+  const update = toolArgs(record, 'report_existing_issue');
+  const callerTurns = record.turns.filter((turn) => turn.speaker === 'caller').length;
+  if (!record.toolCalls.length && callerTurns < MIN_CALLER_TURNS) return null;
+
+  let contactId = contact.found ? contact.id : null;
+  if (!contactId || intake) {
+    // A withheld or malformed caller ID has nothing to key a contact on.
+    const phone = toE164(intake && intake.phone) || toE164(record.caller);
+    if (!phone) return null;
+    contactId = await ghl.upsertContact(intake
+      ? { phone, firstName: intake.first_name, companyName: intake.company_name, email: intake.email }
+      : { phone, firstName: update && update.caller_name });
+  }
+  if (!contactId) return null;
+
+  await ghl.addNote(contactId, callNote(record, personaName));
+  if (intake || update) {
+    const name = intake
+      ? `${intake.company_name || intake.first_name} - ${intake.job_city || 'new order'}`
+      : `Load ${update.load_number}`;
+    await ghl.upsertOpportunity(contactId, { stage: intake ? 'newOrder' : 'existingUpdate', name });
+  }
+  return contactId;
+}
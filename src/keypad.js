@@ -0,0 +1,80 @@
+// Keypad (DTMF) input on the media stream.
+//
+// Entry: the request_keypad_entry tool opens an entry for one field; Mike asks
+// the caller to key it in followed by #. Digits are collected until #, the
+// inter-digit timeout, or maxDigits; with no first digit within
+// firstDigitTimeoutMs the entry ends empty. The bridge then hands the value to
+// the model as confirmed.
+//
+// Global keys (tenant keypad.globalKeys, e.g. { "0": "dispatcher", "*": "repeat" })
+// work at any time, except that while an entry is open 0-9 and # belong to it.
+
+export const KEYPAD_ACTIONS = ['dispatcher', 'repeat'];
+
+// Fields an entry can be for, with how Mike names them.
+export const KEYPAD_FIELDS = {
+  load_number: { en: 'load number', es: 'número de carga' },
+  reservation_number: { en: 'reservation number', es: 'número de reservación' }
+};
+
+// "0:dispatcher,*:repeat" -> { "0": "dispatcher", "*": "repeat" }
+export function parseGlobalKeys(value) {
+  return Object.fromEntries(String(value || '')
+    .split(',')
+    .map((pair) => pair.split(':').map((part) => part.trim()))
+    .filter(([key, action]) => key && action));
+}
+
+export function validateGlobalKeys(globalKeys) {
+  const errors = [];
+  for (const [key, action] of Object.entries(globalKeys || {})) {
+    if (!/^[0-9*#]$/.test(key)) errors.push(`"${key}" is not a keypad key`);
+    if (!KEYPAD_ACTIONS.includes(action)) errors.push(`"${key}": unknown action "${action}" (have ${KEYPAD_ACTIONS.join(', ')})`);
+  }
+  return errors;
+}
+
+// One open entry. press() returns true when the key was taken by the entry.
+// onDone({ field, digits, reason }) runs once; reason is terminator | timeout |
+// max_digits | no_input.
+export function createKeypadEntry({ field, digitTimeoutMs = 5000, firstDigitTimeoutMs = 15000, maxDigits = 20, onDone }) {
+  let digits = '';
+  let done = false;
+  let timer = setTimeout(() => finish(), firstDigitTimeoutMs);
+
+  function finish(reason = digits ? 'timeout' : 'no_input') {
+    if (done) return;
+    done = true;
+    clearTimeout(timer);
+    onDone({ field, digits, reason });
+  }
+
+  function press(key) {
+    if (done) return false;
+    if (key === '#') {
+      finish(digits ? 'terminator' : 'no_input');
+      return true;
+    }
+    if (!/^[0-9]$/.test(key)) return false;
+    digits += key;
+    clearTimeout(timer);
+    if (digits.length >= maxDigits) {
+      finish('max_digits');
+    } else {
+      timer = setTimeout(() => finish(), digitTimeoutMs);
+    }
+    return true;
+  }
+
+  return {
+    field,
+    press,
+    cancel() {
+      done = true;
+      clearTimeout(timer);
+    },
+    get open() {
+      return !done;
+    }
+  };
+}
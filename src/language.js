@@ -0,0 +1,99 @@
+// Languages the assistant can hold a call in. Flows carry their own
+// translations (see flows.js); this covers the lines the bridge itself
+// produces: read-back rules, the greeting wrapper, the handoff line, the
+// call-limit prompts and the TwiML spoken when the assistant is gone.
+//
+// A call's language comes from, in order: a keypad choice at the start
+// (tenant languages.menu), the GHL contact's language field, the caller's first
+// utterance (languages.detect), then the tenant's default. Switching mid-call
+// (keypad, detection, the set_language tool) goes out as a session.update.
+
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    twilio: null, // <Say> default
+    menu: { digit: '1', prompt: 'For English, press 1.' },
+    sayExactly: (text) => `Say exactly: "${text}"`,
+    sayTranslated: (text) => `Say this to the caller in English, keeping the meaning: "${text}"`,
+    readBack: (labels) => `Read back ${labels}.`,
+    spell: (labels) => `Spell out ${labels} letter by letter (A-B-C).`,
+    directive: 'LANGUAGE: Speak English with the caller.',
+    switched: 'The caller chose English. Continue the call in English from here.',
+    lines: {
+      handoff: "I'm connecting you with a dispatcher now. One moment.",
+      apology: "I'm sorry, we're having technical trouble on our end.",
+      fallbackVoicemail: 'Please leave your name, number, and what you need after the tone, and we will call you right back.',
+      noDispatcher: 'Sorry, no dispatcher is available right now. Please leave your name, number, and load number after the tone.',
+      stillThere: 'Are you still there?',
+      silenceGoodbye: "I haven't heard anything for a while, so I'll end the call here. Please call back anytime. Goodbye.",
+      timeLimitGoodbye: "We've reached the time limit for this call. Please call back if you need anything else. Goodbye."
+    }
+  },
+  es: {
+    name: 'Spanish',
+    twilio: 'es-MX',
+    menu: { digit: '2', prompt: 'Para español, oprima el 2.' },
+    sayExactly: (text) => `Di exactamente: "${text}"`,
+    sayTranslated: (text) => `Say this to the caller in Spanish, keeping the meaning: "${text}"`,
+    readBack: (labels) => `Repite para confirmar: ${labels}.`,
+    spell: (labels) => `Deletrea ${labels} letra por letra (A-B-C).`,
+    directive: 'IDIOMA: Habla solo en español con la persona que llama, aunque estas instrucciones estén en inglés. Usa "usted".',
+    switched: 'La persona prefiere español. Continúa la llamada en español desde aquí.',
+    lines: {
+      handoff: 'Le comunico con un despachador ahora mismo. Un momento, por favor.',
+      apology: 'Lo sentimos, estamos teniendo problemas técnicos.',
+      fallbackVoicemail: 'Por favor deje su nombre, su número y lo que necesita después del tono, y le devolveremos la llamada.',
+      noDispatcher: 'Lo sentimos, no hay un despachador disponible en este momento. Por favor deje su nombre, su número y su número de carga después del tono.',
+      stillThere: '¿Sigue ahí?',
+      silenceGoodbye: 'No he escuchado nada en un rato, así que voy a terminar la llamada. Llámenos cuando guste. Adiós.',
+      timeLimitGoodbye: 'Llegamos al tiempo máximo de esta llamada. Si necesita algo más, vuelva a llamarnos. Adiós.'
+    }
+  }
+};
+
+const ALIASES = {
+  en: ['en', 'eng', 'english', 'ingles', 'inglés'],
+  es: ['es', 'spa', 'spanish', 'espanol', 'español', 'castellano']
+};
+
+// "Spanish", "Español", "es-MX" -> "es". Null for anything we don't speak.
+export function languageCode(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+  const base = text.split(/[-_]/)[0];
+  return Object.keys(ALIASES).find((code) => ALIASES[code].includes(text) || ALIASES[code].includes(base)) || null;
+}
+
+// Per-language value: { en: '...', es: '...' } picks the call's language, falling
+// back to English; anything else is returned as-is.
+export function localized(value, language) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  return value[language] ?? value.en;
+}
+
+const SPANISH_WORDS = new Set([
+  'hola', 'sí', 'si', 'buenos', 'buenas', 'días', 'dias', 'tardes', 'gracias', 'por', 'favor',
+  'necesito', 'quiero', 'tengo', 'estoy', 'llamo', 'llamando', 'para', 'con', 'una', 'el', 'la',
+  'los', 'las', 'de', 'del', 'que', 'qué', 'es', 'mi', 'en', 'un', 'camión', 'camion', 'carga',
+  'trabajadores', 'habla', 'español', 'espanol', 'ayuda', 'cuándo', 'cuando', 'dónde', 'donde', 'nosotros'
+]);
+const ENGLISH_WORDS = new Set([
+  'hi', 'hello', 'yes', 'yeah', 'the', 'a', 'an', 'i', 'i\'m', 'im', 'need', 'want', 'have', 'my',
+  'is', 'are', 'to', 'for', 'with', 'calling', 'about', 'this', 'that', 'truck', 'load', 'crew',
+  'we', 'you', 'can', 'please', 'thanks', 'thank', 'good', 'morning', 'afternoon', 'where', 'when'
+]);
+
+// Guess from the caller's first utterance. Null when it's too short or mixed to
+// tell ("okay", a name, a number).
+export function detectLanguage(text) {
+  const words = String(text || '').toLowerCase().match(/[a-záéíóúüñ']+/g) || [];
+  let es = /[ñ¿¡]/.test(text) ? 2 : 0;
+  let en = 0;
+  for (const word of words) {
+    if (SPANISH_WORDS.has(word)) es++;
+    if (ENGLISH_WORDS.has(word)) en++;
+  }
+  if (es >= 2 && es > en * 2) return 'es';
+  if (en >= 2 && en > es * 2) return 'en';
+  return null;
+}
@@ -0,0 +1,93 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { toE164 } from './phone.js';
+
+// Call admission for /twilio/voice: blocked/allowed caller lists (managed
+// through the admin routes) and concurrency caps. The per-call limits
+// (max duration, caller silence) live in the media handler.
+
+const LISTS = ['blocked', 'allowed'];
+
+export function numberKey(number) {
+  return toE164(number) || String(number || '').trim();
+}
+
+// Caller lists saved as one JSON file: { blocked: { "+1555...": { reason, addedAt } }, allowed: {...} }.
+// A number is on at most one list: adding it to one takes it off the other.
+export function createCallerLists({ filePath, log }) {
+  let lists = { blocked: {}, allowed: {} };
+  if (fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      lists = { blocked: saved.blocked || {}, allowed: saved.allowed || {} };
+    } catch (err) {
+      log.error({ err, filePath }, 'Caller lists file is unreadable; starting empty');
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(lists, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  function add(list, number, { reason = '' } = {}) {
+    const key = numberKey(number);
+    for (const other of LISTS) delete lists[other][key];
+    lists[list][key] = { reason, addedAt: new Date().toISOString() };
+    save();
+    return { number: key, list, ...lists[list][key] };
+  }
+
+  // Returns false if the number wasn't on the list.
+  function remove(list, number) {
+    const key = numberKey(number);
+    if (!lists[list][key]) return false;
+    delete lists[list][key];
+    save();
+    return true;
+  }
+
+  // 'blocked' | 'allowed' | null
+  function statusOf(number) {
+    const key = numberKey(number);
+    return LISTS.find((list) => lists[list][key]) || null;
+  }
+
+  function list() {
+    return Object.fromEntries(LISTS.map((name) => [
+      name,
+      Object.entries(lists[name]).map(([number, entry]) => ({ number, ...entry }))
+    ]));
+  }
+
+  return { add, remove, statusOf, list };
+}
+
+// Concurrency caps (0 = no cap). Live calls come from the call registry, but a
+// call only shows up there once its media stream starts, a second or two after
+// /twilio/voice answered it; admitted calls are held as pending until then so a
+// burst can't slip past the cap.
+export function createAdmission({ maxCalls = 0, maxPerCaller = 0, pendingMs = 30000 } = {}) {
+  const pending = new Map(); // callSid -> { caller, until }
+
+  // `active` is the registry's call list ({ callSid, caller }). Returns null when
+  // the call is admitted, else 'max_calls' | 'max_per_caller'.
+  function admit({ callSid, caller, active }) {
+    const now = Date.now();
+    for (const [sid, entry] of pending) {
+      if (entry.until < now || active.some((call) => call.callSid === sid)) pending.delete(sid);
+    }
+    const calls = [...active, ...[...pending].map(([sid, entry]) => ({ callSid: sid, caller: entry.caller }))]
+      .filter((call) => call.callSid !== callSid);
+    if (maxCalls && calls.length >= maxCalls) return 'max_calls';
+    const key = numberKey(caller);
+    if (maxPerCaller && key && calls.filter((call) => numberKey(call.caller) === key).length >= maxPerCaller) {
+      return 'max_per_caller';
+    }
+    if (callSid) pending.set(callSid, { caller, until: now + pendingMs });
+    return null;
+  }
+
+  return { admit, started: (callSid) => pending.delete(callSid) };
+}
@@ -0,0 +1,179 @@
+import { toE164 } from './phone.js';
+
+// Cleans up intake fields the model copies from speech ("john at gmail dot com",
+// "tex", "five five five...") before they reach a webhook. Each normalizer
+// returns { value, lowConfidence? } or { error } with a message for the model.
+
+const EMAIL = /^[a-z0-9._%+-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+// Providers callers name without a TLD ("at gmail").
+const COM_PROVIDERS = ['gmail', 'yahoo', 'hotmail', 'outlook', 'aol', 'icloud', 'live', 'msn', 'comcast'];
+
+const DIGIT_WORDS = {
+  zero: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+// Zero only after another digit, and not before other words ("five oh one",
+// "one oh oh"); elsewhere "oh" is a filler ("oh, five five five...").
+const LETTER_ZEROS = ['oh', 'o'];
+
+const STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+  FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+  IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+  ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+  NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+  NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+  PA: 'Pennsylvania', PR: 'Puerto Rico', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+  VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+const STATE_KEYS = Object.entries(STATES).map(([code, name]) => ({ code, key: lettersOnly(name) }));
+
+function lettersOnly(text) {
+  return String(text).toLowerCase().replace(/[^a-z]/g, '');
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+export function normalizeEmail(input) {
+  const text = String(input).trim().toLowerCase();
+  if (EMAIL.test(text)) return { value: text };
+
+  let spoken = text
+    .replace(/\b([a-z0-9]) as in \w+/g, '$1')
+    .replace(/\b(double|triple) ([a-z0-9])\b/g, (_, times, c) => c.repeat(times === 'double' ? 2 : 3))
+    .replace(/\bat sign\b|\bat\b/g, ' @ ')
+    .replace(/\b(dot|period|point)\b/g, ' . ')
+    .replace(/\bunderscore\b/g, ' _ ')
+    .replace(/\b(dash|hyphen)\b/g, ' - ')
+    .replace(/\bplus\b/g, ' + ')
+    .replace(/\b(zero|one|two|three|four|five|six|seven|eight|nine)\b/g, (word) => DIGIT_WORDS[word])
+    // Letter-by-letter spelling with hyphens: "j-o-h-n".
+    .replace(/\b[a-z0-9](-[a-z0-9])+\b/g, (run) => run.replaceAll('-', ''))
+    .replace(/\s+/g, '')
+    .replace(/\.+$/, '');
+
+  const [local, domain] = spoken.split('@');
+  if (domain && COM_PROVIDERS.includes(domain)) spoken = `${local}@${domain}.com`;
+  if (!EMAIL.test(spoken)) return { error: 'is not a valid email address; ask the caller to spell it' };
+  return { value: spoken, lowConfidence: true };
+}
+
+// Spoken digits ("five five five, oh one two", "double seven") become digits;
+// any other words ("my number is") are ignored.
+function spokenDigits(text) {
+  const tokens = String(text).toLowerCase().match(/[a-z]+|\d+|\+/g) || [];
+  const isDigits = (token) => /^\d+$/.test(token) || Boolean(DIGIT_WORDS[token]);
+  // What's next to tokens[i] in `step`'s direction, past other zeros and "double":
+  // 'digit', 'word' or 'end'.
+  function beside(i, step) {
+    for (let j = i + step; j >= 0 && j < tokens.length; j += step) {
+      if (isDigits(tokens[j])) return 'digit';
+      if (!LETTER_ZEROS.includes(tokens[j]) && tokens[j] !== 'double' && tokens[j] !== 'triple') return 'word';
+    }
+    return 'end';
+  }
+  let out = '';
+  let repeat = 1;
+  for (const [i, token] of tokens.entries()) {
+    if (token === 'double' || token === 'triple') {
+      repeat = token === 'double' ? 2 : 3;
+      continue;
+    }
+    const zero = LETTER_ZEROS.includes(token) && beside(i, -1) === 'digit' && beside(i, 1) !== 'word';
+    const digits = /^\d+$/.test(token) ? token : zero ? '0' : DIGIT_WORDS[token];
+    if (token === '+' || token === 'plus') out += out ? '' : '+';
+    else if (digits) out += digits[0].repeat(repeat) + digits.slice(1);
+    repeat = 1;
+  }
+  return out;
+}
+
+// Falls back to the caller ID when what was said isn't a usable number.
+export function normalizePhone(input, { callerPhone } = {}) {
+  const said = input === undefined || input === null ? '' : String(input).trim();
+  const phone = said ? toE164(said) || toE164(spokenDigits(said)) : null;
+  if (phone) return { value: phone, lowConfidence: !toE164(said) };
+  const callerId = toE164(callerPhone);
+  if (callerId) return { value: callerId, lowConfidence: Boolean(said) };
+  return { error: 'is not a valid phone number; ask for the 10-digit number with area code' };
+}
+
+export function normalizeState(input) {
+  const key = lettersOnly(input);
+  if (key.length === 2 && STATES[key.toUpperCase()]) return { value: key.toUpperCase() };
+  const exact = STATE_KEYS.find((s) => s.key === key);
+  if (exact) return { value: exact.code };
+
+  // "tex", "cali": an unambiguous prefix.
+  const prefixed = key.length >= 3 ? STATE_KEYS.filter((s) => s.key.startsWith(key)) : [];
+  if (prefixed.length === 1) return { value: prefixed[0].code, lowConfidence: true };
+  // "Tenessee", "Louisianna": one closest name within two edits.
+  if (key.length >= 5) {
+    const scored = STATE_KEYS.map((s) => ({ ...s, distance: editDistance(key, s.key) }))
+      .sort((a, b) => a.distance - b.distance);
+    if (scored[0].distance <= 2 && scored[1].distance > scored[0].distance) {
+      return { value: scored[0].code, lowConfidence: true };
+    }
+  }
+  return { error: 'is not a US state; ask the caller which state the job is in' };
+}
+
+// "houston, texas" -> Houston (state: "texas", for when job_state wasn't given).
+export function normalizeCity(input) {
+  const [city, state] = String(input).split(',').map((part) => part.trim().replace(/\s+/g, ' '));
+  if (!city || !/[a-z]/i.test(city)) return { error: 'is not a city name; ask the caller for the city' };
+  const cased = city === city.toLowerCase() || city === city.toUpperCase()
+    ? city.toLowerCase().replace(/(^|[\s-])([a-z])/g, (_, sep, c) => sep + c.toUpperCase())
+    : city;
+  return { value: cased, state: state || null };
+}
+
+const NORMALIZERS = { email: normalizeEmail, phone: normalizePhone, state: normalizeState, city: normalizeCity };
+
+// `fields` maps argument names to a kind ({ email: 'email', job_state: 'state' }).
+// Returns { args, raw, lowConfidence, errors }: normalized args, what was said for
+// each field that changed, the fields worth a second look, and per-field errors.
+export function normalizeArgs(args, fields, { callerPhone } = {}) {
+  const out = { ...args };
+  const raw = {};
+  const lowConfidence = [];
+  const errors = [];
+  const blank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+  // A state spoken along with the city fills in a missing state field.
+  const cityField = Object.keys(fields).find((f) => fields[f] === 'city');
+
+  for (const [field, kind] of Object.entries(fields)) {
+    const value = args[field];
+    if (kind === 'state' && blank(value) && cityField && !blank(args[cityField])) {
+      const fromCity = normalizeCity(args[cityField]).state;
+      if (fromCity) out[field] = fromCity;
+    }
+    if (blank(out[field]) && kind !== 'phone') continue;
+
+    const result = NORMALIZERS[kind](out[field], { callerPhone });
+    if (result.error) {
+      errors.push({ field, message: result.error });
+      continue;
+    }
+    if (result.value !== value) {
+      if (!blank(value)) raw[field] = value;
+      out[field] = result.value;
+    }
+    if (result.lowConfidence) lowConfidence.push(field);
+  }
+  return { args: out, raw, lowConfidence, errors };
+}
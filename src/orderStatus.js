@@ -0,0 +1,142 @@
+import fs from 'node:fs';
+
+// Order status providers behind the check_load_status tool. A provider has
+//   kind                 'http' | 'file'
+//   find(number, { company }) -> order or null
+// where an order is { number, company, status, crew_size, eta, dock_appointment }.
+//
+// http: GET <url>?number=<n>&company=<c> (Bearer token optional). 404 = no such order;
+//       the body is the order, keyed as above (load_number / reservation_number also work).
+// file: a CSV or JSON array with the same columns, re-read when the file changes.
+//
+// Callers only ever see their own company's orders: lookupForCaller() checks the
+// order's company against the GHL contact, whatever the provider returned.
+
+function clean(value) {
+  return value === undefined || value === null || value === '' ? null : value;
+}
+
+function toOrder(row, number) {
+  return {
+    number: String(row.number || row.load_number || row.reservation_number || number),
+    company: clean(row.company),
+    status: clean(row.status),
+    crew_size: clean(row.crew_size) === null ? null : Number(row.crew_size),
+    eta: clean(row.eta),
+    dock_appointment: clean(row.dock_appointment)
+  };
+}
+
+const numberKey = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const companyKey = (value) => String(value || '').toLowerCase()
+  .replace(/[^a-z0-9 ]/g, '')
+  .replace(/\b(inc|llc|ltd|corp|co|company)\b/g, '')
+  .replace(/\s+/g, '');
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some((value) => value.trim())) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  if (row.some((value) => value.trim())) rows.push(row);
+
+  const [header = [], ...body] = rows;
+  const keys = header.map((key) => key.trim().toLowerCase());
+  return body.map((values) => Object.fromEntries(keys.map((key, i) => [key, (values[i] || '').trim()])));
+}
+
+function createFileProvider({ path }) {
+  let loaded = { mtimeMs: -1, rows: [] };
+
+  function rows() {
+    const { mtimeMs } = fs.statSync(path);
+    if (mtimeMs !== loaded.mtimeMs) {
+      const text = fs.readFileSync(path, 'utf-8');
+      loaded = { mtimeMs, rows: path.endsWith('.json') ? JSON.parse(text) : parseCsv(text) };
+    }
+    return loaded.rows;
+  }
+
+  return {
+    kind: 'file',
+    async find(number) {
+      const wanted = numberKey(number);
+      const row = rows().find((r) => [r.number, r.load_number, r.reservation_number].some((n) => n && numberKey(n) === wanted));
+      return row ? toOrder(row, number) : null;
+    }
+  };
+}
+
+function createHttpProvider({ url, token, timeoutMs }) {
+  return {
+    kind: 'http',
+    async find(number, { company } = {}) {
+      const target = new URL(url);
+      target.searchParams.set('number', number);
+      if (company) target.searchParams.set('company', company);
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const resp = await fetch(target, {
+          headers: { Accept: 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+          signal: controller.signal
+        });
+        if (resp.status === 404) return null;
+        if (!resp.ok) throw new Error(`Order status lookup failed: ${resp.status}`);
+        return toOrder(await resp.json(), number);
+      } catch (err) {
+        if (err.name === 'AbortError') throw new Error(`Order status lookup timed out after ${timeoutMs}ms`);
+        throw err;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+// Returns null when the config doesn't name a usable provider.
+export function createOrderStatusProvider({ provider, url, token, path, timeoutMs = 5000 } = {}) {
+  if (provider === 'http' && url) return createHttpProvider({ url, token, timeoutMs });
+  if (provider === 'file' && path) return createFileProvider({ path });
+  return null;
+}
+
+// { found: true, order } | { found: false }. An order for another company reads as
+// not found, so a caller can't probe for other customers' numbers. Numbers on the
+// caller's own GHL contact record always count as theirs.
+export async function lookupForCaller(provider, number, contact) {
+  const order = await provider.find(number, { company: contact.company });
+  if (!order) return { found: false };
+  const ownNumber = [contact.load_number, contact.reservation_number].some((n) => n && numberKey(n) === numberKey(number));
+  const sameCompany = Boolean(contact.company) && Boolean(order.company) && companyKey(contact.company) === companyKey(order.company);
+  if (!sameCompany && !ownNumber) return { found: false };
+  return { found: true, order };
+}
@@ -0,0 +1,59 @@
+import { toE164 } from './phone.js';
+
+// Outbound calls (POST /calls/outbound): Mike calls a customer with a purpose
+// (an outbound flow) and context fields. The context rides along on the TwiML
+// URL as ctx_<field> query params and then as ctx_<field> Stream <Parameter>s,
+// so no instance needs to remember the call.
+
+export const CONTEXT_FIELDS = ['first_name', 'company', 'load_number', 'reservation_number', 'eta', 'location', 'details'];
+
+// Twilio's final CallStatus for calls that never reached a conversation.
+const STATUS_OUTCOMES = { 'no-answer': 'no_answer', busy: 'busy', failed: 'failed', canceled: 'canceled' };
+
+// Validates the request body. Returns { errors } or { to, from, flow, context }.
+export function parseOutboundRequest(body, { flows, defaultFrom }) {
+  const errors = [];
+  const to = toE164(body.to);
+  if (!to) errors.push('to must be a phone number');
+  const from = toE164(body.from || defaultFrom);
+  if (!from) errors.push('from (or OUTBOUND_CALLER_ID) must be a phone number');
+  const flow = flows.get(body.flow);
+  if (!flow || flow.audience !== 'outbound') {
+    const known = [...flows.values()].filter((f) => f.audience === 'outbound').map((f) => f.id);
+    errors.push(`flow must be an outbound flow (${known.join(', ') || 'none configured'})`);
+  }
+  const context = {};
+  const raw = body.context === undefined ? {} : body.context;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push('context must be an object');
+  } else {
+    for (const [key, value] of Object.entries(raw)) {
+      if (!CONTEXT_FIELDS.includes(key)) {
+        errors.push(`context.${key} is not a known field (${CONTEXT_FIELDS.join(', ')})`);
+      } else if (value !== null && value !== undefined && value !== '') {
+        if (typeof value === 'object') errors.push(`context.${key} must be a string`);
+        else context[key] = String(value).slice(0, 200);
+      }
+    }
+  }
+  return errors.length ? { errors } : { to, from, flow, context };
+}
+
+export function contextParams(context) {
+  return Object.fromEntries(Object.entries(context).map(([key, value]) => [`ctx_${key}`, value]));
+}
+
+// Reads context back from query params or Stream custom parameters.
+export function contextFrom(params = {}) {
+  return Object.fromEntries(
+    CONTEXT_FIELDS.filter((field) => params[`ctx_${field}`]).map((field) => [field, String(params[`ctx_${field}`])])
+  );
+}
+
+export function outcomeForStatus(callStatus) {
+  return STATUS_OUTCOMES[callStatus] || (callStatus === 'completed' ? 'no_outcome' : null);
+}
+
+export function isMachine(answeredBy) {
+  return /^(machine|fax)/.test(answeredBy || '');
+}
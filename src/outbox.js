@@ -0,0 +1,215 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+// Durable webhook outbox backed by an append-only JSONL file.
+//
+// Every change to a delivery is appended as one line ({ op: 'put', delivery }),
+// and the file is replayed (last write wins) on startup, so a crash or redeploy
+// never loses a queued job. It is compacted on startup and then every
+// compactMs while the poller runs. Deliveries move through:
+//   pending -> delivered
+//   pending -> dead        (after maxAttempts failures; replayable by admin,
+//                           and re-queued when the same key is sent again)
+// Delivered entries are kept for retentionDays so a retried key is still
+// deduped after a restart, then dropped at the next compaction.
+
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What a tool tells the model about a delivery: 'delivered', 'queued_for_retry'
+// while the outbox keeps trying, or 'failed' once it has given up.
+export function deliveryStatus(delivery) {
+  if (delivery.status === 'delivered') return 'delivered';
+  return delivery.status === 'dead' ? 'failed' : 'queued_for_retry';
+}
+
+export function createOutbox({
+  filePath,
+  maxAttempts = 6,
+  retryBaseMs = 1000,
+  timeoutMs = 10000,
+  pollMs = 5000,
+  retentionDays = 7,
+  compactMs = 60 * 60 * 1000,
+  log
+}) {
+  const deliveries = new Map();
+  const inFlight = new Set();
+  let timer = null;
+  let compactedAt = 0;
+
+  function load() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (!fs.existsSync(filePath)) return;
+    const lines = fs.readFileSync(filePath, 'utf-8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.op === 'put' && entry.delivery?.id) {
+          deliveries.set(entry.delivery.id, entry.delivery);
+        }
+      } catch {
+        log.warn({ filePath }, 'Skipping corrupt outbox line');
+      }
+    }
+    compact();
+  }
+
+  // One line per delivery, minus old delivered ones.
+  function compact() {
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+    for (const [id, delivery] of deliveries) {
+      if (delivery.status === 'delivered' && delivery.deliveredAt < cutoff) deliveries.delete(id);
+    }
+    const compacted = [...deliveries.values()].map((delivery) => JSON.stringify({ op: 'put', delivery })).join('\n');
+    fs.writeFileSync(`${filePath}.tmp`, compacted ? `${compacted}\n` : '');
+    fs.renameSync(`${filePath}.tmp`, filePath);
+    compactedAt = Date.now();
+  }
+
+  function persist(delivery) {
+    delivery.updatedAt = new Date().toISOString();
+    deliveries.set(delivery.id, delivery);
+    fs.appendFileSync(filePath, `${JSON.stringify({ op: 'put', delivery })}\n`);
+  }
+
+  function findByKey(idempotencyKey) {
+    for (const delivery of deliveries.values()) {
+      if (delivery.idempotencyKey === idempotencyKey) return delivery;
+    }
+    return null;
+  }
+
+  function backoffMs(attempts) {
+    return Math.min(retryBaseMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  }
+
+  async function attempt(delivery) {
+    if (inFlight.has(delivery.id)) return delivery;
+    inFlight.add(delivery.id);
+    const controller = new AbortController();
+    const abortTimer = setTimeout(() => controller.abort(), timeoutMs);
+    let error = null;
+    try {
+      const resp = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': delivery.idempotencyKey
+        },
+        body: JSON.stringify(delivery.payload),
+        signal: controller.signal
+      });
+      if (!resp.ok) {
+        error = `HTTP ${resp.status}`;
+      }
+    } catch (err) {
+      error = err.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : err.message;
+    } finally {
+      clearTimeout(abortTimer);
+      inFlight.delete(delivery.id);
+    }
+
+    delivery.attempts += 1;
+    if (!error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      delivery.lastError = null;
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts >= maxAttempts) {
+      delivery.status = 'dead';
+      delivery.lastError = error;
+      delivery.nextAttemptAt = null;
+      log.error({ id: delivery.id, idempotencyKey: delivery.idempotencyKey, error }, 'Webhook delivery dead-lettered');
+    } else {
+      delivery.lastError = error;
+      delivery.nextAttemptAt = new Date(Date.now() + backoffMs(delivery.attempts)).toISOString();
+      log.warn({ id: delivery.id, attempts: delivery.attempts, error }, 'Webhook delivery failed, will retry');
+    }
+    persist(delivery);
+    return delivery;
+  }
+
+  // Queue a webhook and make the first attempt right away so the caller
+  // (usually a tool handler) learns the real outcome. Sending a key that
+  // dead-lettered starts it over, as an admin replay would.
+  async function send({ idempotencyKey, url, payload, meta = {} }) {
+    const existing = findByKey(idempotencyKey);
+    if (existing) {
+      if (existing.status === 'dead') return replay(existing.id);
+      return existing.status === 'pending' ? attempt(existing) : existing;
+    }
+    const now = new Date().toISOString();
+    const delivery = {
+      id: crypto.randomUUID(),
+      idempotencyKey,
+      url,
+      payload,
+      meta,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: now,
+      deliveredAt: null
+    };
+    persist(delivery);
+    return attempt(delivery);
+  }
+
+  async function processDue() {
+    const now = Date.now();
+    const due = [...deliveries.values()].filter(
+      (d) => d.status === 'pending' && !inFlight.has(d.id) && Date.parse(d.nextAttemptAt) <= now
+    );
+    for (const delivery of due) {
+      await attempt(delivery);
+    }
+  }
+
+  function list({ status } = {}) {
+    return [...deliveries.values()]
+      .filter((d) => !status || d.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Reset a dead (or stuck) delivery and try it again now.
+  async function replay(id) {
+    const delivery = deliveries.get(id);
+    if (!delivery) return null;
+    if (delivery.status === 'delivered') return delivery;
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = new Date().toISOString();
+    persist(delivery);
+    return attempt(delivery);
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      processDue().catch((err) => log.error({ err }, 'Outbox processing failed'));
+      // A long-running process would otherwise grow the file without limit.
+      if (Date.now() - compactedAt >= compactMs) {
+        try {
+          compact();
+        } catch (err) {
+          log.error({ err }, 'Outbox compaction failed');
+        }
+      }
+    }, pollMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  load();
+
+  return { send, list, get: (id) => deliveries.get(id) || null, replay, processDue, start, stop };
+}
@@ -0,0 +1,18 @@
+// Phone number helpers. We only serve North American numbers, so bare
+// 10-digit (or 1 + 10-digit) numbers are treated as +1.
+
+export function toE164(phone) {
+  const raw = String(phone || '').trim();
+  if (!raw) return null;
+  const digits = raw.replace(/\D/g, '');
+  if (raw.startsWith('+')) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+}
+
+export function last10(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
@@ -0,0 +1,53 @@
+// Tracks how much assistant audio the caller has actually heard.
+//
+// Every outbound audio chunk is followed by a Twilio `mark`; Twilio echoes the
+// mark back once playback reaches it. So for each assistant item we know the
+// ms sent and the ms confirmed played, which is what conversation.item.truncate
+// needs on barge-in.
+
+// g711 mu-law at 8kHz: one byte per sample, 8 bytes per millisecond.
+const BYTES_PER_MS = 8;
+
+export function createPlaybackTracker() {
+  let seq = 0;
+  const sentMs = new Map(); // itemId -> ms of audio sent to Twilio
+  const playedMs = new Map(); // itemId -> ms Twilio confirmed played
+  let pending = []; // [{ name, itemId, endMs }] in send order
+
+  // Returns the mark name to send to Twilio right after this chunk.
+  function onAudioDelta(itemId, base64) {
+    const ms = Buffer.from(base64, 'base64').length / BYTES_PER_MS;
+    const endMs = (sentMs.get(itemId) || 0) + ms;
+    sentMs.set(itemId, endMs);
+    const name = `audio:${++seq}`;
+    pending.push({ name, itemId, endMs });
+    return name;
+  }
+
+  // Returns false for marks we didn't issue (e.g. the transfer handoff mark).
+  function onMark(name) {
+    const index = pending.findIndex((mark) => mark.name === name);
+    if (index === -1) return false;
+    // Marks play in order: everything up to this one has been heard.
+    for (const mark of pending.slice(0, index + 1)) {
+      playedMs.set(mark.itemId, mark.endMs);
+    }
+    pending = pending.slice(index + 1);
+    return true;
+  }
+
+  function isPlaying() {
+    return pending.length > 0;
+  }
+
+  // Called on barge-in once Twilio's buffer is cleared. Returns the truncation
+  // point for every item that still had unplayed audio, then forgets them.
+  function interrupt() {
+    const itemIds = [...new Set(pending.map((mark) => mark.itemId))];
+    const cuts = itemIds.map((itemId) => ({ itemId, audioEndMs: Math.floor(playedMs.get(itemId) || 0) }));
+    pending = [];
+    return cuts;
+  }
+
+  return { onAudioDelta, onMark, isPlaying, interrupt, sentMs: (itemId) => sentMs.get(itemId) || 0 };
+}
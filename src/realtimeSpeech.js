@@ -0,0 +1,134 @@
+import WebSocket from 'ws';
+
+// OpenAI Realtime adapter for speech.js. The beta and GA APIs carry the same
+// conversation over one WebSocket but differ in the session shape and some
+// event names; DIALECTS holds those differences. Both take g711 mu-law
+// (Twilio's format) directly, so audio passes through untouched.
+
+const DIALECTS = {
+  beta: {
+    headers: { 'OpenAI-Beta': 'realtime=v1' },
+    session: (config) => ({
+      turn_detection: config.vad,
+      input_audio_format: 'g711_ulaw',
+      output_audio_format: 'g711_ulaw',
+      voice: config.voice,
+      instructions: config.instructions,
+      modalities: ['text', 'audio'],
+      input_audio_transcription: { model: config.transcriptionModel },
+      temperature: config.temperature,
+      tools: config.tools,
+      tool_choice: 'auto'
+    }),
+    audioDelta: 'response.audio.delta',
+    assistantTranscript: 'response.audio_transcript.done'
+  },
+  // GA has no session temperature, and nests the audio settings per direction.
+  ga: {
+    headers: {},
+    session: (config) => ({
+      type: 'realtime',
+      instructions: config.instructions,
+      output_modalities: ['audio'],
+      audio: {
+        input: {
+          format: { type: 'audio/pcmu' },
+          transcription: { model: config.transcriptionModel },
+          turn_detection: config.vad
+        },
+        output: { format: { type: 'audio/pcmu' }, voice: config.voice }
+      },
+      tools: config.tools,
+      tool_choice: 'auto'
+    }),
+    audioDelta: 'response.output_audio.delta',
+    assistantTranscript: 'response.output_audio_transcript.done'
+  }
+};
+
+export function connectRealtime(dialectName, { apiKey, realtimeUrl, model, log, onOpen, onEvent, onClose }) {
+  const dialect = DIALECTS[dialectName];
+  const ws = new WebSocket(`${realtimeUrl}?model=${encodeURIComponent(model)}`, {
+    headers: { Authorization: `Bearer ${apiKey}`, ...dialect.headers }
+  });
+
+  function send(event) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(event));
+  }
+
+  // Raw server event -> normalized event (see speech.js), or null.
+  function normalize(event) {
+    switch (event.type) {
+      case dialect.audioDelta:
+        return event.delta ? { type: 'audio', itemId: event.item_id, payload: event.delta } : null;
+      case dialect.assistantTranscript:
+        return { type: 'transcript', speaker: 'assistant', text: event.transcript };
+      case 'conversation.item.input_audio_transcription.completed':
+        return { type: 'transcript', speaker: 'caller', text: event.transcript };
+      case 'input_audio_buffer.speech_started':
+        return { type: 'speech_started' };
+      case 'input_audio_buffer.speech_stopped':
+        return { type: 'speech_stopped' };
+      case 'response.function_call_arguments.done':
+        return { type: 'tool_call', name: event.name, callId: event.call_id, arguments: event.arguments };
+      case 'response.created':
+        return { type: 'response_started', id: event.response && event.response.id };
+      case 'response.done':
+        return { type: 'response_done', id: event.response && event.response.id };
+      case 'error':
+        return { type: 'error', error: event.error };
+      default:
+        return null;
+    }
+  }
+
+  ws.on('open', onOpen);
+  ws.on('message', (data) => {
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (err) {
+      log.warn({ err }, 'Unparseable Realtime event');
+      return;
+    }
+    const normalized = normalize(event);
+    if (normalized) onEvent(normalized);
+  });
+  ws.on('error', (err) => {
+    log.error({ err }, 'OpenAI WebSocket error');
+  });
+  ws.on('close', onClose);
+
+  return {
+    configure(config) {
+      send({ type: 'session.update', session: dialect.session(config) });
+    },
+    sendAudio(payload) {
+      send({ type: 'input_audio_buffer.append', audio: payload });
+    },
+    respond({ instructions } = {}) {
+      send(instructions ? { type: 'response.create', response: { instructions } } : { type: 'response.create' });
+    },
+    addMessage(role, text) {
+      send({ type: 'conversation.item.create', item: { type: 'message', role, content: [{ type: 'input_text', text }] } });
+    },
+    submitToolResult(callId, output) {
+      send({ type: 'conversation.item.create', item: { type: 'function_call_output', call_id: callId, output: JSON.stringify(output) } });
+    },
+    interrupt({ heard = [], cancel = false } = {}) {
+      for (const { itemId, audioEndMs } of heard) {
+        send({ type: 'conversation.item.truncate', item_id: itemId, content_index: 0, audio_end_ms: audioEndMs });
+      }
+      if (cancel) send({ type: 'response.cancel' });
+    },
+    isOpen: () => ws.readyState === WebSocket.OPEN,
+    // A session that never opened (or stopped answering) is dropped outright.
+    close() {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.close();
+      } else if (ws.readyState === WebSocket.CONNECTING) {
+        ws.terminate();
+      }
+    }
+  };
+}
@@ -0,0 +1,109 @@
+import { decodeMulaw } from './audio.js';
+
+// Records both legs of a call into a stereo WAV (left = caller, right = assistant).
+//
+// Everything is kept as g711 mu-law (one byte per sample at 8kHz) and only
+// decoded to 16-bit PCM when the WAV is built. The two legs share one timeline:
+// - caller audio is placed at Twilio's media.timestamp (ms since stream start),
+//   so gaps in the inbound stream become silence;
+// - assistant audio plays back-to-back from the moment it reaches us, never
+//   earlier than "now" on the caller's clock;
+// - a barge-in `clear` drops assistant audio Twilio had queued but not played.
+
+const SAMPLE_RATE = 8000;
+const BYTES_PER_MS = SAMPLE_RATE / 1000;
+const MULAW_SILENCE = 0xff;
+
+// A growable mu-law buffer that can be written at any offset; holes are silence.
+function createTrack() {
+  let buf = Buffer.alloc(SAMPLE_RATE * 10, MULAW_SILENCE);
+  let length = 0;
+
+  function ensure(size) {
+    if (size <= buf.length) return;
+    const next = Buffer.alloc(Math.max(size, buf.length * 2), MULAW_SILENCE);
+    buf.copy(next, 0, 0, length);
+    buf = next;
+  }
+
+  return {
+    get length() {
+      return length;
+    },
+    writeAt(offset, bytes) {
+      ensure(offset + bytes.length);
+      bytes.copy(buf, offset);
+      length = Math.max(length, offset + bytes.length);
+    },
+    truncate(size) {
+      if (size >= length) return;
+      buf.fill(MULAW_SILENCE, size, length);
+      length = size;
+    },
+    bytes: () => buf.subarray(0, length)
+  };
+}
+
+export function encodeWav(left, right) {
+  const frames = Math.max(left.length, right.length);
+  const dataSize = frames * 4;
+  const out = Buffer.alloc(44 + dataSize);
+  out.write('RIFF', 0);
+  out.writeUInt32LE(36 + dataSize, 4);
+  out.write('WAVE', 8);
+  out.write('fmt ', 12);
+  out.writeUInt32LE(16, 16);
+  out.writeUInt16LE(1, 20); // PCM
+  out.writeUInt16LE(2, 22); // stereo
+  out.writeUInt32LE(SAMPLE_RATE, 24);
+  out.writeUInt32LE(SAMPLE_RATE * 4, 28);
+  out.writeUInt16LE(4, 32);
+  out.writeUInt16LE(16, 34);
+  out.write('data', 36);
+  out.writeUInt32LE(dataSize, 40);
+  for (let i = 0; i < frames; i++) {
+    out.writeInt16LE(i < left.length ? left[i] : 0, 44 + i * 4);
+    out.writeInt16LE(i < right.length ? right[i] : 0, 46 + i * 4);
+  }
+  return out;
+}
+
+export function createCallRecorder() {
+  const caller = createTrack();
+  const assistant = createTrack();
+  let callerClock = 0; // caller-side position in samples ("now")
+  let assistantCursor = 0; // where the next assistant chunk starts playing
+
+  function addInbound(base64, timestampMs) {
+    const bytes = Buffer.from(base64, 'base64');
+    const ts = timestampMs == null ? NaN : Number(timestampMs);
+    const at = Number.isFinite(ts) ? Math.round(ts * BYTES_PER_MS) : caller.length;
+    caller.writeAt(at, bytes);
+    callerClock = Math.max(callerClock, at + bytes.length);
+  }
+
+  function addOutbound(base64) {
+    const bytes = Buffer.from(base64, 'base64');
+    const at = Math.max(assistantCursor, callerClock);
+    assistant.writeAt(at, bytes);
+    assistantCursor = at + bytes.length;
+  }
+
+  // Barge-in: whatever was queued past "now" never reached the caller.
+  function clearOutbound() {
+    assistant.truncate(callerClock);
+    assistantCursor = Math.min(assistantCursor, callerClock);
+  }
+
+  function toWav() {
+    return encodeWav(decodeMulaw(caller.bytes()), decodeMulaw(assistant.bytes()));
+  }
+
+  return {
+    addInbound,
+    addOutbound,
+    clearOutbound,
+    toWav,
+    durationMs: () => Math.max(caller.length, assistant.length) / BYTES_PER_MS
+  };
+}
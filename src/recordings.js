@@ -0,0 +1,103 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createS3Client } from './s3.js';
+
+// Where call recordings (<callSid>.wav) live: a local directory (a Fly volume)
+// or an S3-compatible bucket. Both expose save/load/sweep, and start/stop run
+// the retention sweeper that deletes recordings older than retentionDays.
+
+const SAFE_SID = /^[A-Za-z0-9_-]+$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function directoryBackend(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  return {
+    async put(name, data) {
+      const file = path.join(dir, name);
+      await fs.promises.writeFile(`${file}.tmp`, data);
+      await fs.promises.rename(`${file}.tmp`, file);
+    },
+    async get(name) {
+      try {
+        return await fs.promises.readFile(path.join(dir, name));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async list() {
+      const names = (await fs.promises.readdir(dir)).filter((name) => name.endsWith('.wav'));
+      return Promise.all(names.map(async (name) => ({
+        name,
+        modified: (await fs.promises.stat(path.join(dir, name))).mtime
+      })));
+    },
+    remove: (name) => fs.promises.rm(path.join(dir, name), { force: true })
+  };
+}
+
+function s3Backend({ prefix = '', ...config }) {
+  const s3 = createS3Client(config);
+  return {
+    put: (name, data) => s3.putObject(`${prefix}${name}`, data, 'audio/wav'),
+    get: (name) => s3.getObject(`${prefix}${name}`),
+    async list() {
+      const objects = await s3.listObjects(prefix);
+      return objects
+        .filter((object) => object.key.endsWith('.wav'))
+        .map((object) => ({ name: object.key.slice(prefix.length), modified: object.lastModified }));
+    },
+    remove: (name) => s3.deleteObject(`${prefix}${name}`)
+  };
+}
+
+// `s3` (when it has a bucket) wins over `dir`.
+export function createRecordingStore({ dir, s3, retentionDays = 0, sweepMs = 60 * 60 * 1000, log }) {
+  const backend = s3 && s3.bucket ? s3Backend(s3) : directoryBackend(dir);
+  let timer = null;
+
+  function nameFor(callSid) {
+    return typeof callSid === 'string' && SAFE_SID.test(callSid) ? `${callSid}.wav` : null;
+  }
+
+  async function save(callSid, wav) {
+    const name = nameFor(callSid);
+    if (!name) throw new Error(`Invalid callSid for recording: ${callSid}`);
+    await backend.put(name, wav);
+    return name;
+  }
+
+  async function load(callSid) {
+    const name = nameFor(callSid);
+    return name ? backend.get(name) : null;
+  }
+
+  // Deletes recordings older than retentionDays; returns how many were removed.
+  async function sweep(now = Date.now()) {
+    if (!retentionDays) return 0;
+    const cutoff = now - retentionDays * DAY_MS;
+    let removed = 0;
+    for (const { name, modified } of await backend.list()) {
+      if (modified.getTime() >= cutoff) continue;
+      await backend.remove(name);
+      removed++;
+    }
+    if (removed) log.info({ removed, retentionDays }, 'Deleted expired recordings');
+    return removed;
+  }
+
+  function start() {
+    if (timer || !retentionDays) return;
+    const run = () => sweep().catch((err) => log.error({ err }, 'Recording retention sweep failed'));
+    run();
+    timer = setInterval(run, sweepMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { kind: s3 && s3.bucket ? 's3' : 'directory', save, load, sweep, start, stop };
+}
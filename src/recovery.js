@@ -0,0 +1,67 @@
+// What the bridge knows about a call when the OpenAI session drops: used to
+// brief a fresh session so it can pick up mid-conversation, and to flush a
+// partial intake if it can't.
+
+const INTAKE_TOOLS = ['submit_new_intake', 'report_existing_issue'];
+const MAX_SUMMARY_TURNS = 30;
+
+// A tool call that reached the webhook (delivered or queued in the outbox).
+function completed(toolCall) {
+  return toolCall.result && toolCall.result.delivery_status !== undefined;
+}
+
+export function intakeCompleted(record) {
+  return record.toolCalls.some((t) => INTAKE_TOOLS.includes(t.name) && completed(t));
+}
+
+// Fields the model has collected so far. Intake tools are only called once
+// everything is confirmed, so the partial values come from calls that were
+// sent back for missing fields (invalid_arguments), latest value winning.
+export function collectedFields(record) {
+  const fields = {};
+  for (const t of record.toolCalls) {
+    if (!INTAKE_TOOLS.includes(t.name) || !t.arguments || typeof t.arguments !== 'object') continue;
+    for (const [key, value] of Object.entries(t.arguments)) {
+      if (typeof value === 'string' ? value.trim() : value != null) fields[key] = value;
+    }
+  }
+  return fields;
+}
+
+export function conversationSummary(record, personaName) {
+  const lines = [];
+  const turns = record.turns.slice(-MAX_SUMMARY_TURNS);
+  if (turns.length < record.turns.length) lines.push('(earlier turns omitted)');
+  for (const turn of turns) {
+    lines.push(`${turn.speaker === 'caller' ? 'Caller' : personaName}: ${turn.text}`);
+  }
+  for (const t of record.toolCalls) {
+    const outcome = completed(t) ? 'submitted' : (t.result && t.result.error) || 'failed';
+    lines.push(`[${t.name} ${outcome}]`);
+  }
+  const fields = collectedFields(record);
+  if (Object.keys(fields).length) {
+    lines.push('', 'Fields collected so far:');
+    for (const [key, value] of Object.entries(fields)) lines.push(`- ${key}: ${value}`);
+  }
+  return lines.length ? lines.join('\n') : '(nothing said yet)';
+}
+
+// New-order webhook payload for a call that lost the assistant before the
+// intake was submitted. Returns null when there's nothing worth sending.
+export function partialIntake(record, { callerPhone, contact, reason, language = 'en' }) {
+  if (intakeCompleted(record)) return null;
+  const fields = collectedFields(record);
+  if (!Object.keys(fields).length && !record.turns.some((t) => t.speaker === 'caller')) return null;
+  return {
+    ...fields,
+    first_name: fields.first_name || fields.caller_name || (contact.found ? contact.firstName : '') || '',
+    company_name: fields.company_name || (contact.found ? contact.company : '') || '',
+    phone: fields.phone || callerPhone,
+    incomplete: true,
+    incomplete_reason: reason,
+    language,
+    call_sid: record.callSid,
+    transcript: record.turns.map((t) => ({ speaker: t.speaker, text: t.text }))
+  };
+}
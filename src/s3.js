@@ -0,0 +1,121 @@
+import crypto from 'node:crypto';
+
+// Minimal S3-compatible client (fetch + SigV4, no SDK). Path-style URLs, so it
+// works with AWS, Cloudflare R2, Tigris on Fly, MinIO, or a local stub.
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as SigV4 expects it.
+function encode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// SigV4 headers for one request. Signs host, x-amz-content-sha256 and x-amz-date;
+// `pathname` and `canonicalQuery` must already be encoded as they'll be sent.
+export function signRequest({ method, host, pathname, canonicalQuery = '', payloadHash, region, accessKeyId, secretAccessKey, now = new Date() }) {
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const day = amzDate.slice(0, 8);
+  const headers = { host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  const signedHeaders = Object.keys(headers).join(';');
+  const canonicalRequest = [
+    method,
+    pathname,
+    canonicalQuery,
+    ...Object.entries(headers).map(([k, v]) => `${k}:${v}`),
+    '',
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  let key = hmac(`AWS4${secretAccessKey}`, day);
+  for (const part of [region, 's3', 'aws4_request']) key = hmac(key, part);
+  const signature = crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+  return {
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+export function createS3Client({ endpoint, region = 'auto', bucket, accessKeyId, secretAccessKey, timeoutMs = 30000, now = () => new Date() }) {
+  const base = new URL(endpoint);
+
+  async function request(method, key, { query = {}, body, contentType } = {}) {
+    const prefix = base.pathname.replace(/\/+$/, '');
+    const pathname = `${prefix}/${encode(bucket)}${key ? `/${key.split('/').map(encode).join('/')}` : ''}`;
+    const canonicalQuery = Object.keys(query).sort()
+      .map((k) => `${encode(k)}=${encode(query[k])}`).join('&');
+    const url = `${base.origin}${pathname}${canonicalQuery ? `?${canonicalQuery}` : ''}`;
+    const headers = signRequest({
+      method,
+      host: base.host,
+      pathname,
+      canonicalQuery,
+      payloadHash: sha256(body || ''),
+      region,
+      accessKeyId,
+      secretAccessKey,
+      now: now()
+    });
+    if (contentType) headers['Content-Type'] = contentType;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const resp = await fetch(url, { method, headers, body, signal: controller.signal });
+      if (resp.status === 404 && method === 'GET' && key) return null;
+      if (!resp.ok) {
+        const err = new Error(`S3 ${method} ${key || bucket} failed: ${resp.status}`);
+        err.status = resp.status;
+        throw err;
+      }
+      return resp;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    async putObject(key, body, contentType) {
+      await request('PUT', key, { body, contentType });
+    },
+    // Resolves with a Buffer, or null if the object doesn't exist.
+    async getObject(key) {
+      const resp = await request('GET', key);
+      return resp ? Buffer.from(await resp.arrayBuffer()) : null;
+    },
+    async deleteObject(key) {
+      await request('DELETE', key);
+    },
+    // Every object under `prefix` as [{ key, lastModified: Date }], following pagination.
+    async listObjects(prefix = '') {
+      const objects = [];
+      let token = null;
+      do {
+        const query = { 'list-type': '2', prefix };
+        if (token) query['continuation-token'] = token;
+        const xml = await (await request('GET', '', { query })).text();
+        for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          const key = (entry.match(/<Key>([\s\S]*?)<\/Key>/) || [])[1];
+          const modified = (entry.match(/<LastModified>([\s\S]*?)<\/LastModified>/) || [])[1];
+          if (key) objects.push({ key: decodeXml(key), lastModified: new Date(modified) });
+        }
+        token = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+          ? decodeXml((xml.match(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/) || [])[1] || '')
+          : null;
+      } while (token);
+      return objects;
+    }
+  };
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
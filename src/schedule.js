@@ -0,0 +1,151 @@
+import fs from 'node:fs';
+
+// Business-hours schedule. Example (config/schedule.example.json):
+// {
+//   "timezone": "America/Chicago",
+//   "hours": { "mon": [["07:00", "19:00"]], ..., "sun": [] },
+//   "holidays": ["2025-12-25"],
+//   "afterHours": {
+//     "mode": "ai",                 // "ai" = after-hours persona, "voicemail" = skip the AI
+//     "greeting": "...",            // {{next_open}} is replaced, e.g. "tomorrow at 7am";
+//                                   // {{brand}} and {{persona}} come from the tenant
+//     "instructions": "...",
+//     "onCallNumbers": ["+1..."],   // urgent-only transfers after hours
+//     "voicemailMessage": "..."
+//   }
+// }
+// A tenant can override the text and on-call numbers with its own `afterHours`
+// (see tenants.js); the mode is the schedule's.
+
+export const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_AFTER_HOURS = {
+  mode: 'ai',
+  greeting: "Thanks for calling {{brand}}, this is {{persona}}. Our dispatch office is closed right now, but I can take down what you need and dispatch will call you back {{next_open}}.",
+  instructions: 'The dispatch office is CLOSED. Take a message using the normal intake steps and tell the caller dispatch will call back {{next_open}}. Only offer a transfer to the on-call dispatcher if the issue is urgent (for example a truck at the dock with no lumpers).',
+  onCallNumbers: [],
+  voicemailMessage: "Thanks for calling {{brand}}. Our office is closed. Please leave your name, number, and load number after the tone and dispatch will call you back {{next_open}}."
+};
+
+export function loadSchedule(filePath) {
+  if (!filePath) return null;
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return validateSchedule(raw);
+}
+
+export function validateSchedule(raw) {
+  const errors = [];
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: raw.timezone });
+  } catch {
+    errors.push(`invalid timezone: ${raw.timezone}`);
+  }
+  const hours = {};
+  for (const day of DAYS) {
+    const windows = (raw.hours && raw.hours[day]) || [];
+    for (const window of windows) {
+      const [start, end] = Array.isArray(window) ? window : [];
+      if (!HHMM.test(start || '') || !HHMM.test(end || '') || start >= end) {
+        errors.push(`hours.${day}: bad window ${JSON.stringify(window)} (want ["HH:MM","HH:MM"], start before end)`);
+      }
+    }
+    hours[day] = windows;
+  }
+  const holidays = raw.holidays || [];
+  for (const date of holidays) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) errors.push(`holidays: bad date ${date} (want YYYY-MM-DD)`);
+  }
+  const afterHours = { ...DEFAULT_AFTER_HOURS, ...(raw.afterHours || {}) };
+  if (!['ai', 'voicemail'].includes(afterHours.mode)) {
+    errors.push(`afterHours.mode must be "ai" or "voicemail"`);
+  }
+  if (errors.length) {
+    throw new Error(`Invalid schedule config:\n  ${errors.join('\n  ')}`);
+  }
+  return { timezone: raw.timezone, hours, holidays, afterHours };
+}
+
+// Wall-clock date (YYYY-MM-DD), time (HH:MM) and weekday of `date` in `timeZone`.
+export function localParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map((p) => [p.type, p.value])
+  );
+  return {
+    dayIndex: DAYS.indexOf(parts.weekday.toLowerCase().slice(0, 3)),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+export function spokenTime(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  const hour12 = h % 12 || 12;
+  return `${hour12}${m ? `:${String(m).padStart(2, '0')}` : ''}${h < 12 ? 'am' : 'pm'}`;
+}
+
+// "today at 7am", "tomorrow at 7am", "Monday at 7:30am"; null if nothing in two weeks.
+// Steps through calendar days of the local date: adding 24h would skip or
+// repeat a day across a DST change.
+export function nextOpening(schedule, now = new Date()) {
+  const today = localParts(now, schedule.timezone);
+  const [year, month, day] = today.date.split('-').map(Number);
+  for (let offset = 0; offset < 14; offset++) {
+    const calendarDay = new Date(Date.UTC(year, month - 1, day + offset));
+    const date = calendarDay.toISOString().slice(0, 10);
+    const dayIndex = calendarDay.getUTCDay();
+    if (schedule.holidays.includes(date)) continue;
+    const windows = schedule.hours[DAYS[dayIndex]]
+      .filter(([start]) => offset > 0 || start > today.time)
+      .sort(([a], [b]) => a.localeCompare(b));
+    if (!windows.length) continue;
+    const when = offset === 0 ? 'today' : offset === 1 ? 'tomorrow' : DAY_NAMES[dayIndex];
+    return `${when} at ${spokenTime(windows[0][0])}`;
+  }
+  return null;
+}
+
+// Which behavior applies right now. With no schedule configured we're always open.
+// Returns { mode: 'open' | 'after_hours' | 'voicemail', reason, timezone, localTime, nextOpen }
+export function scheduleModeAt(schedule, now = new Date()) {
+  if (!schedule) {
+    return { mode: 'open', reason: 'no_schedule', timezone: null, localTime: null, nextOpen: null };
+  }
+  const local = localParts(now, schedule.timezone);
+  const localTime = `${local.date} ${local.time}`;
+  let reason = 'closed';
+  if (schedule.holidays.includes(local.date)) {
+    reason = 'holiday';
+  } else if (schedule.hours[DAYS[local.dayIndex]].some(([start, end]) => local.time >= start && local.time < end)) {
+    return { mode: 'open', reason: 'business_hours', timezone: schedule.timezone, localTime, nextOpen: null };
+  }
+  return {
+    mode: schedule.afterHours.mode === 'voicemail' ? 'voicemail' : 'after_hours',
+    reason,
+    timezone: schedule.timezone,
+    localTime,
+    nextOpen: nextOpening(schedule, now)
+  };
+}
+
+// The schedule's after-hours settings with the tenant's overrides on top.
+export function afterHoursFor(schedule, tenant) {
+  return { ...schedule.afterHours, ...(tenant.afterHours || {}) };
+}
+
+export function fillAfterHours(text, { nextOpen, tenant }) {
+  return String(text || '')
+    .replaceAll('{{next_open}}', nextOpen || 'as soon as the office opens')
+    .replaceAll('{{brand}}', tenant.brand)
+    .replaceAll('{{persona}}', tenant.personaName);
+}
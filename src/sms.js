@@ -0,0 +1,187 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { substitute } from './flows.js';
+import { toE164 } from './phone.js';
+
+// Texts to callers through the Twilio Messaging API: the confirmation sent
+// after an intake tool, and whatever the assistant texts with send_sms.
+//
+// Bodies come from TEMPLATES, per kind and language, filled like flow text
+// ({{name}} / {{name|fallback}}; a line with a missing value is dropped).
+//
+// Sent messages, their delivery status (/twilio/sms-status) and opt-outs (a
+// STOP reply, or Twilio refusing an unsubscribed number) are kept in an
+// append-only JSONL file, replayed and compacted on startup like the outbox.
+// A reply is linked to the call that last texted that number.
+
+const MESSAGE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const TWILIO_UNSUBSCRIBED = 21610;
+
+const OPT_OUT_WORDS = ['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit', 'alto', 'parar'];
+const OPT_IN_WORDS = ['start', 'unstop'];
+// Also an everyday answer to a text, so it only opts back in a number that is opted out.
+const RESUBSCRIBE_WORDS = ['yes'];
+
+const TEMPLATES = {
+  submit_new_intake: {
+    en: [
+      '{{brand}}: we got your crew request, {{first_name|thank you}}.',
+      'Ref: {{reference}}',
+      'Location: {{location}}',
+      'Next: a dispatcher will call you shortly to confirm the details.',
+      'Reply STOP to opt out.'
+    ],
+    es: [
+      '{{brand}}: recibimos su solicitud de cuadrilla, {{first_name|gracias}}.',
+      'Ref: {{reference}}',
+      'Lugar: {{location}}',
+      'Siguiente paso: un despachador le llamará pronto para confirmar los detalles.',
+      'Responda STOP para no recibir más mensajes.'
+    ]
+  },
+  report_existing_issue: {
+    en: [
+      '{{brand}}: your update was sent to dispatch.',
+      'Ref: {{reference}}',
+      'Load/Reservation: {{load_number}}',
+      'Next: dispatch will review your notes and call you back shortly.',
+      'Reply STOP to opt out.'
+    ],
+    es: [
+      '{{brand}}: su actualización fue enviada a despacho.',
+      'Ref: {{reference}}',
+      'Carga/Reservación: {{load_number}}',
+      'Siguiente paso: despacho revisará sus notas y le llamará pronto.',
+      'Responda STOP para no recibir más mensajes.'
+    ]
+  },
+  message: {
+    en: ['{{brand}}: {{message}}', 'Ref: {{reference}}', 'Reply STOP to opt out.'],
+    es: ['{{brand}}: {{message}}', 'Ref: {{reference}}', 'Responda STOP para no recibir más mensajes.']
+  }
+};
+
+// Short reference for the call, quoted in texts and sent with the intake webhooks.
+export function referenceFor(callSid) {
+  return String(callSid || '').slice(-8).toUpperCase();
+}
+
+export function smsBody(kind, vars, language = 'en') {
+  const templates = TEMPLATES[kind];
+  return substitute((templates[language] || templates.en).join('\n'), vars);
+}
+
+// 'opt_out' | 'opt_in' | null for an inbound text from a number that is
+// (optedOut) or isn't on the opt-out list.
+export function keywordOf(body, { optedOut = false } = {}) {
+  const word = String(body || '').trim().toLowerCase().replace(/[.!]+$/, '');
+  if (OPT_OUT_WORDS.includes(word)) return 'opt_out';
+  if (OPT_IN_WORDS.includes(word) || (optedOut && RESUBSCRIBE_WORDS.includes(word))) return 'opt_in';
+  return null;
+}
+
+export function createSmsStore({ filePath, twilio, log }) {
+  const messages = new Map(); // sid -> message
+  const optOuts = new Map(); // E.164 -> { source, at }
+
+  function apply(entry) {
+    if (entry.op === 'message' && entry.message?.sid) messages.set(entry.message.sid, entry.message);
+    if (entry.op === 'opt_out') optOuts.set(entry.number, { source: entry.source, at: entry.at });
+    if (entry.op === 'opt_in') optOuts.delete(entry.number);
+  }
+
+  function load() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (!fs.existsSync(filePath)) return;
+    for (const line of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        apply(JSON.parse(line));
+      } catch {
+        log.warn({ filePath }, 'Skipping corrupt SMS log line');
+      }
+    }
+    const cutoff = new Date(Date.now() - MESSAGE_RETENTION_MS).toISOString();
+    for (const [sid, message] of messages) {
+      if (message.sentAt < cutoff) messages.delete(sid);
+    }
+    const lines = [
+      ...[...optOuts].map(([number, { source, at }]) => ({ op: 'opt_out', number, source, at })),
+      ...[...messages.values()].map((message) => ({ op: 'message', message }))
+    ].map((entry) => JSON.stringify(entry));
+    fs.writeFileSync(`${filePath}.tmp`, lines.length ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  function append(entry) {
+    apply(entry);
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+  }
+
+  load();
+
+  const isOptedOut = (number) => optOuts.has(toE164(number));
+
+  function optOut(number, source) {
+    const key = toE164(number);
+    if (!key || optOuts.has(key)) return;
+    append({ op: 'opt_out', number: key, source, at: new Date().toISOString() });
+    log.info({ number: key, source }, 'SMS opt-out recorded');
+  }
+
+  function optIn(number) {
+    const key = toE164(number);
+    if (!key || !optOuts.has(key)) return;
+    append({ op: 'opt_in', number: key, at: new Date().toISOString() });
+    log.info({ number: key }, 'SMS opt-in recorded');
+  }
+
+  // Resolves to { sent: true, sid, to } or { sent: false, error } where error is
+  // invalid_number | opted_out | send_failed. Never throws.
+  async function send({ from, to, body, statusCallback, callSid, kind }) {
+    const number = toE164(to);
+    if (!number) return { sent: false, error: 'invalid_number' };
+    if (isOptedOut(number)) {
+      log.info({ callSid, to: number, kind }, 'SMS not sent: number opted out');
+      return { sent: false, error: 'opted_out' };
+    }
+    try {
+      const created = await twilio.sendMessage({ To: number, From: from, Body: body, StatusCallback: statusCallback });
+      append({
+        op: 'message',
+        message: { sid: created.sid, callSid, kind, from, to: number, body, status: created.status || 'queued', errorCode: null, sentAt: new Date().toISOString() }
+      });
+      log.info({ callSid, messageSid: created.sid, kind }, 'SMS sent');
+      return { sent: true, sid: created.sid, to: number };
+    } catch (err) {
+      log.error({ err, callSid, to: number, kind }, 'SMS send failed');
+      if (err.code === TWILIO_UNSUBSCRIBED) {
+        optOut(number, 'carrier');
+        return { sent: false, error: 'opted_out' };
+      }
+      return { sent: false, error: 'send_failed' };
+    }
+  }
+
+  // From /twilio/sms-status. Returns the updated message, or null for one we
+  // didn't send (or have forgotten).
+  function updateStatus(sid, { status, errorCode }) {
+    const message = messages.get(sid);
+    if (!message) return null;
+    append({ op: 'message', message: { ...message, status, errorCode: errorCode || null } });
+    if (Number(errorCode) === TWILIO_UNSUBSCRIBED) optOut(message.to, 'carrier');
+    return messages.get(sid);
+  }
+
+  // The most recent message we sent to `number`, for linking a reply to its call.
+  function lastMessageTo(number) {
+    const key = toE164(number);
+    let last = null;
+    for (const message of messages.values()) {
+      if (message.to === key && (!last || message.sentAt > last.sentAt)) last = message;
+    }
+    return last;
+  }
+
+  return { send, updateStatus, lastMessageTo, isOptedOut, optOut, optIn, optOuts: () => [...optOuts.keys()] };
+}
@@ -0,0 +1,50 @@
+import { connectRealtime } from './realtimeSpeech.js';
+import { connectCascaded } from './cascadedSpeech.js';
+
+// The assistant's side of a call, behind one interface so the media handler
+// doesn't depend on a particular API. A tenant picks its provider with
+// speech.provider:
+//   openai-beta  OpenAI Realtime, beta event schema (OpenAI-Beta: realtime=v1)
+//   openai-ga    OpenAI Realtime, GA event schema
+//   cascaded     speech-to-text -> Chat Completions -> text-to-speech (see cascadedSpeech.js)
+//
+// connectSpeech(speech, options) opens a session. options:
+//   { apiKey, realtimeUrl, apiBaseUrl, model, log, onOpen(), onEvent(event), onClose() }
+// A session has:
+//   configure({ instructions, voice, vad, temperature, tools, transcriptionModel })
+//                                   tools are the Realtime-style definitions from tools.js
+//   sendAudio(payload)              base64 g711 mu-law at 8kHz, straight from Twilio
+//   respond({ instructions })       have the assistant speak (greeting, tool follow-up, nudges)
+//   addMessage(role, text)          a "user" or "system" message in the conversation
+//   submitToolResult(callId, output)
+//   interrupt({ heard, cancel })    heard: [{ itemId, audioEndMs }] the caller actually
+//                                   heard (playback.js); cancel: stop the response in progress
+//   isOpen(), close()
+// onEvent gets normalized events:
+//   { type: 'audio', itemId, payload }       base64 g711 mu-law at 8kHz, ready for Twilio
+//   { type: 'speech_started' } / { type: 'speech_stopped' }   the caller's voice activity
+//   { type: 'transcript', speaker: 'caller' | 'assistant', text }
+//   { type: 'tool_call', name, callId, arguments }            arguments is a JSON string
+//   { type: 'response_started', id } / { type: 'response_done', id }
+//   { type: 'error', error }
+// Audio format conversion, if the provider needs any, happens inside the adapter.
+
+export const SPEECH_PROVIDERS = ['openai-beta', 'openai-ga', 'cascaded'];
+
+export function validateSpeech(speech) {
+  const errors = [];
+  if (!SPEECH_PROVIDERS.includes(speech.provider)) {
+    errors.push(`speech.provider "${speech.provider}" is not one of ${SPEECH_PROVIDERS.join(', ')}`);
+  }
+  if (speech.provider === 'cascaded') {
+    for (const key of ['sttModel', 'chatModel', 'ttsModel']) {
+      if (!speech[key]) errors.push(`speech.${key} is required for the cascaded provider`);
+    }
+  }
+  return errors;
+}
+
+export function connectSpeech(speech, options) {
+  if (speech.provider === 'cascaded') return connectCascaded(speech, options);
+  return connectRealtime(speech.provider === 'openai-ga' ? 'ga' : 'beta', options);
+}
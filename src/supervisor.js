@@ -0,0 +1,103 @@
+import { tokenMatches } from './adminAuth.js';
+
+// Supervisor console protocol (GET /supervisor/ws, JSON messages).
+//
+// Browsers can't set headers on a WebSocket, so the first message must be
+//   { type: 'auth', token }            ADMIN_TOKEN or SUPERVISOR_TOKEN
+// after which the client gets { type: 'calls', calls } now and whenever a call
+// starts or ends, and can send:
+//   { type: 'watch', callSid, audio? } follow one call: { type: 'watching', record },
+//                                      then 'turn', 'tool_call', 'call_ended' and,
+//                                      with audio, 'audio' ({ track, payload } mu-law)
+//   { type: 'unwatch' }
+//   { type: 'action', callSid, action: 'inject' | 'say' | 'transfer' | 'hangup', text? }
+//                                      answered with { type: 'action_result', ok, error? }
+
+const AUTH_TIMEOUT_MS = 5000;
+const ACTIONS = ['inject', 'say', 'transfer', 'hangup'];
+
+export function handleSupervisorSocket(socket, { activeCalls, callStore, tokens, log }) {
+  let authed = false;
+  let stopWatching = null;
+  let stopListing = null;
+
+  const send = (msg) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(msg));
+  };
+  const sendCalls = () => send({ type: 'calls', calls: activeCalls.list() });
+
+  const authTimer = setTimeout(() => socket.close(1008, 'Unauthorized'), AUTH_TIMEOUT_MS);
+
+  function unwatch() {
+    if (stopWatching) stopWatching();
+    stopWatching = null;
+  }
+
+  function watch(callSid, withAudio) {
+    unwatch();
+    const unsubscribe = activeCalls.subscribe(callSid, (event) => {
+      if (event.type === 'audio' && !withAudio) return;
+      send({ ...event, callSid });
+    });
+    if (!unsubscribe) {
+      send({ type: 'error', message: `Call ${callSid} is not active on this instance` });
+      return;
+    }
+    stopWatching = unsubscribe;
+    send({ type: 'watching', callSid, audio: withAudio, record: callStore.get(callSid) });
+  }
+
+  async function act({ callSid, action, text }) {
+    const actions = activeCalls.actions(callSid);
+    if (!actions) return { ok: false, error: 'call_not_active' };
+    if (!ACTIONS.includes(action)) return { ok: false, error: 'unknown_action' };
+    if ((action === 'inject' || action === 'say') && !(typeof text === 'string' && text.trim())) {
+      return { ok: false, error: 'text_required' };
+    }
+    log.info({ callSid, action }, 'Supervisor action');
+    try {
+      await actions[action](typeof text === 'string' ? text.trim() : '');
+      return { ok: true };
+    } catch (err) {
+      log.warn({ err, callSid, action }, 'Supervisor action failed');
+      return { ok: false, error: err.message };
+    }
+  }
+
+  socket.on('message', async (raw) => {
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch {
+      send({ type: 'error', message: 'Messages must be JSON' });
+      return;
+    }
+    if (!authed) {
+      if (msg.type !== 'auth' || !tokens.some((token) => tokenMatches(msg.token, token))) {
+        log.warn('Supervisor socket rejected: bad token');
+        socket.close(1008, 'Unauthorized');
+        return;
+      }
+      authed = true;
+      clearTimeout(authTimer);
+      stopListing = activeCalls.onChange(sendCalls);
+      sendCalls();
+      return;
+    }
+    if (msg.type === 'watch') {
+      watch(msg.callSid, Boolean(msg.audio));
+    } else if (msg.type === 'unwatch') {
+      unwatch();
+    } else if (msg.type === 'action') {
+      send({ type: 'action_result', callSid: msg.callSid, action: msg.action, ...(await act(msg)) });
+    } else {
+      send({ type: 'error', message: `Unknown message type "${msg.type}"` });
+    }
+  });
+
+  socket.on('close', () => {
+    clearTimeout(authTimer);
+    unwatch();
+    if (stopListing) stopListing();
+  });
+}
@@ -0,0 +1,131 @@
+import fs from 'node:fs';
+import { registry } from './tools.js';
+import { LANGUAGES } from './language.js';
+import { validateGlobalKeys } from './keypad.js';
+import { validateSpeech } from './speech.js';
+
+// Tenant config keyed by the dialed (To) number. Example (config/tenants.example.json):
+// {
+//   "default": { "brand": "EZ Lumper Services", "personaName": "Mike", ... },
+//   "+15555550100": { "brand": "EZ Lumper Houston", "voice": "ash", ... }
+// }
+// Every tenant is merged over "default", which is merged over the env-derived
+// defaults, so a number only lists what differs. String values of the form
+// "env:NAME" are read from the environment (keeps tokens out of the file).
+// The file is watched and reloaded; a bad edit is logged and the previous
+// config stays live.
+
+const NESTED = ['vad', 'bargeIn', 'speech', 'ghl', 'webhooks', 'flows', 'orderStatus', 'languages', 'limits', 'sms', 'keypad', 'afterHours'];
+const E164 = /^\+[1-9]\d{6,14}$/;
+
+function resolveEnvRefs(value) {
+  if (typeof value === 'string' && value.startsWith('env:')) {
+    return process.env[value.slice(4)] || '';
+  }
+  if (Array.isArray(value)) return value.map(resolveEnvRefs);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveEnvRefs(v)]));
+  }
+  return value;
+}
+
+function mergeTenant(base, override = {}) {
+  const merged = { ...base, ...override };
+  for (const key of NESTED) {
+    merged[key] = { ...(base[key] || {}), ...(override[key] || {}) };
+  }
+  return merged;
+}
+
+function validateTenant(id, tenant) {
+  const errors = [];
+  if (!tenant.webhooks.newOrder) errors.push(`${id}: webhooks.newOrder is required`);
+  if (!tenant.webhooks.existingUpdate) errors.push(`${id}: webhooks.existingUpdate is required`);
+  if (typeof tenant.temperature !== 'number' || tenant.temperature < 0.6 || tenant.temperature > 1.2) {
+    errors.push(`${id}: temperature must be a number between 0.6 and 1.2`);
+  }
+  const { supported, default: language } = tenant.languages;
+  for (const code of supported) {
+    if (!LANGUAGES[code]) errors.push(`${id}: languages.supported has unknown language "${code}"`);
+  }
+  if (!supported.includes(language)) errors.push(`${id}: languages.default "${language}" is not in languages.supported`);
+  for (const error of validateGlobalKeys(tenant.keypad.globalKeys)) errors.push(`${id}: keypad.globalKeys ${error}`);
+  for (const error of validateSpeech(tenant.speech)) errors.push(`${id}: ${error}`);
+  if ('mode' in tenant.afterHours) errors.push(`${id}: afterHours.mode is set in the schedule, not per tenant`);
+  const { onCallNumbers } = tenant.afterHours;
+  if (onCallNumbers !== undefined && !(Array.isArray(onCallNumbers) && onCallNumbers.every((n) => E164.test(n)))) {
+    errors.push(`${id}: afterHours.onCallNumbers must be a list of E.164 numbers`);
+  }
+  for (const key of ['maxCallSeconds', 'warnSeconds', 'silenceSeconds']) {
+    const value = tenant.limits[key];
+    if (typeof value !== 'number' || !(value >= 0)) errors.push(`${id}: limits.${key} must be a number of seconds (0 = off)`);
+  }
+  if (tenant.tools) {
+    const known = new Set(registry.map((tool) => tool.name));
+    for (const name of tenant.tools) {
+      if (!known.has(name)) errors.push(`${id}: unknown tool "${name}"`);
+    }
+  }
+  return errors;
+}
+
+// Parses and validates a raw config object; throws with every problem listed.
+// `checkTenant(id, tenant)` can add app-level checks (returns error strings).
+export function buildTenants(raw, envDefaults, checkTenant = () => []) {
+  const resolved = resolveEnvRefs(raw || {});
+  const base = mergeTenant(envDefaults, resolved.default);
+  const tenants = { default: { ...base, id: 'default' } };
+  for (const [key, value] of Object.entries(resolved)) {
+    if (key === 'default') continue;
+    if (!E164.test(key)) {
+      throw new Error(`Invalid tenant config: key "${key}" is not an E.164 number or "default"`);
+    }
+    tenants[key] = { ...mergeTenant(base, value), id: value.id || key };
+  }
+  const errors = Object.entries(tenants).flatMap(([id, tenant]) => [
+    ...validateTenant(id, tenant),
+    ...checkTenant(id, tenant)
+  ]);
+  if (errors.length) {
+    throw new Error(`Invalid tenant config:\n  ${errors.join('\n  ')}`);
+  }
+  return tenants;
+}
+
+export function createTenantRegistry({ filePath, envDefaults, checkTenant, log, pollMs = 2000 }) {
+  function read() {
+    const raw = filePath ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : {};
+    return buildTenants(raw, envDefaults, checkTenant);
+  }
+
+  // Startup errors are fatal, like any other bad config.
+  let tenants = read();
+
+  function reload() {
+    try {
+      tenants = read();
+      log.info({ tenants: Object.keys(tenants).length }, 'Tenant config reloaded');
+    } catch (err) {
+      log.error({ err }, 'Tenant config reload failed; keeping previous config');
+    }
+  }
+
+  // watchFile polls, so it survives editors and deploy tools that replace the file.
+  if (filePath) {
+    fs.watchFile(filePath, { interval: pollMs, persistent: false }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) reload();
+    });
+  }
+
+  // Unknown or missing numbers get the default tenant.
+  function forNumber(to) {
+    return (to && tenants[to]) || tenants.default;
+  }
+
+  return {
+    forNumber,
+    list: () => Object.values(tenants),
+    reload,
+    close: () => filePath && fs.unwatchFile(filePath)
+  };
+}
@@ -1,37 +1,705 @@
-export const tools = [
+import { normalizeArgs } from "./normalize.js";
+import { LANGUAGES, localized } from "./language.js";
+import { referenceFor } from "./sms.js";
+import { KEYPAD_FIELDS } from "./keypad.js";
+import { describeBooking } from "./appointments.js";
+import { deliveryStatus } from "./outbox.js";
+
+// Tool registry for the Twilio bridge (app.js); every speech provider gets the same tools.
+//
+// Each tool declares:
+//   name, description, parameters  - the JSON schema sent to the model
+//   appliesTo(ctx)                 - optional filter on which callers get the tool
+//   normalize                      - optional { arg: "email" | "phone" | "state" | "city" };
+//                                    see normalize.js. Bad values go back to the model
+//                                    as per-field errors, the handler gets clean values
+//                                    and ctx.normalization ({ raw, lowConfidence })
+//   handler(args, ctx)             - does the work, returns a JSON-able result
+//   followUp.success / .failure    - instructions for the model's next response
+//                                    (string or (result, ctx) => string; either can be
+//                                    per language, { en: "...", es: "..." })
+//
+// ctx is built per call by the bridge:
+//   { callSid, callId, contact, callerPhone, webhooks, enabledTools, outbox, transfer, outbound, orderStatus,
+//     language, languages, sms, keypad, appointments, log }
+// outbound is set on calls we placed (POST /calls/outbound); intake tools are off there.
+// orderStatus ({ lookup(number) }, see orderStatus.js) is set when the tenant has a provider.
+// language is the call's current language; languages is { supported, set(code) }.
+// sms ({ confirmations, send({ to, kind, vars }) }, see sms.js) is set when texting is enabled.
+// keypad is { request(field), values } (see keypad.js); values holds what the caller keyed in.
+// appointments ({ availability, book, booked, upcoming, reschedule, cancel }, see
+// appointments.js) is set on inbound calls when dock scheduling is configured; booked()
+// is what this call booked, upcoming() the caller's own bookings (by phone number).
+// enabledTools (from the tenant config) limits which tools exist at all; null = every tool.
+// A handler result with `success: false` selects followUp.failure.
+
+// Webhooks go through the durable outbox (see outbox.js). The idempotency key
+// ties a delivery to one tool invocation, so a retried call_id never posts twice.
+// `language` tells dispatch which language to call back in; `reference` is the
+// one quoted in the confirmation text.
+async function postWebhook(ctx, tool, url, payload) {
+  const delivery = await ctx.outbox.send({
+    idempotencyKey: `${ctx.callSid || "no-call"}:${ctx.callId}`,
+    url,
+    payload: { ...payload, language: ctx.language || "en", reference: referenceFor(ctx.callSid) },
+    meta: { tool, callSid: ctx.callSid }
+  });
+  return {
+    success: delivery.status === "delivered",
+    delivery_status: deliveryStatus(delivery)
+  };
+}
+
+// Webhook consumers get what the caller actually said next to the cleaned-up
+// values, and which fields a human should double-check.
+function withRawFields(payload, ctx) {
+  const { raw = {}, lowConfidence = [] } = ctx.normalization || {};
+  return { ...payload, raw, low_confidence: lowConfidence };
+}
+
+// Texts the caller what was just submitted (tenant sms.confirmations). The
+// webhook already went out, so a text that can't be sent doesn't fail the tool.
+async function sendConfirmation(ctx, kind, phone, vars) {
+  if (!ctx.sms || !ctx.sms.confirmations) return {};
+  const result = await ctx.sms.send({ to: phone || ctx.callerPhone, kind, vars });
+  return { confirmation_sms: result.sent ? "sent" : result.error };
+}
+
+// The caller's booking a change is about: the one they named, or their only
+// upcoming one. Only bookings made from the number they're calling from count.
+function callerBooking(ctx, bookingId) {
+  const upcoming = ctx.appointments.upcoming();
+  if (!upcoming.length) return { error: "no_appointment" };
+  if (bookingId) {
+    const id = bookingId.toUpperCase().replace(/[^A-Z0-9]/g, "");
+    const booking = upcoming.find((b) => b.id === id);
+    return booking ? { booking } : { error: "not_found", appointments: upcoming.map(describeBooking) };
+  }
+  if (upcoming.length > 1) return { error: "which_one", appointments: upcoming.map(describeBooking) };
+  return { booking: upcoming[0] };
+}
+
+// Moves and cancellations go to dispatch like any other update on an existing order.
+function appointmentUpdate(ctx, tool, booking, callNotes) {
+  return postWebhook(ctx, tool, ctx.webhooks.existingUpdate, {
+    caller_name: ctx.contact.firstName || booking.name,
+    phone: ctx.callerPhone,
+    load_number: booking.id,
+    call_notes: callNotes,
+    appointment: describeBooking(booking)
+  });
+}
+
+const BOOKING_FAILURES = {
+  no_appointment: {
+    en: "Say you don't see an upcoming dock appointment for the number they're calling from, and offer to pass a note to dispatch instead.",
+    es: "Di que no ves una cita próxima en el andén para el número desde el que llama, y ofrece pasar una nota a despacho."
+  },
+  not_found: {
+    en: "Say you couldn't find that booking number among their upcoming appointments (listed in `appointments`). Ask which one they mean.",
+    es: "Di que no encontraste ese número de reservación entre sus citas próximas (en `appointments`). Pregunta a cuál se refiere."
+  },
+  which_one: {
+    en: "The caller has more than one upcoming appointment (listed in `appointments`). Ask which one they mean, then try again with its booking_id.",
+    es: "La persona tiene más de una cita próxima (en `appointments`). Pregunta a cuál se refiere y vuelve a intentarlo con su booking_id."
+  }
+};
+
+const SLOT_FAILURES = {
+  ...BOOKING_FAILURES,
+  unknown_city: {
+    en: "Say you can't book dock times in that city over the phone and dispatch will set the time when they confirm the order. Put the caller's preferred time in how_can_we_help_you and continue.",
+    es: "Di que no puedes agendar horarios en el andén para esa ciudad por teléfono y que despacho fijará la hora al confirmar la orden. Anota la hora que prefiere en how_can_we_help_you y continúa."
+  },
+  slot_taken: {
+    en: "That time is no longer open. Call check_availability again and offer the nearest times.",
+    es: "Ese horario ya no está disponible. Vuelve a llamar a check_availability y ofrece los horarios más cercanos."
+  },
+  booking_limit: {
+    en: "Say this call already has an appointment booked and you can't book another one. Offer to move that one with reschedule_appointment instead, or note the extra request for dispatch in how_can_we_help_you.",
+    es: "Di que en esta llamada ya hay una cita reservada y no puedes reservar otra. Ofrece cambiarla con reschedule_appointment, o anota la solicitud adicional para despacho en how_can_we_help_you."
+  }
+};
+SLOT_FAILURES.not_a_slot = SLOT_FAILURES.slot_taken;
+
+const SCHEDULE_UNAVAILABLE = {
+  en: "Apologize that the appointment schedule isn't available right now and say dispatch will confirm the time. Continue helping the caller.",
+  es: "Discúlpate porque la agenda de citas no está disponible en este momento y di que despacho confirmará la hora. Sigue ayudando a la persona."
+};
+
+export const registry = [
   {
-    type: "function",
-    name: "create_intake_record",
-    description: "Create an intake record in the system of record (CRM/DB).",
+    name: "submit_new_intake",
+    description: "Submit a NEW Job Request.",
     parameters: {
       type: "object",
-      additionalProperties: false,
       properties: {
-        service_type: { type: "string" },
-        job_city: { type: "string" },
-        job_state: { type: "string" },
+        first_name: { type: "string" },
         company_name: { type: "string" },
-        contact_name: { type: "string" },
         email: { type: "string" },
+        job_city: { type: "string" },
+        job_state: { type: "string" },
+        dock_available: { type: "string", description: "Whether a dock is available for the unload, and any dock details" },
+        how_can_we_help_you: { type: "string" },
         phone: { type: "string" }
       },
-      required: ["service_type", "job_city", "job_state", "company_name", "contact_name", "email", "phone"]
+      required: ["first_name", "job_city", "phone"]
+    },
+    normalize: { email: "email", phone: "phone", job_state: "state", job_city: "city" },
+    appliesTo: (ctx) => !ctx.outbound,
+    async handler(args, ctx) {
+      const payload = { ...args };
+      if (ctx.contact.found) {
+        payload.first_name = payload.first_name || ctx.contact.firstName;
+        payload.company_name = payload.company_name || ctx.contact.company;
+        payload.email = payload.email || ctx.contact.email;
+        payload.phone = payload.phone || ctx.callerPhone;
+      }
+      const appointments = ctx.appointments ? ctx.appointments.booked() : [];
+      if (appointments.length) payload.appointments = appointments;
+      const delivery = await postWebhook(ctx, "submit_new_intake", ctx.webhooks.newOrder, withRawFields(payload, ctx));
+      const location = [payload.job_city, payload.job_state].filter(Boolean).join(", ");
+      return { ...delivery, ...(await sendConfirmation(ctx, "submit_new_intake", payload.phone, { first_name: payload.first_name, location })) };
+    },
+    followUp: {
+      success: {
+        en: "Confirm dispatch has been notified.",
+        es: "Confirma que despacho ya recibió la solicitud."
+      },
+      failure: {
+        en: "Tell the caller their details are saved but you could not reach dispatch just now, and the office will follow up shortly. Do NOT say dispatch has been notified.",
+        es: "Dile a la persona que sus datos quedaron guardados pero que no pudiste comunicarte con despacho en este momento, y que la oficina le dará seguimiento pronto. NO digas que despacho ya fue notificado."
+      }
+    }
+  },
+  {
+    name: "report_existing_issue",
+    description: "Report an issue on an EXISTING order.",
+    parameters: {
+      type: "object",
+      properties: {
+        caller_name: { type: "string" },
+        phone: { type: "string" },
+        load_number: { type: "string", description: "The confirmed Load Number OR Reservation Number. Leave empty if the caller keyed it in." },
+        call_notes: { type: "string", description: "The update or question from the caller" }
+      },
+      required: ["caller_name", "call_notes"]
+    },
+    normalize: { phone: "phone" },
+    appliesTo: (ctx) => ctx.contact.found && !ctx.outbound,
+    async handler(args, ctx) {
+      // Keyed-in digits are exact, so they win over what the model heard.
+      const keyed = ctx.keypad?.values || {};
+      const payload = {
+        ...args,
+        load_number: keyed.load_number || keyed.reservation_number || args.load_number ||
+          ctx.contact.load_number || ctx.contact.reservation_number
+      };
+      if (!payload.load_number) return { success: false, error: "no_number" };
+      payload.caller_name = payload.caller_name || ctx.contact.firstName;
+      payload.phone = payload.phone || ctx.callerPhone;
+      if (Object.keys(keyed).length) payload.keypad_entries = keyed;
+      const delivery = await postWebhook(ctx, "report_existing_issue", ctx.webhooks.existingUpdate, withRawFields(payload, ctx));
+      const confirmation = await sendConfirmation(ctx, "report_existing_issue", payload.phone, { load_number: payload.load_number });
+      const resolved = { load_number: payload.load_number, ...(payload.keypad_entries && { keypad_entries: payload.keypad_entries }) };
+      return { ...delivery, ...confirmation, ...resolved };
+    },
+    // The number actually sent, not the one the model heard, goes on the call record.
+    recordFromResult: ["load_number", "keypad_entries"],
+    followUp: {
+      success: {
+        en: "Say: 'I have sent those notes to dispatch regarding that load/reservation number. They will call you shortly.'",
+        es: "Di: 'Ya envié esas notas a despacho sobre ese número de carga o reservación. Le llamarán en breve.'"
+      },
+      failure: (result) => (result.error === "no_number"
+        ? {
+          en: "Ask the caller for their Load Number or Reservation Number, then send the notes again.",
+          es: "Pide a la persona su número de carga o de reservación y vuelve a enviar las notas."
+        }
+        : {
+          en: "Tell the caller their notes are saved but you could not reach dispatch just now, and the office will follow up shortly. Do NOT say dispatch has been notified.",
+          es: "Dile a la persona que sus notas quedaron guardadas pero que no pudiste comunicarte con despacho en este momento, y que la oficina le dará seguimiento pronto. NO digas que despacho ya fue notificado."
+        })
+    }
+  },
+  {
+    name: "check_availability",
+    description: "Find open dock appointment times (when a crew can do the unload) nearest the caller's preferred day and time. Use it when a new-order caller wants a specific time, and before moving an existing appointment.",
+    parameters: {
+      type: "object",
+      properties: {
+        job_city: { type: "string" },
+        job_state: { type: "string" },
+        day: { type: "string", description: "Preferred day: today, tomorrow, a weekday name, or YYYY-MM-DD. Leave empty for the soonest times." },
+        time: { type: "string", description: "Preferred start time, 24-hour HH:MM (e.g. 14:00). Leave empty if they have none." },
+        booking_id: { type: "string", description: "Only when rescheduling: the booking being moved. Its city is used." }
+      }
+    },
+    normalize: { job_city: "city", job_state: "state" },
+    appliesTo: (ctx) => Boolean(ctx.appointments) && !ctx.outbound,
+    async handler(args, ctx) {
+      let query = { city: args.job_city, state: args.job_state, day: args.day, time: args.time };
+      if (args.booking_id) {
+        const found = callerBooking(ctx, args.booking_id);
+        if (found.error) return { success: false, ...found };
+        query = { ...query, city: found.booking.city, state: found.booking.state, exceptId: found.booking.id };
+      }
+      if (!query.city) return { success: false, error: "no_city" };
+      const result = ctx.appointments.availability(query);
+      if (result.error) return { success: false, error: result.error };
+      if (!result.slots.length) return { success: false, error: "no_slots", city: result.city.name };
+      return { success: true, city: result.city.name, slots: result.slots };
+    },
+    followUp: {
+      success: {
+        en: "Offer the caller these open times, reading each `when` naturally. When they pick one, call book_appointment (or reschedule_appointment when moving a booking) with that slot's `start` exactly as given.",
+        es: "Ofrece a la persona estos horarios disponibles, diciendo cada `when` de forma natural (en español). Cuando elija uno, llama a book_appointment (o a reschedule_appointment si está cambiando una cita) con el `start` de ese horario tal cual."
+      },
+      failure: (result) => ({
+        ...SLOT_FAILURES,
+        no_city: {
+          en: "Ask the caller which city the job is in, then check again.",
+          es: "Pregunta a la persona en qué ciudad es el trabajo y vuelve a consultar."
+        },
+        invalid_day: {
+          en: "Ask the caller again which day and time they'd like, then check again.",
+          es: "Pregunta de nuevo qué día y a qué hora le gustaría, y vuelve a consultar."
+        },
+        no_slots: {
+          en: "Say there are no open times in the next two weeks and dispatch will call to work one out. Put the caller's preferred time in how_can_we_help_you.",
+          es: "Di que no hay horarios disponibles en las próximas dos semanas y que despacho le llamará para acordar uno. Anota la hora que prefiere en how_can_we_help_you."
+        }
+      })[result.error === "invalid_time" ? "invalid_day" : result.error] || SCHEDULE_UNAVAILABLE
+    }
+  },
+  {
+    name: "book_appointment",
+    description: "Book the dock appointment time the caller picked from check_availability. Book before submit_new_intake so the appointment goes out with the order.",
+    parameters: {
+      type: "object",
+      properties: {
+        job_city: { type: "string" },
+        job_state: { type: "string" },
+        start: { type: "string", description: "The picked slot's start, exactly as check_availability returned it" },
+        first_name: { type: "string" },
+        company_name: { type: "string" },
+        phone: { type: "string" },
+        notes: { type: "string", description: "Anything the crew should know: what's being unloaded, the door number" }
+      },
+      required: ["job_city", "start"]
+    },
+    normalize: { phone: "phone", job_city: "city", job_state: "state" },
+    appliesTo: (ctx) => Boolean(ctx.appointments) && !ctx.outbound,
+    async handler(args, ctx) {
+      const result = ctx.appointments.book({
+        city: args.job_city,
+        state: args.job_state,
+        start: args.start,
+        name: args.first_name || ctx.contact.firstName,
+        company: args.company_name || ctx.contact.company,
+        phone: args.phone,
+        notes: args.notes
+      });
+      if (result.error) return { success: false, error: result.error };
+      return { success: true, ...describeBooking(result.booking) };
+    },
+    followUp: {
+      success: (result) => ({
+        en: `Confirm the appointment for ${result.when} and give the booking number ${result.booking_id}, one character at a time. If the order hasn't been submitted yet, finish the intake and call submit_new_intake; the appointment goes with it.`,
+        es: `Confirma la cita para ${result.when} (dilo en español) y da el número de reservación ${result.booking_id}, un carácter a la vez. Si la orden aún no se ha enviado, termina los datos y llama a submit_new_intake; la cita va incluida.`
+      }),
+      failure: (result) => SLOT_FAILURES[result.error] || SCHEDULE_UNAVAILABLE
+    }
+  },
+  {
+    name: "reschedule_appointment",
+    description: "Move the caller's upcoming dock appointment to a new time. Get the time from check_availability (with the booking_id) first.",
+    parameters: {
+      type: "object",
+      properties: {
+        booking_id: { type: "string", description: "Leave empty if the caller has only one upcoming appointment" },
+        start: { type: "string", description: "The new slot's start, exactly as check_availability returned it" }
+      },
+      required: ["start"]
+    },
+    appliesTo: (ctx) => Boolean(ctx.appointments) && !ctx.outbound,
+    async handler(args, ctx) {
+      const found = callerBooking(ctx, args.booking_id);
+      if (found.error) return { success: false, ...found };
+      const result = ctx.appointments.reschedule(found.booking.id, args.start);
+      if (result.error) return { success: false, error: result.error };
+      const appointment = describeBooking(result.booking);
+      const { delivery_status } = await appointmentUpdate(ctx, "reschedule_appointment", result.booking,
+        `Moved dock appointment ${appointment.booking_id} from ${describeBooking(result.previous).when} to ${appointment.when}.`);
+      return { success: true, ...appointment, delivery_status };
+    },
+    followUp: {
+      success: (result) => ({
+        en: `Confirm the appointment is now ${result.when} and that dispatch has the change.`,
+        es: `Confirma que la cita ahora es ${result.when} (dilo en español) y que despacho ya tiene el cambio.`
+      }),
+      failure: (result) => SLOT_FAILURES[result.error] || SCHEDULE_UNAVAILABLE
+    }
+  },
+  {
+    name: "cancel_appointment",
+    description: "Cancel the caller's upcoming dock appointment when they ask to.",
+    parameters: {
+      type: "object",
+      properties: {
+        booking_id: { type: "string", description: "Leave empty if the caller has only one upcoming appointment" },
+        reason: { type: "string" }
+      }
+    },
+    appliesTo: (ctx) => Boolean(ctx.appointments) && !ctx.outbound,
+    async handler(args, ctx) {
+      const found = callerBooking(ctx, args.booking_id);
+      if (found.error) return { success: false, ...found };
+      const result = ctx.appointments.cancel(found.booking.id);
+      if (result.error) return { success: false, error: result.error };
+      const appointment = describeBooking(result.booking);
+      const { delivery_status } = await appointmentUpdate(ctx, "cancel_appointment", result.booking,
+        `Cancelled dock appointment ${appointment.booking_id} (${appointment.when}).${args.reason ? ` Reason: ${args.reason}` : ""}`);
+      return { success: true, ...appointment, delivery_status };
+    },
+    followUp: {
+      success: {
+        en: "Confirm the appointment is cancelled and dispatch has been told. Ask if there's anything else.",
+        es: "Confirma que la cita quedó cancelada y que despacho ya fue avisado. Pregunta si necesita algo más."
+      },
+      failure: (result) => BOOKING_FAILURES[result.error] || SCHEDULE_UNAVAILABLE
+    }
+  },
+  {
+    name: "check_load_status",
+    description: "Look up the status of the caller's load or reservation: status, crew size, ETA and dock appointment.",
+    parameters: {
+      type: "object",
+      properties: {
+        number: { type: "string", description: "Load Number or Reservation Number. Leave empty to use the one on file." }
+      }
+    },
+    // Scoped to the caller's company, so only known contacts get it.
+    appliesTo: (ctx) => Boolean(ctx.orderStatus) && ctx.contact.found && !ctx.outbound,
+    async handler(args, ctx) {
+      const keyed = ctx.keypad?.values || {};
+      const number = args.number || keyed.load_number || keyed.reservation_number ||
+        ctx.contact.load_number || ctx.contact.reservation_number;
+      if (!number) return { success: false, error: "no_number" };
+      try {
+        const result = await ctx.orderStatus.lookup(number);
+        if (!result.found) return { success: false, error: "not_found", number };
+        return { success: true, ...result.order };
+      } catch (err) {
+        ctx.log?.warn({ err, number }, "Order status lookup failed");
+        return { success: false, error: "lookup_failed" };
+      }
+    },
+    followUp: {
+      success: {
+        en: "Tell the caller the status in plain words: the status, how many crew members are assigned, the ETA and the dock appointment time. Skip anything that is null. Read times naturally (e.g. 'around 2:30 this afternoon').",
+        es: "Explica el estado con palabras sencillas: el estatus, cuántos trabajadores están asignados, la hora estimada de llegada y la cita en el andén. Omite lo que sea null. Di las horas de forma natural (por ejemplo, 'como a las 2:30 de la tarde')."
+      },
+      failure: (result) => ({
+        no_number: {
+          en: "Ask the caller for their Load Number or Reservation Number, then check again.",
+          es: "Pide a la persona su número de carga o de reservación y vuelve a consultar."
+        },
+        not_found: {
+          en: "Say you could not find that number on their account. Ask them to confirm it, or offer to pass a note to dispatch.",
+          es: "Di que no encontraste ese número en su cuenta. Pide que lo confirme, u ofrece pasar una nota a despacho."
+        }
+      })[result.error] || {
+        en: "Apologize that status lookups are unavailable right now and offer to pass a note to dispatch or transfer them.",
+        es: "Discúlpate porque la consulta de estatus no está disponible en este momento y ofrece pasar una nota a despacho o transferir la llamada."
+      }
+    }
+  },
+  {
+    name: "transfer_to_dispatcher",
+    description: "Transfer the caller to a live dispatcher. Use when the caller asks for a person, or the issue is urgent (e.g. a truck at the dock with no lumpers).",
+    parameters: {
+      type: "object",
+      properties: {
+        reason: { type: "string", enum: ["caller_request", "urgent", "other"] },
+        summary: { type: "string", description: "One or two sentences for the dispatcher: who is calling and what they need" }
+      },
+      required: ["reason", "summary"]
+    },
+    // Only offered when the bridge can actually place the transfer.
+    appliesTo: (ctx) => Boolean(ctx.transfer),
+    async handler(args, ctx) {
+      if (ctx.transfer.urgentOnly && args.reason !== "urgent") {
+        return { success: false, error: "after_hours_urgent_only" };
+      }
+      // The bridge redirects the call once the handoff line has played.
+      ctx.transfer.request({ reason: args.reason, summary: args.summary });
+      return { success: true, transferring: true };
+    },
+    followUp: {
+      success: {
+        en: `Say exactly: 'Okay, ${LANGUAGES.en.lines.handoff}' Then stop talking.`,
+        es: `Di exactamente: 'Muy bien. ${LANGUAGES.es.lines.handoff}' Luego deja de hablar.`
+      },
+      failure: (result) => (result.error === "after_hours_urgent_only"
+        ? {
+          en: "The office is closed and only urgent issues can go to the on-call dispatcher. Explain that, and offer to take a message for a callback.",
+          es: "La oficina está cerrada y solo los asuntos urgentes pueden pasar al despachador de guardia. Explícalo y ofrece tomar un mensaje para que le devuelvan la llamada."
+        }
+        : {
+          en: "Apologize, say no dispatcher is available right now, and offer to take a message instead.",
+          es: "Discúlpate, di que no hay un despachador disponible en este momento y ofrece tomar un mensaje."
+        })
+    }
+  },
+  {
+    name: "request_keypad_entry",
+    description: "Have the caller key a number in on their phone keypad instead of saying it. Use it for load and reservation numbers (speech often garbles them), or when you couldn't catch a number twice.",
+    parameters: {
+      type: "object",
+      properties: {
+        field: { type: "string", enum: Object.keys(KEYPAD_FIELDS) }
+      },
+      required: ["field"]
+    },
+    // For the numbers report_existing_issue and check_load_status take.
+    appliesTo: (ctx) => Boolean(ctx.keypad) && ctx.contact.found && !ctx.outbound,
+    async handler(args, ctx) {
+      ctx.keypad.request(args.field);
+      return { success: true, waiting_for_keypad: args.field };
+    },
+    followUp: {
+      // The bridge sends the digits as a message once the caller presses #.
+      success: (result) => ({
+        en: `Ask the caller to key in their ${KEYPAD_FIELDS[result.waiting_for_keypad].en} on the phone keypad, followed by the pound key. Then stop talking and wait for the digits.`,
+        es: `Pide a la persona que marque su ${KEYPAD_FIELDS[result.waiting_for_keypad].es} en el teclado del teléfono, seguido de la tecla de numeral. Luego deja de hablar y espera los dígitos.`
+      }),
+      failure: "Ask the caller to say the number instead."
+    }
+  },
+  {
+    name: "send_sms",
+    description: "Text the caller something they asked for in writing: a reference number, an address, what happens next. Keep it short and only include what they asked for.",
+    parameters: {
+      type: "object",
+      properties: {
+        message: { type: "string", description: "The text to send, one or two short sentences" },
+        phone: { type: "string", description: "Mobile number to text. Leave empty for the number they are calling from." }
+      },
+      required: ["message"]
+    },
+    normalize: { phone: "phone" },
+    appliesTo: (ctx) => Boolean(ctx.sms),
+    async handler(args, ctx) {
+      const result = await ctx.sms.send({ to: args.phone, kind: "message", vars: { message: args.message } });
+      return result.sent ? { success: true, to: result.to } : { success: false, error: result.error };
+    },
+    followUp: {
+      success: {
+        en: "Tell the caller the text is on its way.",
+        es: "Dile a la persona que el mensaje de texto ya va en camino."
+      },
+      failure: (result) => ({
+        opted_out: {
+          en: "Tell the caller that number has opted out of our texts. They can text START to this number to opt back in. Offer to read the details again instead.",
+          es: "Dile a la persona que ese número se dio de baja de nuestros mensajes. Puede enviar START a este número para volver a recibirlos. Ofrece repetir los detalles."
+        },
+        invalid_number: {
+          en: "Ask the caller for the 10-digit mobile number to text, then try again.",
+          es: "Pide a la persona el número de celular de 10 dígitos y vuelve a intentarlo."
+        },
+        limit_reached: {
+          en: "Say you can't send more texts on this call, and offer to read the details again.",
+          es: "Di que no puedes enviar más mensajes en esta llamada y ofrece repetir los detalles."
+        }
+      })[result.error] || {
+        en: "Apologize that the text could not be sent, and offer to read the details again slowly.",
+        es: "Discúlpate porque no se pudo enviar el mensaje y ofrece repetir los detalles despacio."
+      }
+    }
+  },
+  {
+    name: "set_language",
+    description: "Switch the language of the call when the caller asks for another language or is clearly more comfortable in one.",
+    parameters: {
+      type: "object",
+      properties: {
+        language: { type: "string", enum: Object.keys(LANGUAGES), description: "en = English, es = Spanish" }
+      },
+      required: ["language"]
+    },
+    appliesTo: (ctx) => Boolean(ctx.languages) && ctx.languages.supported.length > 1,
+    async handler(args, ctx) {
+      if (!ctx.languages.set(args.language)) return { success: false, error: "unsupported_language" };
+      return { success: true, language: args.language };
+    },
+    followUp: {
+      // Phrased in the new language so the next response comes out in it.
+      success: (result) => LANGUAGES[result.language].switched,
+      failure: "Apologize that you can't switch to that language, and continue in the current one."
+    }
+  },
+  {
+    name: "record_call_outcome",
+    description: "Record the customer's answer on an outbound confirmation call.",
+    parameters: {
+      type: "object",
+      properties: {
+        outcome: { type: "string", enum: ["confirmed", "declined", "callback_requested"] },
+        notes: { type: "string", description: "What the customer said, especially anything that needs to change" }
+      },
+      required: ["outcome"]
+    },
+    appliesTo: (ctx) => Boolean(ctx.outbound),
+    async handler(args, ctx) {
+      return ctx.outbound.report({ outcome: args.outcome, notes: args.notes || "", source: "conversation" });
+    },
+    followUp: {
+      success: "Thank the customer, confirm what happens next in one sentence, and say goodbye.",
+      failure: "Thank the customer, tell them the office will follow up to confirm, and say goodbye."
     }
   }
 ];
 
-// This executes tools when OpenAI requests them.
-// Replace with real API calls (GHL, your DB, etc).
-export async function runToolCall(name, args) {
-  if (name === "create_intake_record") {
-    // TODO: persist to GHL/DB
-    // Keep it deterministic + idempotent in production.
+function findTool(name) {
+  return registry.find((tool) => tool.name === name);
+}
+
+function appliesTo(tool, ctx) {
+  if (ctx.enabledTools && !ctx.enabledTools.includes(tool.name)) return false;
+  return !tool.appliesTo || Boolean(tool.appliesTo(ctx));
+}
+
+// Session-ready tool list for the given caller context.
+export function toolDefinitions(ctx) {
+  return registry
+    .filter((tool) => appliesTo(tool, ctx))
+    .map(({ name, description, parameters }) => ({ type: "function", name, description, parameters }));
+}
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === "boolean",
+  object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+  array: (v) => Array.isArray(v)
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+}
+
+// Small JSON-schema subset: object/properties/required/additionalProperties,
+// type, enum, minLength, pattern. Enough for the flat schemas tools declare.
+export function validateArgs(schema, args) {
+  const errors = [];
+  if (!TYPE_CHECKS.object(args)) {
+    return [{ field: null, message: "arguments must be an object" }];
+  }
+  for (const field of schema.required || []) {
+    if (isBlank(args[field])) {
+      errors.push({ field, message: "is required" });
+    }
+  }
+  const properties = schema.properties || {};
+  for (const [field, value] of Object.entries(args)) {
+    const prop = properties[field];
+    if (!prop) {
+      if (schema.additionalProperties === false) {
+        errors.push({ field, message: "is not a known field" });
+      }
+      continue;
+    }
+    if (isBlank(value)) continue;
+    if (prop.type && !TYPE_CHECKS[prop.type]?.(value)) {
+      errors.push({ field, message: `must be a ${prop.type}` });
+      continue;
+    }
+    if (prop.enum && !prop.enum.includes(value)) {
+      errors.push({ field, message: `must be one of: ${prop.enum.join(", ")}` });
+    }
+    if (typeof value === "string" && prop.minLength && value.trim().length < prop.minLength) {
+      errors.push({ field, message: `must be at least ${prop.minLength} characters` });
+    }
+    if (typeof value === "string" && prop.pattern && !new RegExp(prop.pattern).test(value)) {
+      errors.push({ field, message: "is not in the expected format" });
+    }
+  }
+  return errors;
+}
+
+function invalidArguments(name, errors, ctx) {
+  const fields = errors.map((e) => e.field).filter(Boolean);
+  ctx.log?.warn({ tool: name, errors }, "Tool arguments failed validation");
+  return {
+    ok: false,
+    output: { success: false, error: "invalid_arguments", errors },
+    instructions: fields.length
+      ? `Some details were missing or unclear (${fields.join(", ")}). Ask the caller again for just those details, then call ${name} again.`
+      : `The details could not be read. Confirm them with the caller, then call ${name} again.`
+  };
+}
+
+function resolveFollowUp(followUp, result, ctx) {
+  return localized(typeof followUp === "function" ? followUp(result, ctx) : followUp, ctx.language);
+}
+
+// The args as they go on the call record: a tool that settles some values
+// itself (recordFromResult) has the ones from its result win.
+function recordedArgs(tool, args, result) {
+  const settled = {};
+  for (const key of tool.recordFromResult || []) {
+    if (result && result[key] !== undefined) settled[key] = result[key];
+  }
+  return Object.keys(settled).length ? { ...args, ...settled } : args;
+}
+
+// Runs a tool the model asked for. Always resolves to
+// { ok, output, instructions, args, raw }: `output` goes back as the function_call_output,
+// `instructions` drive the follow-up response.create. `args` are the arguments as
+// the handler got them (parsed, normalized, plus any recordFromResult values),
+// `raw` what the model sent for the normalized fields; the call record keeps both.
+export async function runToolCall(name, rawArgs, ctx) {
+  const tool = findTool(name);
+  if (!tool || !appliesTo(tool, ctx)) {
     return {
-      ok: true,
-      message: "Intake captured.",
-      captured: args
+      ok: false,
+      output: { success: false, error: `Unknown tool: ${name}` },
+      instructions: "That action is not available. Continue helping the caller without it."
     };
   }
 
-  return { ok: false, error: `Unknown tool: ${name}` };
+  let args = rawArgs;
+  if (typeof rawArgs === "string" || rawArgs === undefined) {
+    try {
+      args = rawArgs ? JSON.parse(rawArgs) : {};
+    } catch {
+      args = null;
+    }
+  }
+
+  const errors = validateArgs(tool.parameters, args);
+  if (errors.length) return { ...invalidArguments(name, errors, ctx), args };
+
+  let handlerCtx = ctx;
+  let raw;
+  if (tool.normalize) {
+    const normalized = normalizeArgs(args, tool.normalize, { callerPhone: ctx.callerPhone });
+    if (normalized.errors.length) return { ...invalidArguments(name, normalized.errors, ctx), args };
+    args = normalized.args;
+    raw = normalized.raw;
+    handlerCtx = { ...ctx, normalization: { raw, lowConfidence: normalized.lowConfidence } };
+  }
+
+  try {
+    const result = await tool.handler(args, handlerCtx);
+    const ok = result?.success !== false;
+    const followUp = ok ? tool.followUp?.success : tool.followUp?.failure;
+    return { ok, output: result, instructions: resolveFollowUp(followUp, result, handlerCtx), args: recordedArgs(tool, args, result), raw };
+  } catch (err) {
+    ctx.log?.error({ err, tool: name }, "Tool handler failed");
+    const output = { success: false, error: "handler_failed" };
+    return { ok: false, output, instructions: resolveFollowUp(tool.followUp?.failure, output, ctx), args, raw };
+  }
 }
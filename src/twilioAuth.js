@@ -0,0 +1,69 @@
+import crypto from 'node:crypto';
+
+// Twilio signs webhooks with HMAC-SHA1(authToken, url + sorted form params).
+// https://www.twilio.com/docs/usage/security#validating-requests
+export function computeTwilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + (params[key] ?? ''), url);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Twilio is inconsistent about including the default port when it signs,
+// so accept the URL both with and without it.
+function urlVariants(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return [url];
+  }
+  const defaultPort = parsed.protocol === 'https:' ? '443' : '80';
+  if (parsed.port) {
+    const withoutPort = new URL(url);
+    withoutPort.port = '';
+    return [url, withoutPort.toString()];
+  }
+  const withPort = `${parsed.protocol}//${parsed.hostname}:${defaultPort}${parsed.pathname}${parsed.search}`;
+  return [url, withPort];
+}
+
+export function validateTwilioSignature({ authToken, signature, url, params }) {
+  if (!authToken || !signature || !url) return false;
+  return urlVariants(url).some((candidate) => safeEqual(computeTwilioSignature(authToken, candidate, params), signature));
+}
+
+// The URL Twilio actually requested. Behind Fly's proxy the app sees plain http
+// on the internal port, so prefer PUBLIC_BASE_URL, then X-Forwarded-* headers.
+export function publicRequestUrl(req, publicBaseUrl) {
+  if (publicBaseUrl) {
+    return `${publicBaseUrl.replace(/\/+$/, '')}${req.url}`;
+  }
+  const proto = String(req.headers['x-forwarded-proto'] || req.protocol).split(',')[0].trim();
+  const host = String(req.headers['x-forwarded-host'] || req.headers.host).split(',')[0].trim();
+  return `${proto}://${host}${req.url}`;
+}
+
+// Short-lived token handed to the media stream via <Parameter>, bound to the
+// callSid so a leaked token can't be replayed for another call.
+export function createStreamToken(secret, callSid, ttlSeconds, now = Date.now()) {
+  const expires = Math.floor(now / 1000) + ttlSeconds;
+  const sig = crypto.createHmac('sha256', secret).update(`${callSid}.${expires}`).digest('base64url');
+  return `${expires}.${sig}`;
+}
+
+export function verifyStreamToken(secret, callSid, token, now = Date.now()) {
+  if (!secret || !callSid || typeof token !== 'string') return false;
+  const [expiresRaw, sig] = token.split('.');
+  const expires = Number(expiresRaw);
+  if (!Number.isFinite(expires) || !sig) return false;
+  if (expires < Math.floor(now / 1000)) return false;
+  const expected = crypto.createHmac('sha256', secret).update(`${callSid}.${expires}`).digest('base64url');
+  return safeEqual(expected, sig);
+}
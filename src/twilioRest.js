@@ -0,0 +1,45 @@
+// Minimal Twilio REST client (fetch + form encoding, no SDK).
+// `baseUrl` can point at a local stub server for tests.
+
+export function createTwilioClient({ accountSid, authToken, baseUrl = 'https://api.twilio.com', timeoutMs = 10000 }) {
+  const auth = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+  const root = `${baseUrl.replace(/\/+$/, '')}/2010-04-01/Accounts/${encodeURIComponent(accountSid)}`;
+
+  async function request(method, path, params) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const resp = await fetch(`${root}${path}`, {
+        method,
+        headers: {
+          Authorization: auth,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: params ? new URLSearchParams(params).toString() : undefined,
+        signal: controller.signal
+      });
+      const text = await resp.text();
+      const data = text ? JSON.parse(text) : {};
+      if (!resp.ok) {
+        const err = new Error(`Twilio ${method} ${path} failed: ${resp.status} ${data.message || ''}`.trim());
+        err.status = resp.status;
+        err.code = data.code;
+        throw err;
+      }
+      return data;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    configured: Boolean(accountSid && authToken),
+    // Replace what a live call is doing with new TwiML.
+    updateCall: (callSid, { twiml, url }) =>
+      request('POST', `/Calls/${encodeURIComponent(callSid)}.json`, twiml ? { Twiml: twiml } : { Url: url }),
+    // Place an outbound call; `params` use Twilio's names (To, From, Url, MachineDetection...).
+    createCall: (params) => request('POST', '/Calls.json', params),
+    // Send a text; `params` use Twilio's names (To, From, Body, StatusCallback).
+    sendMessage: (params) => request('POST', '/Messages.json', params)
+  };
+}
@@ -1,16 +1,107 @@
-export function twimlConnectStream(wsUrl) {
+export function twimlConnectStream(wsUrl, parameters = {}) {
   // Twilio expects valid XML TwiML
+  const params = Object.entries(parameters)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => '      <Parameter name="' + escapeXml(name) + '" value="' + escapeXml(value) + '" />');
+  const stream = params.length
+    ? ['    <Stream url="' + escapeXml(wsUrl) + '">', ...params, '    </Stream>']
+    : ['    <Stream url="' + escapeXml(wsUrl) + '" />'];
   return [
     '<?xml version="1.0" encoding="UTF-8"?>',
     '<Response>',
     '  <Connect>',
-    '    <Stream url="' + escapeXml(wsUrl) + '" />',
+    ...stream,
     '  </Connect>',
     '</Response>'
   ].join('\n');
 }
 
-function escapeXml(str) {
+function twimlResponse(lines) {
+  return ['<?xml version="1.0" encoding="UTF-8"?>', '<Response>', ...lines, '</Response>'].join('\n');
+}
+
+// `language` (e.g. "es-MX") picks the text-to-speech language.
+function say(text, language) {
+  return '  <Say' + (language ? ' language="' + escapeXml(language) + '"' : '') + '>' + escapeXml(text) + '</Say>';
+}
+
+export function twimlSay(text, { hangup = false, language } = {}) {
+  return twimlResponse([
+    say(text, language),
+    ...(hangup ? ['  <Hangup />'] : [])
+  ]);
+}
+
+// An empty response: nothing to say back (e.g. to an inbound text).
+export function twimlEmpty() {
+  return twimlResponse([]);
+}
+
+export function twimlHangup() {
+  return twimlResponse(['  <Hangup />']);
+}
+
+// Refuse the call without answering it: the caller hears a busy signal
+// (reason "busy") or the carrier's not-in-service message ("rejected").
+export function twimlReject(reason = 'rejected') {
+  return twimlResponse(['  <Reject reason="' + escapeXml(reason) + '" />']);
+}
+
+// Hand the call's TwiML fetch to another URL (e.g. a peer instance while draining).
+export function twimlRedirect(url) {
+  return twimlResponse(['  <Redirect method="POST">' + escapeXml(url) + '</Redirect>']);
+}
+
+// Ring one number or a ring group (all <Number>s ring at once). `whisperUrl`
+// is played to whoever answers before the caller is bridged in; `actionUrl`
+// receives DialCallStatus when the dial ends.
+export function twimlDial({ numbers, whisperUrl, actionUrl, timeout = 20, callerId }) {
+  const attrs = ['timeout="' + escapeXml(timeout) + '"'];
+  if (actionUrl) attrs.push('action="' + escapeXml(actionUrl) + '"');
+  if (callerId) attrs.push('callerId="' + escapeXml(callerId) + '"');
+  const url = whisperUrl ? ' url="' + escapeXml(whisperUrl) + '"' : '';
+  return twimlResponse([
+    '  <Dial ' + attrs.join(' ') + '>',
+    ...numbers.map((number) => '    <Number' + url + '>' + escapeXml(number) + '</Number>'),
+    '  </Dial>'
+  ]);
+}
+
+export function twimlVoicemail({ message, recordingStatusCallback, maxLength = 120, language }) {
+  const attrs = ['maxLength="' + escapeXml(maxLength) + '"', 'playBeep="true"'];
+  if (recordingStatusCallback) {
+    attrs.push('recordingStatusCallback="' + escapeXml(recordingStatusCallback) + '"');
+  }
+  return twimlResponse([
+    say(message, language),
+    '  <Record ' + attrs.join(' ') + ' />',
+    '  <Hangup />'
+  ]);
+}
+
+// When the assistant is gone mid-call: a recorded (apologyUrl) or spoken apology,
+// then the dispatcher if there are numbers to ring, otherwise voicemail.
+export function twimlFallback({ apology, apologyUrl, numbers = [], actionUrl, timeout = 20, voicemailMessage, recordingStatusCallback, language }) {
+  const lines = [apologyUrl ? '  <Play>' + escapeXml(apologyUrl) + '</Play>' : say(apology, language)];
+  if (numbers.length) {
+    const attrs = ['timeout="' + escapeXml(timeout) + '"'];
+    if (actionUrl) attrs.push('action="' + escapeXml(actionUrl) + '"');
+    lines.push(
+      '  <Dial ' + attrs.join(' ') + '>',
+      ...numbers.map((number) => '    <Number>' + escapeXml(number) + '</Number>'),
+      '  </Dial>'
+    );
+  } else {
+    const attrs = ['maxLength="120"', 'playBeep="true"'];
+    if (recordingStatusCallback) {
+      attrs.push('recordingStatusCallback="' + escapeXml(recordingStatusCallback) + '"');
+    }
+    lines.push(say(voicemailMessage, language), '  <Record ' + attrs.join(' ') + ' />', '  <Hangup />');
+  }
+  return twimlResponse(lines);
+}
+
+export function escapeXml(str) {
   return String(str)
     .replaceAll("&", "&amp;")
     .replaceAll("<", "&lt;")
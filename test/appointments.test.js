@@ -0,0 +1,241 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createAppointmentBook, validateAppointments } from '../src/appointments.js';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+
+const silentLog = { error() {}, warn() {}, info() {} };
+const admin = { headers: { Authorization: 'Bearer admin-test' } };
+const WEEKDAYS = { mon: [['06:00', '18:00']], tue: [['06:00', '18:00']], wed: [['06:00', '18:00']], thu: [['06:00', '18:00']], fri: [['06:00', '18:00']] };
+
+function functionCall(name, args, callId = 'call_1') {
+  return { type: 'response.function_call_arguments.done', name, call_id: callId, arguments: JSON.stringify(args) };
+}
+
+async function callTool(openai, name, args, callId) {
+  openai.send(functionCall(name, args, callId));
+  return JSON.parse((await openai.waitFor('conversation.item.create')).item.output);
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'appointments-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('config validation lists every problem', () => {
+  assert.throws(() => validateAppointments({
+    timezone: 'Mars/Olympus',
+    cities: { Dallas: { crews: 0, jobMinutes: 60, shifts: { mon: [['18:00', '06:00']] }, closed: ['12/25'] } }
+  }), (err) => {
+    assert.match(err.message, /cities\.Dallas: key must be lowercase/);
+    assert.match(err.message, /cities\.Dallas\.name is required/);
+    assert.match(err.message, /invalid timezone: Mars\/Olympus/);
+    assert.match(err.message, /cities\.Dallas\.crews must be a positive whole number/);
+    assert.match(err.message, /shifts\.mon: bad window \["18:00","06:00"\]/);
+    assert.match(err.message, /closed: bad date 12\/25/);
+    return true;
+  });
+  assert.throws(() => validateAppointments({ cities: {} }), /at least one city is required/);
+});
+
+test('slots respect shifts, lead time, crew capacity and the local time zone', (t) => {
+  const config = validateAppointments({
+    timezone: 'America/Chicago',
+    slotMinutes: 30,
+    leadMinutes: 120,
+    cities: {
+      dallas: { name: 'Dallas', state: 'TX', crews: 2, jobMinutes: 120, shifts: WEEKDAYS, closed: ['2026-03-09'] },
+      phoenix: { name: 'Phoenix', state: 'AZ', timezone: 'America/Phoenix', crews: 1, jobMinutes: 60, shifts: WEEKDAYS }
+    }
+  });
+  const book = createAppointmentBook({
+    config,
+    filePath: path.join(tempDir(t), 'appointments.jsonl'),
+    log: silentLog,
+    now: () => new Date('2026-03-06T16:00:00Z') // Friday 10am in Dallas
+  });
+
+  // Soonest: two hours out, the last start leaves room for the whole job.
+  assert.deepEqual(book.availability({ city: 'dallas' }).slots, [
+    { start: '2026-03-06T18:00:00Z', when: 'Friday, March 6 at 12pm' },
+    { start: '2026-03-06T18:30:00Z', when: 'Friday, March 6 at 12:30pm' },
+    { start: '2026-03-06T19:00:00Z', when: 'Friday, March 6 at 1pm' }
+  ]);
+  assert.deepEqual(book.availability({ city: 'Dallas', state: 'TX', day: 'friday', time: '18:00' }).slots.map((s) => s.when), [
+    'Friday, March 6 at 3pm', 'Friday, March 6 at 3:30pm', 'Friday, March 6 at 4pm'
+  ]);
+  // Monday is closed; after the weekend's DST change Tuesday 6am is 11:00 UTC.
+  assert.deepEqual(book.availability({ city: 'dallas', day: 'monday', time: '6:00' }).slots[0], {
+    start: '2026-03-10T11:00:00Z', when: 'Tuesday, March 10 at 6am'
+  });
+  assert.equal(book.availability({ city: 'phoenix', day: '2026-03-10', time: '06:00' }).slots[0].start, '2026-03-10T13:00:00Z');
+  assert.deepEqual(book.availability({ city: 'Dallas', state: 'OK' }), { error: 'unknown_city' });
+  assert.deepEqual(book.availability({ city: 'dallas', day: 'someday' }), { error: 'invalid_day' });
+  assert.deepEqual(book.availability({ city: 'dallas', time: '2pm' }), { error: 'invalid_time' });
+
+  // Two crews: a third overlapping job doesn't fit, the slot after the first job ends does.
+  const first = book.book({ city: 'dallas', start: '2026-03-06T18:00:00Z', name: 'Ann', phone: '(555) 123-0000' }).booking;
+  assert.equal(first.phone, '+15551230000');
+  assert.equal(first.end, '2026-03-06T20:00:00Z');
+  book.book({ city: 'dallas', start: '2026-03-06T19:00:00Z' });
+  assert.deepEqual(book.book({ city: 'dallas', start: '2026-03-06T19:30:00Z' }), { error: 'slot_taken' });
+  assert.deepEqual(book.book({ city: 'dallas', start: '2026-03-06T19:15:00Z' }), { error: 'not_a_slot' });
+  assert.deepEqual(book.book({ city: 'dallas', start: '2026-03-06T16:30:00Z' }), { error: 'not_a_slot' });
+  assert.equal(book.availability({ city: 'dallas' }).slots[0].start, '2026-03-06T20:00:00Z');
+  // Moving a booking doesn't count it against itself.
+  assert.equal(book.availability({ city: 'dallas', exceptId: first.id }).slots[0].start, '2026-03-06T18:00:00Z');
+});
+
+test('bookings survive a restart and the calendar feed tracks changes', (t) => {
+  const config = validateAppointments({
+    timezone: 'America/Chicago',
+    cities: { dallas: { name: 'Dallas', state: 'TX', crews: 1, jobMinutes: 60, shifts: WEEKDAYS } }
+  });
+  const filePath = path.join(tempDir(t), 'appointments.jsonl');
+  const now = () => new Date('2026-03-06T16:00:00Z');
+  const book = createAppointmentBook({ config, filePath, log: silentLog, now });
+  const { booking } = book.book({
+    city: 'dallas', start: '2026-03-06T18:00:00Z', name: 'Ann', company: 'Acme, Inc.', phone: '+15551230000', notes: 'Door 4; floor-loaded', callSid: 'CA1'
+  });
+  const moved = book.reschedule(booking.id, '2026-03-06T20:00:00Z');
+  assert.equal(moved.previous.start, '2026-03-06T18:00:00Z');
+  assert.equal(moved.booking.sequence, 1);
+  assert.deepEqual(book.reschedule('NOPE42', '2026-03-06T20:00:00Z'), { error: 'not_found' });
+
+  const reloaded = createAppointmentBook({ config, filePath, log: silentLog, now });
+  assert.deepEqual(reloaded.upcomingFor('555-123-0000').map((b) => [b.id, b.start]), [[booking.id, '2026-03-06T20:00:00Z']]);
+  assert.equal(fs.readFileSync(filePath, 'utf-8').trim().split('\n').length, 1); // compacted
+  assert.equal(reloaded.cancel(booking.id).booking.status, 'cancelled');
+  assert.deepEqual(reloaded.cancel(booking.id), { error: 'not_found' });
+  assert.deepEqual(reloaded.upcomingFor('+15551230000'), []);
+
+  const ics = reloaded.calendar('dallas');
+  assert.ok(ics.endsWith('END:VEVENT\r\nEND:VCALENDAR\r\n'));
+  assert.ok(ics.split('\r\n').every((line) => Buffer.byteLength(line) <= 75));
+  const unfolded = ics.replace(/\r\n /g, '');
+  assert.match(unfolded, /X-WR-CALNAME:Dock appointments - Dallas\\, TX\r\n/);
+  assert.match(unfolded, new RegExp(`UID:${booking.id}@dock-appointments\r\n`));
+  assert.match(unfolded, /DTSTART:20260306T200000Z\r\nDTEND:20260306T210000Z\r\nSEQUENCE:2\r\nSTATUS:CANCELLED\r\n/);
+  assert.match(unfolded, /SUMMARY:Unload - Acme\\, Inc\.\r\n/);
+  assert.match(unfolded, /DESCRIPTION:.*\\nNotes: Door 4\\; floor-loaded\r\n/);
+  assert.equal(reloaded.calendar('austin'), null);
+});
+
+test('callers check, book, reschedule and cancel dock appointments', async (t) => {
+  const dir = tempDir(t);
+  const configPath = path.join(dir, 'appointments.json');
+  const allDay = Object.fromEntries(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].map((day) => [day, [['00:00', '23:59']]]));
+  fs.writeFileSync(configPath, JSON.stringify({
+    timezone: 'America/Chicago',
+    leadMinutes: 60,
+    cities: { dallas: { name: 'Dallas', state: 'TX', crews: 1, jobMinutes: 60, shifts: allDay } }
+  }));
+  const h = await startHarness({ env: { APPOINTMENTS_PATH: configPath, CALENDAR_TOKEN: 'cal-test' } });
+  t.after(() => h.close());
+
+  const first = await connectFakeTwilio(h.baseUrl, { callSid: 'CAfirst' });
+  first.start({ caller: '+15551230000' });
+  let openai = await h.openai.nextSession();
+  const { session } = await openai.waitFor('session.update');
+  assert.ok(['check_availability', 'book_appointment', 'reschedule_appointment', 'cancel_appointment']
+    .every((name) => session.tools.some((tool) => tool.name === name)));
+  assert.doesNotMatch(session.instructions, /UPCOMING DOCK APPOINTMENTS/);
+  await openai.waitFor('response.create'); // greeting
+
+  const offered = await callTool(openai, 'check_availability', { job_city: 'dallas, tx' }, 'call_1');
+  assert.equal(offered.success, true);
+  assert.equal(offered.city, 'Dallas');
+  assert.equal(offered.slots.length, 3);
+  assert.match((await openai.waitFor('response.create')).response.instructions, /call book_appointment/);
+
+  const booked = await callTool(openai, 'book_appointment', { job_city: 'Dallas', start: offered.slots[0].start, first_name: 'Ann', notes: 'Door 4' }, 'call_2');
+  assert.equal(booked.success, true);
+  assert.equal(booked.start, offered.slots[0].start);
+  assert.match((await openai.waitFor('response.create')).response.instructions, new RegExp(`booking number ${booked.booking_id}`));
+  assert.equal((await callTool(openai, 'book_appointment', { job_city: 'Dallas', start: offered.slots[0].start }, 'call_3')).error, 'booking_limit');
+
+  openai.send(functionCall('submit_new_intake', { first_name: 'Ann', job_city: 'Dallas', phone: '555-123-0000' }, 'call_4'));
+  const order = await h.stub.waitFor((r) => r.path === '/hooks/new-order');
+  assert.deepEqual(order.body.appointments.map((a) => [a.booking_id, a.city, a.start, a.status]), [
+    [booked.booking_id, 'Dallas', booked.start, 'booked']
+  ]);
+  first.stop();
+  first.close();
+
+  assert.equal((await fetch(`${h.baseUrl}/calendar/dallas.ics`)).status, 401);
+  assert.equal((await fetch(`${h.baseUrl}/calendar/austin.ics?token=cal-test`)).status, 404);
+  const feed = await fetch(`${h.baseUrl}/calendar/dallas.ics?token=cal-test`);
+  assert.equal(feed.status, 200);
+  assert.match(feed.headers.get('content-type'), /^text\/calendar/);
+  assert.match(await feed.text(), new RegExp(`UID:${booked.booking_id}@dock-appointments`));
+
+  // The same caller calls back to move it, then cancels.
+  const second = await connectFakeTwilio(h.baseUrl, { callSid: 'CAsecond' });
+  second.start({ caller: '+15551230000' });
+  openai = await h.openai.nextSession();
+  const { session: resumed } = await openai.waitFor('session.update');
+  assert.match(resumed.instructions, new RegExp(`- booking ${booked.booking_id}: Dallas, `));
+  await openai.waitFor('response.create');
+
+  const later = await callTool(openai, 'check_availability', { booking_id: booked.booking_id.toLowerCase(), day: 'tomorrow', time: '10:00' }, 'call_1');
+  assert.equal(later.success, true);
+  const moved = await callTool(openai, 'reschedule_appointment', { start: later.slots[1].start }, 'call_2');
+  assert.equal(moved.success, true);
+  assert.equal(moved.start, later.slots[1].start);
+  const update = await h.stub.waitFor((r) => r.path === '/hooks/existing-update');
+  assert.equal(update.body.load_number, booked.booking_id);
+  assert.match(update.body.call_notes, new RegExp(`^Moved dock appointment ${booked.booking_id} from .* to ${moved.when}\\.$`));
+  assert.equal(update.body.appointment.start, later.slots[1].start);
+
+  const cancelled = await callTool(openai, 'cancel_appointment', { reason: 'load delayed' }, 'call_3');
+  assert.equal(cancelled.status, 'cancelled');
+  await h.stub.waitFor((r) => r.path === '/hooks/existing-update' && /Reason: load delayed$/.test(r.body.call_notes));
+  assert.equal((await callTool(openai, 'cancel_appointment', {}, 'call_4')).error, 'no_appointment');
+  second.stop();
+  second.close();
+
+  const ics = await (await fetch(`${h.baseUrl}/calendar/dallas.ics`, admin)).text();
+  assert.match(ics.replace(/\r\n /g, ''), /SEQUENCE:2\r\nSTATUS:CANCELLED/);
+});
+
+test('one call holds one active booking until it cancels it', async (t) => {
+  const dir = tempDir(t);
+  const configPath = path.join(dir, 'appointments.json');
+  const allDay = Object.fromEntries(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].map((day) => [day, [['00:00', '23:59']]]));
+  fs.writeFileSync(configPath, JSON.stringify({
+    timezone: 'America/Chicago',
+    leadMinutes: 60,
+    cities: { dallas: { name: 'Dallas', state: 'TX', crews: 3, jobMinutes: 60, shifts: allDay } }
+  }));
+  const h = await startHarness({ env: { APPOINTMENTS_PATH: configPath } });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('response.create'); // greeting
+
+  const { slots } = await callTool(openai, 'check_availability', { job_city: 'Dallas' }, 'call_1');
+  await openai.waitFor('response.create');
+  const first = await callTool(openai, 'book_appointment', { job_city: 'Dallas', start: slots[0].start }, 'call_2');
+  assert.equal(first.success, true);
+  await openai.waitFor('response.create');
+
+  // Another slot, even with crews free, is refused; the model is steered to moving the booking.
+  assert.deepEqual(await callTool(openai, 'book_appointment', { job_city: 'Dallas', start: slots[1].start }, 'call_3'), {
+    success: false, error: 'booking_limit'
+  });
+  assert.match((await openai.waitFor('response.create')).response.instructions, /can't book another one\. Offer to move that one with reschedule_appointment/);
+  const feed = await (await fetch(`${h.baseUrl}/calendar/dallas.ics`, admin)).text();
+  assert.equal(feed.match(/BEGIN:VEVENT/g).length, 1);
+
+  // Moving it doesn't use up another booking; cancelling frees the call to book again.
+  assert.equal((await callTool(openai, 'reschedule_appointment', { start: slots[2].start }, 'call_4')).success, true);
+  assert.equal((await callTool(openai, 'cancel_appointment', {}, 'call_5')).status, 'cancelled');
+  assert.equal((await callTool(openai, 'book_appointment', { job_city: 'Dallas', start: slots[1].start }, 'call_6')).success, true);
+  twilio.close();
+});
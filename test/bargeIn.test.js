@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+
+// 800 bytes of mu-law = 100ms of audio
+const CHUNK_100MS = Buffer.alloc(800, 0xff).toString('base64');
+
+async function startCall(h) {
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+  return { twilio, openai };
+}
+
+test('barge-in truncates the item at what Twilio confirmed played, then cancels', async (t) => {
+  const h = await startHarness({ env: { BARGE_IN_MIN_SPEECH_MS: '50' } });
+  t.after(() => h.close());
+  const { twilio, openai } = await startCall(h);
+
+  openai.send({ type: 'response.created', response: { id: 'resp_1' } });
+  openai.send({ type: 'response.audio.delta', item_id: 'item_1', delta: CHUNK_100MS });
+  openai.send({ type: 'response.audio.delta', item_id: 'item_1', delta: CHUNK_100MS });
+  openai.send({ type: 'response.audio.delta', item_id: 'item_1', delta: CHUNK_100MS });
+  const marks = [];
+  for (let i = 0; i < 3; i++) {
+    marks.push(await twilio.waitFor((m) => m.event === 'mark' && !marks.includes(m)));
+  }
+  // Caller heard the first two chunks only.
+  twilio.mark(marks[1].mark.name);
+  await sleep(20);
+
+  openai.send({ type: 'input_audio_buffer.speech_started' });
+  await twilio.waitFor((m) => m.event === 'clear');
+  const truncate = await openai.waitFor('conversation.item.truncate');
+  assert.deepEqual(
+    { item_id: truncate.item_id, content_index: truncate.content_index, audio_end_ms: truncate.audio_end_ms },
+    { item_id: 'item_1', content_index: 0, audio_end_ms: 200 }
+  );
+  await openai.waitFor('response.cancel');
+  twilio.close();
+});
+
+test('short noises and finished responses do not interrupt or cancel', async (t) => {
+  const h = await startHarness({ env: { BARGE_IN_MIN_SPEECH_MS: '100' } });
+  t.after(() => h.close());
+  const { twilio, openai } = await startCall(h);
+
+  openai.send({ type: 'response.created', response: { id: 'resp_1' } });
+  openai.send({ type: 'response.audio.delta', item_id: 'item_1', delta: CHUNK_100MS });
+  const mark = await twilio.waitFor((m) => m.event === 'mark');
+
+  // A cough: speech stops before the minimum duration.
+  openai.send({ type: 'input_audio_buffer.speech_started' });
+  openai.send({ type: 'input_audio_buffer.speech_stopped' });
+  await sleep(200);
+  assert.ok(!twilio.received.some((m) => m.event === 'clear'));
+
+  // Response finished and fully played: nothing to clear, truncate or cancel.
+  openai.send({ type: 'response.done', response: { id: 'resp_1' } });
+  twilio.mark(mark.mark.name);
+  await sleep(20);
+  openai.send({ type: 'input_audio_buffer.speech_started' });
+  await sleep(200);
+  assert.ok(!twilio.received.some((m) => m.event === 'clear'));
+  assert.ok(!openai.received.some((m) => m.type === 'response.cancel' || m.type === 'conversation.item.truncate'));
+  twilio.close();
+});
@@ -0,0 +1,224 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+import { createStreamToken } from '../src/twilioAuth.js';
+
+function functionCall(name, args, callId = 'call_1') {
+  return { type: 'response.function_call_arguments.done', name, call_id: callId, arguments: JSON.stringify(args) };
+}
+
+test('new caller: session config, audio both ways, barge-in and intake webhook', async (t) => {
+  const h = await startHarness();
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+
+  const config = await openai.waitFor('session.update');
+  assert.deepEqual(config.session.tools.map((tool) => tool.name), ['submit_new_intake']);
+  assert.match(config.session.instructions, /INTAKE/);
+  assert.equal(config.session.input_audio_format, 'g711_ulaw');
+  const greeting = await openai.waitFor('response.create');
+  assert.match(greeting.response.instructions, /How can I help you/);
+
+  twilio.media('AAAA');
+  const appended = await openai.waitFor('input_audio_buffer.append');
+  assert.equal(appended.audio, 'AAAA');
+
+  openai.send({ type: 'response.audio.delta', delta: 'BBBB' });
+  const media = await twilio.waitFor((m) => m.event === 'media');
+  assert.deepEqual(media, { event: 'media', streamSid: 'MZtest', media: { payload: 'BBBB' } });
+
+  openai.send({ type: 'input_audio_buffer.speech_started' });
+  await twilio.waitFor((m) => m.event === 'clear');
+
+  openai.send(functionCall('submit_new_intake', { first_name: 'Ann', job_city: 'Dallas', phone: '+15551230000' }));
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/new-order');
+  assert.equal(hook.body.first_name, 'Ann');
+  assert.equal(hook.headers['idempotency-key'], 'CAtest:call_1');
+
+  const output = await openai.waitFor('conversation.item.create');
+  assert.equal(output.item.call_id, 'call_1');
+  assert.equal(JSON.parse(output.item.output).success, true);
+
+  twilio.stop();
+  const record = await (await fetch(`${h.baseUrl}/calls/CAtest`, { headers: { Authorization: 'Bearer admin-test' } })).json();
+  assert.equal(record.toolCalls[0].name, 'submit_new_intake');
+  twilio.close();
+});
+
+test('invalid tool arguments go back to the model instead of the webhook', async (t) => {
+  const h = await startHarness();
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+
+  openai.send(functionCall('submit_new_intake', { first_name: 'Ann' }));
+  const output = await openai.waitFor('conversation.item.create');
+  const result = JSON.parse(output.item.output);
+  assert.equal(result.error, 'invalid_arguments');
+  assert.deepEqual(result.errors.map((e) => e.field).sort(), ['job_city', 'phone']);
+  assert.equal(h.stub.requests.filter((r) => r.path.startsWith('/hooks/')).length, 0);
+  twilio.close();
+});
+
+test('spoken intake fields are normalized before the webhook, unreadable ones re-asked', async (t) => {
+  const h = await startHarness();
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+
+  const spoken = { first_name: 'Ann', email: 'ann at gmail dot com', job_city: 'dallas', job_state: 'tex', phone: '555' };
+  openai.send(functionCall('submit_new_intake', { ...spoken, email: 'ann at' }));
+  const retry = JSON.parse((await openai.waitFor('conversation.item.create')).item.output);
+  assert.deepEqual(retry.errors.map((e) => e.field), ['email']);
+  assert.match(retry.errors[0].message, /spell/);
+
+  openai.send(functionCall('submit_new_intake', spoken, 'call_2'));
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/new-order');
+  assert.equal(hook.body.email, 'ann@gmail.com');
+  assert.equal(hook.body.job_city, 'Dallas');
+  assert.equal(hook.body.job_state, 'TX');
+  assert.equal(hook.body.phone, '+15551230000');
+  assert.deepEqual(hook.body.raw, { email: 'ann at gmail dot com', job_city: 'dallas', job_state: 'tex', phone: '555' });
+  assert.deepEqual(hook.body.low_confidence, ['email', 'phone', 'job_state']);
+  twilio.close();
+});
+
+test('returning caller from GHL gets the returning flow and can report an issue', async (t) => {
+  const h = await startHarness({
+    env: { GHL_PIT_TOKEN: 'pit-test', GHL_LOCATION_ID: 'loc-test', GHL_FIELD_LOAD_NUMBER: 'fld_load' },
+    routes: {
+      'GET /contacts/': () => ({
+        body: {
+          contacts: [{
+            id: 'c-1',
+            firstName: 'Ann',
+            companyName: 'Acme Freight',
+            phone: '+15551230000',
+            customFields: [{ id: 'fld_load', value: 'L-77' }]
+          }]
+        }
+      })
+    }
+  });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+
+  const config = await openai.waitFor('session.update');
+  assert.match(config.session.instructions, /Ann from Acme Freight/);
+  assert.match(config.session.instructions, /L-77/);
+  assert.ok(config.session.tools.some((tool) => tool.name === 'report_existing_issue'));
+  const lookup = h.stub.requests.find((r) => r.path === '/contacts/');
+  assert.equal(lookup.headers.authorization, 'Bearer pit-test');
+
+  openai.send(functionCall('report_existing_issue', { caller_name: 'Ann', load_number: 'L-77', call_notes: 'Crew late' }));
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/existing-update');
+  assert.equal(hook.body.load_number, 'L-77');
+  assert.equal(hook.body.phone, '+15551230000');
+
+  // Hanging up pushes the call into GHL as a note on the known contact.
+  twilio.stop();
+  const note = await h.stub.waitFor((r) => r.path === '/contacts/c-1/notes');
+  assert.match(note.body.body, /report_existing_issue/);
+  twilio.close();
+});
+
+test('returning caller can check the status of the load on file', async (t) => {
+  const ordersFile = path.join(os.tmpdir(), `orders-${process.pid}.csv`);
+  fs.writeFileSync(ordersFile, 'load_number,company,status,crew_size,eta,dock_appointment\nL-77,Acme Freight,Crew en route,4,2:30 PM,3:00 PM\n');
+  const h = await startHarness({
+    env: { GHL_PIT_TOKEN: 'pit-test', GHL_LOCATION_ID: 'loc-test', GHL_FIELD_LOAD_NUMBER: 'fld_load', ORDER_STATUS_FILE: ordersFile },
+    routes: {
+      'GET /contacts/': () => ({
+        body: { contacts: [{ id: 'c-1', firstName: 'Ann', companyName: 'Acme Freight', phone: '+15551230000', customFields: [{ id: 'fld_load', value: 'L-77' }] }] }
+      })
+    }
+  });
+  t.after(async () => {
+    await h.close();
+    fs.rmSync(ordersFile, { force: true });
+  });
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  const config = await openai.waitFor('session.update');
+  assert.ok(config.session.tools.some((tool) => tool.name === 'check_load_status'));
+  await openai.waitFor('response.create'); // greeting
+
+  openai.send(functionCall('check_load_status', {}));
+  const output = JSON.parse((await openai.waitFor('conversation.item.create')).item.output);
+  assert.deepEqual([output.success, output.number, output.status, output.crew_size, output.eta], [true, 'L-77', 'Crew en route', 4, '2:30 PM']);
+  assert.match((await openai.waitFor('response.create')).response.instructions, /crew members/);
+  twilio.close();
+});
+
+test('a failing webhook is reported to the model as not delivered', async (t) => {
+  const h = await startHarness({ routes: { 'POST /hooks/new-order': () => ({ status: 503 }) } });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+  await openai.waitFor('response.create');
+
+  openai.send(functionCall('submit_new_intake', { first_name: 'Ann', job_city: 'Dallas', phone: '+15551230000' }));
+  const output = await openai.waitFor('conversation.item.create');
+  assert.deepEqual(JSON.parse(output.item.output), { success: false, delivery_status: 'queued_for_retry' });
+  const followUp = await openai.waitFor('response.create');
+  assert.match(followUp.response.instructions, /Do NOT say dispatch has been notified/);
+
+  const res = await fetch(`${h.baseUrl}/admin/outbox?status=pending`, { headers: { Authorization: 'Bearer admin-test' } });
+  const { deliveries } = await res.json();
+  assert.equal(deliveries.length, 1);
+  assert.equal(deliveries[0].lastError, 'HTTP 503');
+  twilio.close();
+});
+
+test('OpenAI error events do not break the call', async (t) => {
+  const h = await startHarness();
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+
+  openai.send({ type: 'error', error: { type: 'invalid_request_error', message: 'boom' } });
+  openai.send({ type: 'response.audio.delta', delta: 'CCCC' });
+  await twilio.waitFor((m) => m.event === 'media' && m.media.payload === 'CCCC');
+  twilio.close();
+});
+
+test('media streams without a valid token are dropped before OpenAI is contacted', async (t) => {
+  const h = await startHarness({ env: { STREAM_TOKEN_SECRET: 'stream-secret' } });
+  t.after(() => h.close());
+
+  const rejected = await connectFakeTwilio(h.baseUrl);
+  rejected.start({ caller: '+15551230000', token: 'nope' });
+  assert.equal(await rejected.waitForClose(), 1008);
+  assert.equal(h.openai.sessions.length, 0);
+
+  const accepted = await connectFakeTwilio(h.baseUrl);
+  accepted.start({ caller: '+15551230000', token: createStreamToken('stream-secret', 'CAtest', 60) });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+  assert.equal(openai.headers.authorization, 'Bearer sk-test');
+  accepted.close();
+});
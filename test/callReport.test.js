@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ruleReport } from '../src/callReport.js';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+
+const COMPLETIONS = 'POST /v1/chat/completions';
+
+function functionCall(name, args, callId = 'call_1') {
+  return { type: 'response.function_call_arguments.done', name, call_id: callId, arguments: JSON.stringify(args) };
+}
+
+function record(overrides) {
+  return {
+    callSid: 'CA1', direction: 'inbound', language: 'en', endReason: 'twilio_stop',
+    turns: [], toolCalls: [], ...overrides
+  };
+}
+
+test('without the model, the report comes from the tool calls and what the caller said', () => {
+  assert.deepEqual(ruleReport(record({
+    turns: [{ speaker: 'caller', text: 'The crew never showed up and the detention clock is running.' }],
+    toolCalls: [{ name: 'submit_new_intake', arguments: { first_name: 'Ann', job_city: '' }, result: { success: false, error: 'invalid_arguments' } }]
+  })), {
+    summary: '',
+    disposition: 'hang_up_before_intake',
+    urgency_reasons: ['crew_missing', 'detention'],
+    sentiment: 'neutral',
+    missing_fields: ['job_city', 'phone']
+  });
+
+  const update = ruleReport(record({
+    toolCalls: [{ name: 'report_existing_issue', arguments: { caller_name: 'Ann', load_number: '4417', call_notes: 'Late' }, result: { success: true, delivery_status: 'delivered' } }]
+  }));
+  assert.equal(update.disposition, 'existing_update');
+  assert.deepEqual(update.missing_fields, []);
+  assert.equal(ruleReport(record({ toolCalls: [{ name: 'check_load_status', arguments: {}, result: {} }] })).disposition, 'status_inquiry');
+  assert.equal(ruleReport(record({ endReason: 'time_limit' })).disposition, 'other');
+});
+
+test('a finished call is summarized by the text model and posted to the call summary webhook', async (t) => {
+  const h = await startHarness({
+    env: { CALL_SUMMARY_MODEL: 'summary-test' },
+    routes: {
+      [COMPLETIONS]: () => ({
+        body: {
+          choices: [{
+            message: {
+              content: JSON.stringify({
+                summary: 'The caller asked for a crew in Dallas, then hung up before giving a phone number.',
+                disposition: 'hang_up_before_intake',
+                urgency_reasons: ['crew_missing', 'weather'],
+                sentiment: 'negative',
+                missing_fields: ['phone', 'favorite_color']
+              })
+            }
+          }]
+        }
+      })
+    }
+  });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+  await openai.waitFor('response.create'); // greeting
+  openai.send({ type: 'conversation.item.input_audio_transcription.completed', transcript: 'Our crew never showed, I need one in Dallas now.' });
+  openai.send(functionCall('submit_new_intake', { first_name: 'Ann', job_city: 'Dallas' }));
+  await openai.waitFor('conversation.item.create');
+  twilio.stop();
+
+  const request = await h.stub.waitFor((r) => r.path === '/v1/chat/completions');
+  assert.equal(request.body.model, 'summary-test');
+  assert.equal(request.headers.authorization, 'Bearer sk-test');
+  assert.deepEqual(request.body.response_format, { type: 'json_object' });
+  const prompt = request.body.messages[1].content;
+  assert.match(prompt, /Caller: Our crew never showed, I need one in Dallas now\./);
+  assert.match(prompt, /- submit_new_intake \(invalid_arguments\): \{"first_name":"Ann","job_city":"Dallas"\}/);
+
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/call-summary');
+  assert.equal(hook.headers['idempotency-key'], 'CAtest:summary');
+  const { started_at: startedAt, ended_at: endedAt, duration_seconds: duration, ...report } = hook.body;
+  assert.ok(startedAt <= endedAt && duration >= 0);
+  assert.deepEqual(report, {
+    type: 'call_summary',
+    call_sid: 'CAtest',
+    reference: 'CATEST',
+    tenant: 'default',
+    direction: 'inbound',
+    caller: '+15551230000',
+    language: 'en',
+    end_reason: 'twilio_stop',
+    summary: 'The caller asked for a crew in Dallas, then hung up before giving a phone number.',
+    disposition: 'hang_up_before_intake',
+    urgent: true,
+    urgency_reasons: ['crew_missing'],
+    sentiment: 'negative',
+    missing_fields: ['phone'],
+    tools: ['submit_new_intake'],
+    source: 'model'
+  });
+
+  const record = await (await fetch(`${h.baseUrl}/calls/CAtest`, { headers: { Authorization: 'Bearer admin-test' } })).json();
+  assert.equal(record.report.disposition, 'hang_up_before_intake');
+  twilio.close();
+});
+
+test('when the text model fails the report still goes out, filled in from the call', async (t) => {
+  const h = await startHarness({ routes: { [COMPLETIONS]: () => ({ status: 500, body: { error: 'overloaded' } }) } });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+  await openai.waitFor('response.create'); // greeting
+  openai.send(functionCall('submit_new_intake', { first_name: 'Ann', job_city: 'Dallas', phone: '555-123-0000' }));
+  await h.stub.waitFor((r) => r.path === '/hooks/new-order');
+  await openai.waitFor('conversation.item.create');
+  twilio.stop();
+
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/call-summary');
+  assert.equal(hook.body.source, 'rules');
+  assert.equal(hook.body.disposition, 'new_order');
+  assert.equal(hook.body.urgent, false);
+  assert.deepEqual(hook.body.missing_fields, []);
+  twilio.close();
+});
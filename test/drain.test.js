@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+
+const admin = { headers: { Authorization: 'Bearer admin-test' } };
+
+function voice(h, query = '') {
+  return fetch(`${h.baseUrl}/twilio/voice${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ CallSid: 'CAnew', From: '+15551230000', To: '+15555550100' }).toString()
+  });
+}
+
+test('draining fails readiness, redirects new calls to the peer and waits for live calls', async (t) => {
+  const h = await startHarness({ env: { PEER_VOICE_URL: 'https://peer.example.com/twilio/voice' } });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+  assert.deepEqual(await (await fetch(`${h.baseUrl}/readyz`)).json(), { ready: true, activeCalls: 1 });
+
+  let drained = null;
+  h.app.drain().then((result) => {
+    drained = result;
+  });
+
+  const ready = await fetch(`${h.baseUrl}/readyz`);
+  assert.equal(ready.status, 503);
+  const state = await (await fetch(`${h.baseUrl}/admin/drain`, admin)).json();
+  assert.equal(state.draining, true);
+  assert.equal(state.activeCalls, 1);
+  assert.equal(state.calls[0].callSid, 'CAtest');
+
+  const redirected = await (await voice(h)).text();
+  assert.match(redirected, /<Redirect method="POST">https:\/\/peer\.example\.com\/twilio\/voice\?drained=1<\/Redirect>/);
+  // A call a peer already bounced back is served here rather than looping.
+  assert.match(await (await voice(h, '?drained=1')).text(), /<Connect>/);
+
+  assert.equal(drained, null);
+  twilio.stop();
+  twilio.close();
+  await h.app.drain();
+  assert.equal(drained, true);
+  assert.equal((await (await fetch(`${h.baseUrl}/admin/drain`, admin)).json()).activeCalls, 0);
+});
+
+test('draining gives up after the drain timeout', async (t) => {
+  const h = await startHarness({ env: { DRAIN_TIMEOUT_MS: '100', DRAIN_REDIRECT_WINDOW_MS: '0' } });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  await (await h.openai.nextSession()).waitFor('session.update');
+
+  assert.equal(await h.app.drain(), false);
+  assert.equal((await voice(h)).status, 503);
+  twilio.close();
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadFlows } from '../src/flows.js';
+import { registry } from '../src/tools.js';
+import { startHarness } from './helpers/harness.js';
+
+const admin = { 'Content-Type': 'application/json', Authorization: 'Bearer admin-test' };
+
+function flowDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flows-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text);
+  return dir;
+}
+
+test('the shipped new-caller flow only asks for what submit_new_intake takes', () => {
+  const flows = loadFlows('config/flows');
+  assert.deepEqual([...flows.keys()].sort(), ['crew-confirmation', 'new-caller', 'returning-caller']);
+  const intake = registry.find((tool) => tool.name === 'submit_new_intake').parameters.properties;
+  for (const { field } of flows.get('new-caller').intake) assert.ok(intake[field], `${field} is a submit_new_intake parameter`);
+});
+
+test('the loader lists every problem in every flow file', (t) => {
+  const dir = flowDir(t, {
+    'a.yaml': [
+      'id: a',
+      'audience: sideways',
+      'greeting: "Hi {{nickname}}"',
+      'instructions: "Say {{greeting}}"',
+      'intake:',
+      '  - field: first_name',
+      '  - { field: email, label: Email, readBack: shout }'
+    ].join('\n'),
+    'b.yaml': 'id: [b',
+    'c.json': JSON.stringify({
+      id: 'c',
+      audience: 'outbound',
+      greeting: 'Hi',
+      instructions: 'Confirm',
+      translations: { fr: { greeting: 'Salut' }, es: { greeting: 'Hola {{greeting}}', intake: ['Nombre'] } }
+    }),
+    'd.yaml': 'id: same\naudience: new\ngreeting: Hi\ninstructions: Go',
+    'e.yaml': 'id: same\naudience: new\ngreeting: Hello\ninstructions: Go',
+    'notes.txt': 'not a flow'
+  });
+
+  assert.throws(() => loadFlows(dir), (err) => {
+    // The YAML parser's message for b.yaml runs over several lines.
+    assert.match(err.message, /\n {2}b\.yaml: /);
+    assert.deepEqual(err.message.split('\n  ').filter((e) => /^[ace]\.(yaml|json): /.test(e)), [
+      'a.yaml: audience must be one of new, returning, outbound',
+      'a.yaml: intake[0] needs field and label',
+      'a.yaml: intake[1].readBack must be one of none, repeat, spell',
+      'a.yaml: unknown variable {{nickname}}',
+      'c.json: outbound flows need a voicemail script',
+      'c.json: translations.fr: unknown language (have es)',
+      'c.json: translations.es.instructions is required',
+      'c.json: translations.es.voicemail is required for outbound flows',
+      'c.json: translations.es.intake must map fields to labels',
+      "c.json: greeting can't reference {{greeting}}",
+      'e.yaml: duplicate flow id "same"'
+    ]);
+    return true;
+  });
+});
+
+test('app-level flow checks run on flows that are otherwise valid', (t) => {
+  const dir = flowDir(t, {
+    'new.yaml': 'id: new\naudience: new\ngreeting: Hi\ninstructions: Go\nintake:\n  - { field: shoe_size, label: Shoe Size }',
+    'broken.yaml': 'id: broken\naudience: new\ninstructions: Go'
+  });
+  const seen = [];
+  const checkFlow = (flow) => {
+    seen.push(flow.id);
+    return flow.intake.map((item) => `intake field "${item.field}" is not a submit_new_intake parameter`);
+  };
+  assert.throws(() => loadFlows(dir, { checkFlow }), (err) => {
+    assert.deepEqual(err.message.split('\n  ').slice(1), [
+      'broken.yaml: greeting is required',
+      'new.yaml: intake field "shoe_size" is not a submit_new_intake parameter'
+    ]);
+    return true;
+  });
+  assert.deepEqual(seen, ['new']);
+});
+
+test('POST /flows/preview renders a tenant\'s flows for a sample contact', async (t) => {
+  const h = await startHarness({ env: { LANGUAGES: 'en,es' } });
+  t.after(() => h.close());
+  const preview = async (body) => {
+    const res = await fetch(`${h.baseUrl}/flows/preview`, { method: 'POST', headers: admin, body: JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+
+  assert.equal((await fetch(`${h.baseUrl}/flows/preview`, { method: 'POST' })).status, 401);
+
+  const fresh = (await preview({})).body;
+  assert.equal(fresh.tenant, 'default');
+  assert.equal(fresh.flow, 'new-caller');
+  assert.equal(fresh.greeting, 'EZ Lumper Services. Mike speaking. How can I help you?');
+  assert.match(fresh.instructions, /INTAKE \(Ask one by one\): First Name, Company, Email, Location \(City\/State\), Dock Available, Phone\./);
+  assert.match(fresh.instructions, /VERIFY: Read back First Name, Email, Phone\. Spell out Email letter by letter/);
+
+  const returning = (await preview({ contact: { found: true, firstName: 'Ann', company: 'Acme Freight', load_number: 'L-77' } })).body;
+  assert.equal(returning.flow, 'returning-caller');
+  assert.match(returning.greeting, /^Hi Ann, I'm Mike\./);
+  assert.match(returning.instructions, /- Active Load: L-77\n/);
+  assert.doesNotMatch(returning.instructions, /Active Reservation/);
+
+  const spanish = (await preview({ language: 'es' })).body;
+  assert.equal(spanish.language, 'es');
+  assert.equal(spanish.greeting, 'EZ Lumper Services. Habla Mike. ¿En qué le puedo ayudar?');
+  assert.match(spanish.instructions, /Andén disponible/);
+
+  const outbound = (await preview({ flow: 'crew-confirmation', context: { first_name: 'Ann', load_number: 'L-77', eta: '6am Tuesday' } })).body;
+  assert.equal(outbound.flow, 'crew-confirmation');
+  assert.match(outbound.voicemail, /^Hi Ann, this is Mike from EZ Lumper Services calling to confirm your lumper crew for load L-77, 6am Tuesday at your facility\./);
+  assert.doesNotMatch(outbound.instructions, /Notes:/);
+
+  assert.deepEqual(await preview({ flow: 'new-caller' }), { status: 400, body: { error: '"new-caller" is not an outbound flow' } });
+  assert.deepEqual(await preview({ afterHours: true }), { status: 400, body: { error: 'afterHours preview needs SCHEDULE_PATH' } });
+});
@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStubServer } from './helpers/stubHttp.js';
+import { createGhlClient, syncCallToCrm } from '../src/ghl.js';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+
+const log = { warn() {}, info() {}, error() {} };
+
+function client(stub, options = {}) {
+  return createGhlClient({
+    token: 'pit-test',
+    locationId: 'loc-test',
+    baseUrl: stub.url,
+    fieldIds: { loadNumber: 'fld_load', reservationNumber: 'fld_res' },
+    pipeline: { id: 'pipe-1', stages: { newOrder: 'stage-new', existingUpdate: 'stage-update' } },
+    log,
+    ...options
+  });
+}
+
+test('lookup prefers an exact phone match, then the most recently updated contact', async (t) => {
+  const stub = await startStubServer({
+    'GET /contacts/': () => ({
+      body: {
+        contacts: [
+          { id: 'c-old', firstName: 'Old', phone: '+15551230000', dateUpdated: '2024-01-01T00:00:00Z' },
+          { id: 'c-other', firstName: 'Other', phone: '+44 5551230000', dateUpdated: '2025-06-01T00:00:00Z' },
+          {
+            id: 'c-new',
+            firstName: 'Ann',
+            companyName: 'Acme Freight',
+            phone: '(555) 123-0000',
+            dateUpdated: '2025-01-01T00:00:00Z',
+            customFields: [{ id: 'fld_load', value: 'L-77' }, { id: 'fld_other', value: 'x' }]
+          }
+        ]
+      }
+    })
+  });
+  t.after(() => stub.close());
+
+  const contact = await client(stub).lookupContact('555-123-0000');
+  assert.equal(contact.id, 'c-new');
+  assert.equal(contact.phone, '+15551230000');
+  assert.equal(contact.load_number, 'L-77');
+  assert.equal(contact.reservation_number, '');
+  assert.equal(stub.requests[0].query.query, '5551230000');
+  assert.equal(stub.requests[0].headers.authorization, 'Bearer pit-test');
+});
+
+test('lookups are cached until the TTL expires; failures are not cached', async (t) => {
+  let fail = true;
+  const stub = await startStubServer({
+    'GET /contacts/': () => (fail ? { status: 500 } : { body: { contacts: [] } })
+  });
+  t.after(() => stub.close());
+  const ghl = client(stub);
+
+  assert.deepEqual(await ghl.lookupContact('+15551230000'), { found: false });
+  fail = false;
+  await ghl.lookupContact('+15551230000');
+  await ghl.lookupContact('+1 (555) 123-0000');
+  assert.equal(stub.requests.length, 2);
+
+  const shortLived = client(stub, { cacheTtlMs: -1 });
+  await shortLived.lookupContact('+15551230000');
+  await shortLived.lookupContact('+15551230000');
+  assert.equal(stub.requests.length, 4);
+});
+
+test('after an intake call the contact is upserted, noted and given an opportunity', async (t) => {
+  const stub = await startStubServer({
+    'POST /contacts/upsert': () => ({ body: { contact: { id: 'c-1' }, new: true } }),
+    'GET /opportunities/search': () => ({ body: { opportunities: [] } }),
+    'POST /opportunities/': () => ({ body: { opportunity: { id: 'o-1' } } })
+  });
+  t.after(() => stub.close());
+
+  const record = {
+    callSid: 'CA1',
+    caller: '+15551230000',
+    startedAt: '2025-01-01T00:00:00Z',
+    endReason: 'twilio_stop',
+    turns: [{ speaker: 'caller', text: 'I need a crew' }],
+    toolCalls: [{
+      name: 'submit_new_intake',
+      arguments: { first_name: 'Ann', company_name: 'Acme', job_city: 'Dallas', phone: '5551230000' },
+      result: { success: true }
+    }]
+  };
+  const contactId = await syncCallToCrm(client(stub), { record, contact: { found: false }, personaName: 'Mike' });
+  assert.equal(contactId, 'c-1');
+
+  const upsert = stub.requests.find((r) => r.path === '/contacts/upsert');
+  assert.deepEqual(upsert.body, { locationId: 'loc-test', phone: '+15551230000', firstName: 'Ann', companyName: 'Acme' });
+  const note = stub.requests.find((r) => r.path === '/contacts/c-1/notes');
+  assert.match(note.body.body, /Caller: I need a crew/);
+  const opportunity = stub.requests.find((r) => r.method === 'POST' && r.path === '/opportunities/');
+  assert.equal(opportunity.body.pipelineStageId, 'stage-new');
+  assert.equal(opportunity.body.contactId, 'c-1');
+});
+
+test('an existing-update call moves the open opportunity instead of creating one', async (t) => {
+  const stub = await startStubServer({
+    'GET /opportunities/search': () => ({ body: { opportunities: [{ id: 'o-9', pipelineStageId: 'stage-new' }] } })
+  });
+  t.after(() => stub.close());
+
+  const record = {
+    callSid: 'CA2',
+    caller: '+15551230000',
+    startedAt: '2025-01-01T00:00:00Z',
+    turns: [],
+    toolCalls: [{ name: 'report_existing_issue', arguments: { load_number: 'L-77' }, result: { success: true } }]
+  };
+  await syncCallToCrm(client(stub), { record, contact: { found: true, id: 'c-9' }, personaName: 'Mike' });
+
+  assert.equal(stub.requests.some((r) => r.path === '/contacts/upsert'), false);
+  const move = stub.requests.find((r) => r.method === 'PUT');
+  assert.equal(move.path, '/opportunities/o-9');
+  assert.deepEqual(move.body, { pipelineStageId: 'stage-update' });
+  assert.equal(stub.requests.some((r) => r.method === 'POST' && r.path === '/opportunities/'), false);
+});
+
+test('hang-ups and calls from withheld numbers are not pushed into GHL', async (t) => {
+  const stub = await startStubServer({ 'POST /contacts/upsert': () => ({ body: { contact: { id: 'c-1' }, new: true } }) });
+  t.after(() => stub.close());
+  const call = (caller, turns, toolCalls = []) => ({
+    record: { callSid: 'CA3', caller, startedAt: '2025-01-01T00:00:00Z', turns, toolCalls },
+    contact: { found: false },
+    personaName: 'Mike'
+  });
+  const said = (...texts) => [{ speaker: 'assistant', text: 'EZ Lumper, Mike speaking.' }, ...texts.map((text) => ({ speaker: 'caller', text }))];
+
+  assert.equal(await syncCallToCrm(client(stub), call('+15551230000', said('Hello?'))), null);
+  assert.equal(await syncCallToCrm(client(stub), call('anonymous', said('Hi', 'Is this the lumper company?'))), null);
+  assert.equal(await syncCallToCrm(client(stub), call('', said('Hi'), [{ name: 'report_existing_issue', arguments: { caller_name: 'Ann' }, result: { success: true } }])), null);
+  assert.equal(stub.requests.length, 0);
+
+  // Enough of a conversation from a real number, or an intake with its own number.
+  assert.equal(await syncCallToCrm(client(stub), call('+15551230000', said('Hi', 'Is this the lumper company?'))), 'c-1');
+  assert.equal(
+    await syncCallToCrm(client(stub), call('anonymous', said('Hi'), [{ name: 'submit_new_intake', arguments: { first_name: 'Ann', phone: '+15557654321' }, result: { success: true } }])),
+    'c-1'
+  );
+  assert.deepEqual(
+    stub.requests.filter((r) => r.path === '/contacts/upsert').map((r) => r.body.phone),
+    ['+15551230000', '+15557654321']
+  );
+});
+
+test('the contact upsert gets the normalized email and phone, the call record keeps both', async (t) => {
+  const h = await startHarness({
+    env: { GHL_PIT_TOKEN: 'pit-test', GHL_LOCATION_ID: 'loc-test' },
+    routes: { 'POST /contacts/upsert': () => ({ body: { contact: { id: 'c-1' }, new: true } }) }
+  });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15559990000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('response.create'); // greeting
+  openai.send({
+    type: 'response.function_call_arguments.done',
+    name: 'submit_new_intake',
+    call_id: 'call_1',
+    arguments: JSON.stringify({
+      first_name: 'John',
+      job_city: 'Dallas',
+      email: 'john at gmail dot com',
+      phone: 'five five five one two three four five six seven'
+    })
+  });
+  await openai.waitFor('conversation.item.create');
+  twilio.stop();
+
+  const upsert = await h.stub.waitFor((r) => r.path === '/contacts/upsert');
+  assert.equal(upsert.body.email, 'john@gmail.com');
+  assert.equal(upsert.body.phone, '+15551234567');
+  const record = await (await fetch(`${h.baseUrl}/calls/CAtest`, { headers: { Authorization: 'Bearer admin-test' } })).json();
+  assert.equal(record.toolCalls[0].arguments.email, 'john@gmail.com');
+  assert.equal(record.toolCalls[0].rawArguments.email, 'john at gmail dot com');
+  twilio.close();
+});
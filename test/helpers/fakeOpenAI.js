@@ -0,0 +1,94 @@
+import { WebSocketServer } from 'ws';
+
+// Local stand-in for the OpenAI Realtime WebSocket. Each connection becomes a
+// session a scenario can script: wait for what the bridge sent, then push
+// events back (audio deltas, speech_started, function calls, errors...).
+export async function startFakeOpenAI() {
+  let refusing = false;
+  const wss = new WebSocketServer({
+    port: 0,
+    verifyClient: (info, done) => (refusing ? done(false, 503) : done(true))
+  });
+  await new Promise((resolve) => wss.on('listening', resolve));
+  const sessions = [];
+  const waiters = [];
+
+  wss.on('connection', (ws, req) => {
+    const session = createSession(ws, req);
+    sessions.push(session);
+    waiters.splice(0).forEach((resolve) => resolve(session));
+  });
+
+  return {
+    url: `ws://127.0.0.1:${wss.address().port}/v1/realtime`,
+    sessions,
+    // Resolves with the next (or an already open, unclaimed) session.
+    nextSession(timeoutMs = 2000) {
+      const open = sessions.find((s) => !s.claimed);
+      if (open) {
+        open.claimed = true;
+        return Promise.resolve(open);
+      }
+      return withTimeout(new Promise((resolve) => waiters.push((s) => {
+        s.claimed = true;
+        resolve(s);
+      })), timeoutMs, 'OpenAI session');
+    },
+    // Simulates an outage: new connections are refused with a 503.
+    refuse() {
+      refusing = true;
+    },
+    close: () => new Promise((resolve) => {
+      for (const client of wss.clients) client.terminate();
+      wss.close(resolve);
+    })
+  };
+}
+
+function createSession(ws, req) {
+  const received = [];
+  let listeners = [];
+
+  ws.on('message', (raw) => {
+    const msg = JSON.parse(raw.toString());
+    received.push(msg);
+    listeners = listeners.filter((listener) => !listener(msg));
+  });
+
+  return {
+    claimed: false,
+    url: req.url,
+    headers: req.headers,
+    received,
+    send(event) {
+      ws.send(JSON.stringify(event));
+    },
+    // Resolves with the first message (past or future) of the given type.
+    waitFor(type, timeoutMs = 2000) {
+      const seen = received.find((m) => m.type === type && !m._consumed);
+      if (seen) {
+        seen._consumed = true;
+        return Promise.resolve(seen);
+      }
+      return withTimeout(new Promise((resolve) => {
+        listeners.push((msg) => {
+          if (msg.type !== type) return false;
+          msg._consumed = true;
+          resolve(msg);
+          return true;
+        });
+      }), timeoutMs, `OpenAI message ${type}`);
+    },
+    close: () => ws.close()
+  };
+}
+
+export function withTimeout(promise, ms, what) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out waiting for ${what}`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,70 @@
+import WebSocket from 'ws';
+import { withTimeout } from './fakeOpenAI.js';
+
+// Plays the Twilio side of a Media Stream against /twilio-media.
+export async function connectFakeTwilio(baseUrl, { streamSid = 'MZtest', callSid = 'CAtest' } = {}) {
+  const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/twilio-media`);
+  const received = [];
+  let listeners = [];
+  let closed = null;
+
+  ws.on('message', (raw) => {
+    const msg = JSON.parse(raw.toString());
+    received.push(msg);
+    listeners = listeners.filter((listener) => !listener(msg));
+  });
+  const closedPromise = new Promise((resolve) => ws.on('close', (code) => {
+    closed = code;
+    resolve(code);
+  }));
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+
+  const send = (obj) => ws.send(JSON.stringify(obj));
+  let sequence = 0;
+
+  return {
+    received,
+    get closed() {
+      return closed;
+    },
+    start(customParameters = {}) {
+      send({
+        event: 'start',
+        sequenceNumber: String(++sequence),
+        start: { streamSid, callSid, accountSid: 'ACtest', tracks: ['inbound'], customParameters },
+        streamSid
+      });
+    },
+    media(payload = 'f/9/', timestamp) {
+      const media = { track: 'inbound', payload };
+      if (timestamp !== undefined) media.timestamp = String(timestamp);
+      send({ event: 'media', sequenceNumber: String(++sequence), media, streamSid });
+    },
+    dtmf(digit) {
+      send({ event: 'dtmf', sequenceNumber: String(++sequence), dtmf: { track: 'inbound_track', digit }, streamSid });
+    },
+    mark(name) {
+      send({ event: 'mark', sequenceNumber: String(++sequence), mark: { name }, streamSid });
+    },
+    stop() {
+      send({ event: 'stop', sequenceNumber: String(++sequence), stop: { callSid }, streamSid });
+    },
+    // Resolves with the first message (past or future) from the bridge matching `predicate`.
+    waitFor(predicate, timeoutMs = 2000) {
+      const seen = received.find(predicate);
+      if (seen) return Promise.resolve(seen);
+      return withTimeout(new Promise((resolve) => {
+        listeners.push((msg) => {
+          if (!predicate(msg)) return false;
+          resolve(msg);
+          return true;
+        });
+      }), timeoutMs, 'Twilio message');
+    },
+    waitForClose: (timeoutMs = 2000) => withTimeout(closedPromise, timeoutMs, 'Twilio socket close'),
+    close: () => ws.close()
+  };
+}
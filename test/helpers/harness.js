@@ -0,0 +1,46 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildApp } from '../../src/app.js';
+import { startFakeOpenAI } from './fakeOpenAI.js';
+import { startStubServer } from './stubHttp.js';
+
+// Boots the real app against a fake OpenAI Realtime server and one stub HTTP
+// server standing in for the webhooks, GHL, the Twilio REST API and the text
+// model behind call reports. No network.
+export async function startHarness({ env = {}, routes = {} } = {}) {
+  const openai = await startFakeOpenAI();
+  const stub = await startStubServer(routes);
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-bridge-test-'));
+
+  const app = await buildApp({
+    OPENAI_API_KEY: 'sk-test',
+    OPENAI_REALTIME_URL: openai.url,
+    OPENAI_API_BASE_URL: `${stub.url}/v1`,
+    GHL_API_BASE_URL: stub.url,
+    TWILIO_API_BASE_URL: stub.url,
+    WEBHOOK_NEW_ORDER: `${stub.url}/hooks/new-order`,
+    WEBHOOK_EXISTING_UPDATE: `${stub.url}/hooks/existing-update`,
+    WEBHOOK_OUTBOUND_OUTCOME: `${stub.url}/hooks/outbound-outcome`,
+    WEBHOOK_CALL_SUMMARY: `${stub.url}/hooks/call-summary`,
+    DATA_DIR: dataDir,
+    OUTBOX_RETRY_BASE_MS: '60000',
+    ADMIN_TOKEN: 'admin-test',
+    ...env
+  }, { logger: false });
+  await app.listen({ port: 0, host: '127.0.0.1' });
+
+  return {
+    app,
+    baseUrl: `http://127.0.0.1:${app.server.address().port}`,
+    openai,
+    stub,
+    dataDir,
+    async close() {
+      await app.close();
+      await openai.close();
+      await stub.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
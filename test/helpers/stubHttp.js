@@ -0,0 +1,59 @@
+import http from 'node:http';
+import { withTimeout } from './fakeOpenAI.js';
+
+// Records every request; `routes` maps "METHOD /path" to a handler returning
+// { status, body } (body is JSON-encoded) or { status, raw } (a Buffer sent as
+// is, e.g. audio). Unmatched requests get 200 {}.
+export async function startStubServer(routes = {}) {
+  const requests = [];
+  let listeners = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://stub');
+      let body = raw;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        // form bodies and plain text stay as strings
+      }
+      const entry = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body };
+      requests.push(entry);
+      listeners = listeners.filter((listener) => !listener(entry));
+      const handler = routes[`${req.method} ${url.pathname}`];
+      const { status = 200, body: out = {}, raw: bytes } = handler ? handler(entry) : {};
+      if (bytes) {
+        res.writeHead(status, { 'Content-Type': 'application/octet-stream' });
+        res.end(bytes);
+        return;
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(out));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    routes,
+    waitFor(predicate, timeoutMs = 2000) {
+      const seen = requests.find(predicate);
+      if (seen) return Promise.resolve(seen);
+      return withTimeout(new Promise((resolve) => {
+        listeners.push((entry) => {
+          if (!predicate(entry)) return false;
+          resolve(entry);
+          return true;
+        });
+      }), timeoutMs, 'stub HTTP request');
+    },
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
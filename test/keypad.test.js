@@ -0,0 +1,195 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKeypadEntry, parseGlobalKeys, validateGlobalKeys } from '../src/keypad.js';
+import { createStreamToken } from '../src/twilioAuth.js';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+
+const returningContact = {
+  'GET /contacts/': () => ({ body: { contacts: [{ id: 'c-1', firstName: 'Ann', companyName: 'Acme Freight', phone: '+15551230000' }] } })
+};
+const GHL = { GHL_PIT_TOKEN: 'pit-test', GHL_LOCATION_ID: 'loc-test' };
+
+function functionCall(name, args, callId = 'call_1') {
+  return { type: 'response.function_call_arguments.done', name, call_id: callId, arguments: JSON.stringify(args) };
+}
+
+function collect(options) {
+  const done = [];
+  const entry = createKeypadEntry({ field: 'load_number', onDone: (result) => done.push(result), ...options });
+  return { entry, done };
+}
+
+test('keypad entries end on #, the inter-digit timeout or the digit limit', async () => {
+  const pound = collect();
+  assert.equal(pound.entry.press('4'), true);
+  assert.equal(pound.entry.press('*'), false);
+  pound.entry.press('2');
+  pound.entry.press('#');
+  assert.deepEqual(pound.done, [{ field: 'load_number', digits: '42', reason: 'terminator' }]);
+  assert.equal(pound.entry.open, false);
+  assert.equal(pound.entry.press('1'), false);
+
+  const limit = collect({ maxDigits: 3 });
+  ['1', '2', '3'].forEach((key) => limit.entry.press(key));
+  assert.equal(limit.done[0].reason, 'max_digits');
+
+  const paused = collect({ digitTimeoutMs: 20 });
+  paused.entry.press('7');
+  const silent = collect({ firstDigitTimeoutMs: 20 });
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.deepEqual(paused.done, [{ field: 'load_number', digits: '7', reason: 'timeout' }]);
+  assert.deepEqual(silent.done, [{ field: 'load_number', digits: '', reason: 'no_input' }]);
+
+  assert.deepEqual(parseGlobalKeys('0:dispatcher, *:repeat,'), { 0: 'dispatcher', '*': 'repeat' });
+  assert.deepEqual(validateGlobalKeys({ 12: 'dispatcher', '#': 'dance' }), [
+    '"12" is not a keypad key',
+    '"#": unknown action "dance" (have dispatcher, repeat)'
+  ]);
+});
+
+test('a keyed-in load number reaches the model as confirmed and goes out with the issue', async (t) => {
+  const h = await startHarness({ env: GHL, routes: returningContact });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  const config = await openai.waitFor('session.update');
+  assert.ok(config.session.tools.some((tool) => tool.name === 'request_keypad_entry'));
+  await openai.waitFor('response.create'); // greeting
+
+  openai.send(functionCall('request_keypad_entry', { field: 'load_number' }));
+  assert.deepEqual(JSON.parse((await openai.waitFor('conversation.item.create')).item.output), { success: true, waiting_for_keypad: 'load_number' });
+  assert.match((await openai.waitFor('response.create')).response.instructions, /key in their load number .* followed by the pound key/);
+
+  // 0 is a digit while the entry is open, not the dispatcher key.
+  for (const key of ['4', '4', '0', '7', '#']) twilio.dtmf(key);
+  const note = await openai.waitFor('conversation.item.create');
+  assert.equal(note.item.role, 'user');
+  assert.match(note.item.content[0].text, /keyed in their load number on the keypad: 4407\. This is confirmed/);
+  assert.match((await openai.waitFor('response.create')).response.instructions, /continue with the number they keyed in/);
+
+  openai.send(functionCall('report_existing_issue', { caller_name: 'Ann', load_number: '4407', call_notes: 'Crew late' }, 'call_2'));
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/existing-update');
+  assert.deepEqual(hook.body.keypad_entries, { load_number: '4407' });
+
+  twilio.stop();
+  const record = await (await fetch(`${h.baseUrl}/calls/CAtest`, { headers: { Authorization: 'Bearer admin-test' } })).json();
+  assert.ok(record.turns.some((turn) => turn.speaker === 'caller' && turn.text === '[keyed in 4407]'));
+  twilio.close();
+});
+
+test('report_existing_issue takes the keyed-in number when the model leaves it out', async (t) => {
+  const h = await startHarness({ env: GHL, routes: returningContact });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  const config = await openai.waitFor('session.update');
+  const tool = config.session.tools.find((candidate) => candidate.name === 'report_existing_issue');
+  assert.deepEqual(tool.parameters.required, ['caller_name', 'call_notes']);
+  await openai.waitFor('response.create'); // greeting
+
+  // Nothing keyed in and nothing on file: the model is told to ask for the number.
+  openai.send(functionCall('report_existing_issue', { caller_name: 'Ann', call_notes: 'Crew late' }));
+  assert.deepEqual(JSON.parse((await openai.waitFor('conversation.item.create')).item.output), { success: false, error: 'no_number' });
+  assert.match((await openai.waitFor('response.create')).response.instructions, /Ask the caller for their Load Number/);
+
+  openai.send(functionCall('request_keypad_entry', { field: 'load_number' }, 'call_2'));
+  await openai.waitFor('conversation.item.create');
+  for (const key of ['4', '4', '0', '7', '#']) twilio.dtmf(key);
+  await openai.waitFor('conversation.item.create'); // the keyed-in note
+
+  openai.send(functionCall('report_existing_issue', { caller_name: 'Ann', call_notes: 'Crew late' }, 'call_3'));
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/existing-update');
+  assert.equal(hook.body.load_number, '4407');
+  // The keyed digits win over a misheard number too.
+  openai.send(functionCall('report_existing_issue', { caller_name: 'Ann', load_number: '4470', call_notes: 'Still late' }, 'call_4'));
+  const second = await h.stub.waitFor((r) => r.path === '/hooks/existing-update' && r.body.call_notes === 'Still late');
+  assert.equal(second.body.load_number, '4407');
+  assert.equal(h.stub.requests.filter((r) => r.path === '/hooks/existing-update').length, 2);
+  twilio.close();
+});
+
+test('the keyed-in number goes on the call record and names the GHL opportunity', async (t) => {
+  const h = await startHarness({
+    env: { ...GHL, GHL_PIPELINE_ID: 'pipe-1', GHL_STAGE_EXISTING_UPDATE: 'stage-update' },
+    routes: returningContact
+  });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('response.create'); // greeting
+
+  openai.send(functionCall('request_keypad_entry', { field: 'load_number' }));
+  await openai.waitFor('conversation.item.create');
+  for (const key of ['4', '4', '0', '7', '#']) twilio.dtmf(key);
+  await openai.waitFor('conversation.item.create'); // the keyed-in note
+  openai.send(functionCall('report_existing_issue', { caller_name: 'Ann', call_notes: 'Crew late' }, 'call_2'));
+  const output = JSON.parse((await openai.waitFor('conversation.item.create')).item.output);
+  assert.deepEqual([output.load_number, output.keypad_entries], ['4407', { load_number: '4407' }]);
+
+  twilio.stop();
+  const opportunity = await h.stub.waitFor((r) => r.method === 'POST' && r.path === '/opportunities/');
+  assert.equal(opportunity.body.name, 'Load 4407');
+  const note = h.stub.requests.find((r) => r.path === '/contacts/c-1/notes');
+  assert.match(note.body.body, /"load_number":"4407"/);
+  const record = await (await fetch(`${h.baseUrl}/calls/CAtest`, { headers: { Authorization: 'Bearer admin-test' } })).json();
+  const recorded = record.toolCalls.find((call) => call.name === 'report_existing_issue');
+  assert.deepEqual(recorded.arguments, {
+    caller_name: 'Ann',
+    call_notes: 'Crew late',
+    phone: '+15551230000',
+    load_number: '4407',
+    keypad_entries: { load_number: '4407' }
+  });
+  twilio.close();
+});
+
+test('global keys repeat the last line and reach a dispatcher at any time', async (t) => {
+  const h = await startHarness({
+    env: { TWILIO_ACCOUNT_SID: 'ACtest', TWILIO_AUTH_TOKEN: 'auth-test', DISPATCHER_NUMBERS: '+15550002222' }
+  });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000', token: createStreamToken('auth-test', 'CAtest', 60) });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+  await openai.waitFor('response.create'); // greeting
+
+  twilio.dtmf('*');
+  assert.match((await openai.waitFor('response.create')).response.instructions, /Repeat your last message/);
+
+  twilio.dtmf('0');
+  assert.match((await openai.waitFor('response.create')).response.instructions, /^Say exactly: "I'm connecting you with a dispatcher/);
+  openai.send({ type: 'response.created', response: { id: 'resp_handoff' } });
+  openai.send({ type: 'response.done', response: { id: 'resp_handoff' } });
+  const mark = await twilio.waitFor((m) => m.event === 'mark' && m.mark.name === 'handoff');
+  twilio.mark(mark.mark.name);
+
+  const redirect = await h.stub.waitFor((r) => r.path === '/2010-04-01/Accounts/ACtest/Calls/CAtest.json');
+  assert.match(new URLSearchParams(redirect.body).get('Twiml'), /<Number[^>]*>\+15550002222<\/Number>/);
+  twilio.close();
+});
+
+test('without a dispatcher to ring, 0 tells the model the caller wants a person', async (t) => {
+  const h = await startHarness({ env: { KEYPAD_GLOBAL_KEYS: '9:dispatcher' } });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+  await openai.waitFor('response.create'); // greeting
+
+  twilio.dtmf('9');
+  const note = await openai.waitFor('conversation.item.create');
+  assert.match(note.item.content[0].text, /pressed 9 on the keypad to reach a person/);
+  assert.match((await openai.waitFor('response.create')).response.instructions, /no dispatcher is available/);
+  twilio.close();
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { languageCode, detectLanguage, localized } from '../src/language.js';
+import { validateFlow, renderFlow } from '../src/flows.js';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+
+const BILINGUAL = { LANGUAGES: 'en,es' };
+
+function functionCall(name, args, callId = 'call_1') {
+  return { type: 'response.function_call_arguments.done', name, call_id: callId, arguments: JSON.stringify(args) };
+}
+
+test('language codes, detection and per-language values', () => {
+  assert.equal(languageCode('Español'), 'es');
+  assert.equal(languageCode('es-MX'), 'es');
+  assert.equal(languageCode('English'), 'en');
+  assert.equal(languageCode('French'), null);
+  assert.equal(detectLanguage('Hola, necesito una cuadrilla para el camión'), 'es');
+  assert.equal(detectLanguage('Hi, I need a crew for the truck at my dock'), 'en');
+  assert.equal(detectLanguage('Okay'), null);
+  assert.equal(localized({ en: 'Hi', es: 'Hola' }, 'es'), 'Hola');
+  assert.equal(localized({ en: 'Hi' }, 'es'), 'Hi');
+  assert.equal(localized('Hi', 'es'), 'Hi');
+});
+
+test('flows render their translation, or English when there is none', () => {
+  const flow = {
+    id: 'f',
+    audience: 'new',
+    greeting: '{{brand}}. How can I help?',
+    instructions: 'Say "{{greeting}}". Ask: {{intake_fields}}. {{read_back}}',
+    intake: [{ field: 'email', label: 'Email', readBack: 'spell' }],
+    translations: {
+      es: { greeting: '{{brand}}. ¿En qué le ayudo?', instructions: 'Di "{{greeting}}". Pide: {{intake_fields}}. {{read_back}}', intake: { email: 'Correo' } }
+    }
+  };
+  assert.deepEqual(validateFlow(flow), []);
+  const es = renderFlow(flow, { brand: 'EZ' }, { language: 'es' });
+  assert.equal(es.language, 'es');
+  assert.equal(es.greeting, 'EZ. ¿En qué le ayudo?');
+  assert.equal(es.instructions, 'Di "EZ. ¿En qué le ayudo?". Pide: Correo. Repite para confirmar: Correo. Deletrea Correo letra por letra (A-B-C).');
+  assert.equal(renderFlow({ ...flow, translations: undefined }, { brand: 'EZ' }, { language: 'es' }).language, 'en');
+
+  assert.deepEqual(validateFlow({ ...flow, translations: { fr: {}, es: { greeting: 'Hola {{nope}}' } } }), [
+    'f: translations.fr: unknown language (have es)',
+    'f: translations.es.instructions is required',
+    'f: unknown variable {{nope}}'
+  ]);
+});
+
+test('a Spanish-speaking contact gets the Spanish flow, follow-ups and webhook language', async (t) => {
+  const h = await startHarness({
+    env: { ...BILINGUAL, GHL_PIT_TOKEN: 'pit-test', GHL_LOCATION_ID: 'loc-test', GHL_FIELD_LANGUAGE: 'fld_lang' },
+    routes: {
+      'GET /contacts/': () => ({
+        body: { contacts: [{ id: 'c-1', firstName: 'Luis', companyName: 'Acme', phone: '+15551230000', customFields: [{ id: 'fld_lang', value: 'Spanish' }] }] }
+      })
+    }
+  });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  const config = await openai.waitFor('session.update');
+  assert.match(config.session.instructions, /Eres "Mike de EZ Lumper Services\."/);
+  assert.match(config.session.instructions, /IDIOMA: Habla solo en español/);
+  assert.match((await openai.waitFor('response.create')).response.instructions, /^Di exactamente: "Hola, Luis\./);
+
+  openai.send(functionCall('report_existing_issue', { caller_name: 'Luis', load_number: 'L-9', call_notes: 'Llegan tarde' }));
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/existing-update');
+  assert.equal(hook.body.language, 'es');
+  assert.match((await openai.waitFor('response.create')).response.instructions, /Ya envié esas notas a despacho/);
+
+  twilio.stop();
+  const record = await (await fetch(`${h.baseUrl}/calls/CAtest`, { headers: { Authorization: 'Bearer admin-test' } })).json();
+  assert.equal(record.language, 'es');
+  assert.equal(record.languageChanges[0].source, 'crm');
+  twilio.close();
+});
+
+test('the keypad menu switches language before the caller speaks', async (t) => {
+  const h = await startHarness({ env: { ...BILINGUAL, LANGUAGE_MENU: 'true' } });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+  assert.match((await openai.waitFor('response.create')).response.instructions, /How can I help you\? Para español, oprima el 2\./);
+
+  twilio.dtmf('2');
+  const update = await openai.waitFor('session.update');
+  assert.match(update.session.instructions, /DATOS \(pregunta uno por uno\): Nombre, Empresa/);
+  assert.match((await openai.waitFor('response.create')).response.instructions, /^Di exactamente: "EZ Lumper Services\. Habla Mike\./);
+
+  // Once chosen, the menu is closed.
+  twilio.dtmf('1');
+  openai.send(functionCall('submit_new_intake', { first_name: 'Ana', job_city: 'Houston', phone: '7135550100' }));
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/new-order');
+  assert.equal(hook.body.language, 'es');
+  twilio.close();
+});
+
+test("the caller's first words switch the session language", async (t) => {
+  const h = await startHarness({ env: BILINGUAL });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  const config = await openai.waitFor('session.update');
+  assert.match(config.session.instructions, /LANGUAGE: Speak English/);
+  assert.ok(config.session.tools.some((tool) => tool.name === 'set_language'));
+
+  openai.send({ type: 'conversation.item.input_audio_transcription.completed', transcript: 'Hola, necesito una cuadrilla para mañana.' });
+  const update = await openai.waitFor('session.update');
+  assert.match(update.session.instructions, /IDIOMA: Habla solo en español/);
+
+  // The assistant can still switch back when asked.
+  openai.send(functionCall('set_language', { language: 'en' }));
+  assert.match((await openai.waitFor('session.update')).session.instructions, /INTAKE \(Ask one by one\)/);
+  const output = await openai.waitFor('conversation.item.create');
+  assert.equal(JSON.parse(output.item.output).language, 'en');
+  twilio.close();
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createCallerLists, createAdmission } from '../src/limits.js';
+import { createStreamToken } from '../src/twilioAuth.js';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+
+const silentLog = { error() {}, warn() {}, info() {} };
+const TWILIO_REST = { TWILIO_ACCOUNT_SID: 'ACtest', TWILIO_AUTH_TOKEN: 'auth-test' };
+const CALL_URL = '/2010-04-01/Accounts/ACtest/Calls/CAtest.json';
+
+test('caller lists persist and keep a number on one list at a time', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'caller-lists-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'lists.json');
+
+  const lists = createCallerLists({ filePath, log: silentLog });
+  assert.equal(lists.add('blocked', '(555) 123-0000', { reason: 'spam' }).number, '+15551230000');
+  assert.equal(lists.statusOf('+15551230000'), 'blocked');
+  lists.add('allowed', '+15551230000');
+  assert.equal(lists.statusOf('5551230000'), 'allowed');
+  assert.deepEqual(lists.list().blocked, []);
+
+  const reloaded = createCallerLists({ filePath, log: silentLog });
+  assert.equal(reloaded.statusOf('+15551230000'), 'allowed');
+  assert.equal(reloaded.remove('allowed', '+15551230000'), true);
+  assert.equal(reloaded.remove('allowed', '+15551230000'), false);
+  assert.equal(reloaded.statusOf('+15551230000'), null);
+});
+
+test('admission counts live and just-admitted calls against the caps', () => {
+  const admission = createAdmission({ maxCalls: 2, maxPerCaller: 1 });
+  const active = [{ callSid: 'CA1', caller: '+15551230000' }];
+  assert.equal(admission.admit({ callSid: 'CA2', caller: '5551230000', active }), 'max_per_caller');
+  assert.equal(admission.admit({ callSid: 'CA2', caller: '+15559990000', active }), null);
+  // CA2 hasn't started streaming yet but still holds a slot.
+  assert.equal(admission.admit({ callSid: 'CA3', caller: '+15558880000', active }), 'max_calls');
+  // Twilio retrying the same webhook isn't a second call.
+  assert.equal(admission.admit({ callSid: 'CA2', caller: '+15559990000', active }), null);
+  admission.started('CA2');
+  assert.equal(admission.admit({ callSid: 'CA3', caller: '+15558880000', active }), null);
+  assert.equal(createAdmission().admit({ callSid: 'CA9', caller: '', active }), null);
+});
+
+test('/twilio/voice rejects blocked callers and calls over the caps', async (t) => {
+  const h = await startHarness({ env: { MAX_CALLS_PER_CALLER: '1' } });
+  t.after(() => h.close());
+  const admin = { Authorization: 'Bearer admin-test', 'Content-Type': 'application/json' };
+  const voice = (callSid, from) => fetch(`${h.baseUrl}/twilio/voice`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ CallSid: callSid, From: from, To: '+15550001111' }).toString()
+  }).then((res) => res.text());
+
+  const put = await fetch(`${h.baseUrl}/admin/callers/blocked/${encodeURIComponent('+15550009999')}`, {
+    method: 'PUT', headers: admin, body: JSON.stringify({ reason: 'robocaller' })
+  });
+  assert.equal(put.status, 200);
+  assert.equal((await put.json()).reason, 'robocaller');
+  assert.equal((await fetch(`${h.baseUrl}/admin/callers/blocked/nope`, { method: 'PUT', headers: admin, body: '{}' })).status, 400);
+  assert.equal((await fetch(`${h.baseUrl}/admin/callers/vip/+15550009999`, { method: 'PUT', headers: admin, body: '{}' })).status, 404);
+  assert.equal((await fetch(`${h.baseUrl}/admin/callers`)).status, 401);
+
+  assert.match(await voice('CA1', '+15550009999'), /<Reject reason="rejected" \/>/);
+  assert.match(await voice('CA2', '+15551230000'), /<Stream /);
+  assert.match(await voice('CA3', '+15551230000'), /<Reject reason="busy" \/>/);
+
+  // Allowed numbers skip the caps.
+  await fetch(`${h.baseUrl}/admin/callers/allowed/+15551230000`, { method: 'PUT', headers: admin, body: '{}' });
+  assert.match(await voice('CA4', '+15551230000'), /<Stream /);
+  const lists = await (await fetch(`${h.baseUrl}/admin/callers`, { headers: admin })).json();
+  assert.deepEqual(lists.allowed.map((entry) => entry.number), ['+15551230000']);
+
+  const del = await fetch(`${h.baseUrl}/admin/callers/blocked/+15550009999`, { method: 'DELETE', headers: admin });
+  assert.equal(del.status, 204);
+  assert.match(await voice('CA5', '+15550009999'), /<Stream /);
+});
+
+test('a silent caller is asked if they are still there, then hung up on', async (t) => {
+  const h = await startHarness({ env: { ...TWILIO_REST, SILENCE_TIMEOUT_SECONDS: '0.2' } });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000', token: createStreamToken('auth-test', 'CAtest', 60) });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+  await openai.waitFor('response.create'); // greeting
+
+  const prompt = await openai.waitFor('response.create');
+  assert.equal(prompt.response.instructions, 'Say exactly: "Are you still there?"');
+
+  const hangup = await h.stub.waitFor((r) => r.path === CALL_URL);
+  const twiml = new URLSearchParams(hangup.body).get('Twiml');
+  assert.match(twiml, /<Say>I haven&apos;t heard anything/);
+  assert.match(twiml, /<Hangup \/>/);
+  const record = await (await fetch(`${h.baseUrl}/calls/CAtest`, { headers: { Authorization: 'Bearer admin-test' } })).json();
+  assert.equal(record.endReason, 'silence');
+  twilio.close();
+});
+
+test('a long call gets a wrap-up warning, then ends with the partial intake flushed', async (t) => {
+  const h = await startHarness({
+    env: { ...TWILIO_REST, MAX_CALL_SECONDS: '0.6', CALL_WARNING_SECONDS: '0.4', SILENCE_TIMEOUT_SECONDS: '0' }
+  });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000', token: createStreamToken('auth-test', 'CAtest', 60) });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+  openai.send({ type: 'conversation.item.input_audio_transcription.completed', transcript: 'I need a crew in Dallas' });
+
+  const warning = await openai.waitFor('conversation.item.create');
+  assert.equal(warning.item.role, 'system');
+  assert.match(warning.item.content[0].text, /ended automatically in about \d+ seconds/);
+  const hangup = await h.stub.waitFor((r) => r.path === CALL_URL);
+  assert.match(new URLSearchParams(hangup.body).get('Twiml'), /reached the time limit/);
+
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/new-order');
+  assert.equal(hook.body.incomplete_reason, 'max_duration');
+  twilio.close();
+});
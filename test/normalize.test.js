@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeEmail, normalizePhone, normalizeState, normalizeCity, normalizeArgs } from '../src/normalize.js';
+
+test('spoken email forms become addresses', () => {
+  assert.deepEqual(normalizeEmail('John@Gmail.com'), { value: 'john@gmail.com' });
+  assert.deepEqual(normalizeEmail('john at gmail dot com'), { value: 'john@gmail.com', lowConfidence: true });
+  assert.equal(normalizeEmail('j o h n underscore smith at yahoo').value, 'john_smith@yahoo.com');
+  assert.equal(normalizeEmail('d-a-v-e dash ops at acme freight dot co').value, 'dave-ops@acmefreight.co');
+  assert.equal(normalizeEmail('m as in mary double l at hotmail dot com').value, 'mll@hotmail.com');
+  assert.ok(normalizeEmail('john at').error);
+});
+
+test('phones go to E.164 with the caller ID as fallback', () => {
+  assert.deepEqual(normalizePhone('(555) 123-4567'), { value: '+15551234567', lowConfidence: false });
+  assert.deepEqual(normalizePhone('five five five, one two three, four five six seven'), { value: '+15551234567', lowConfidence: true });
+  assert.equal(normalizePhone('seven one three double oh nine eight seven six five').value, '+17130098765');
+  assert.equal(normalizePhone('oh, five five five one two three four five six seven').value, '+15551234567');
+  assert.equal(normalizePhone('five five five oh oh one, two three four five').value, '+15550012345');
+  assert.equal(normalizePhone('seven one three five five five oh one oh oh').value, '+17135550100');
+  assert.equal(normalizePhone('seven one three five five five one two three four oh and that is my cell').value, '+17135551234');
+  assert.deepEqual(normalizePhone('123', { callerPhone: '+17135550100' }), { value: '+17135550100', lowConfidence: true });
+  assert.deepEqual(normalizePhone('', { callerPhone: '7135550100' }), { value: '+17135550100', lowConfidence: false });
+  assert.ok(normalizePhone('123', { callerPhone: 'anonymous' }).error);
+});
+
+test('states map to USPS codes', () => {
+  assert.deepEqual(normalizeState('texas'), { value: 'TX' });
+  assert.deepEqual(normalizeState('N.Y.'), { value: 'NY' });
+  assert.deepEqual(normalizeState('new mexico'), { value: 'NM' });
+  assert.deepEqual(normalizeState('tex'), { value: 'TX', lowConfidence: true });
+  assert.deepEqual(normalizeState('Tenessee'), { value: 'TN', lowConfidence: true });
+  assert.ok(normalizeState('new').error);
+  assert.ok(normalizeState('ontario').error);
+  assert.deepEqual(normalizeCity('san antonio, tx'), { value: 'San Antonio', state: 'tx' });
+});
+
+test('normalizeArgs keeps what was said and reports per-field errors', () => {
+  const fields = { email: 'email', phone: 'phone', job_state: 'state', job_city: 'city' };
+  const result = normalizeArgs(
+    { first_name: 'Ann', email: 'ann at gmail dot com', phone: '', job_city: 'houston, tex' },
+    fields,
+    { callerPhone: '+17135550100' }
+  );
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.args, {
+    first_name: 'Ann', email: 'ann@gmail.com', phone: '+17135550100', job_city: 'Houston', job_state: 'TX'
+  });
+  assert.deepEqual(result.raw, { email: 'ann at gmail dot com', job_city: 'houston, tex' });
+  assert.deepEqual(result.lowConfidence, ['email', 'job_state']);
+
+  const bad = normalizeArgs({ email: 'ann at', job_state: 'zz', job_city: 'Austin' }, fields, { callerPhone: '+17135550100' });
+  assert.deepEqual(bad.errors.map((e) => e.field), ['email', 'job_state']);
+});
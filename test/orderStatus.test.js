@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createOrderStatusProvider, lookupForCaller, parseCsv } from '../src/orderStatus.js';
+import { startStubServer } from './helpers/stubHttp.js';
+
+const acme = { found: true, company: 'Acme Freight', load_number: 'L-77', reservation_number: null };
+
+test('CSV parsing handles quotes and CRLF', () => {
+  assert.deepEqual(parseCsv('number,company,status\r\nL-1,"Acme, Inc.","said ""soon"""\r\n\r\n'), [
+    { number: 'L-1', company: 'Acme, Inc.', status: 'said "soon"' }
+  ]);
+});
+
+test('file provider finds orders by either number and scopes them to the caller company', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-status-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'orders.csv');
+  fs.writeFileSync(file, [
+    'load_number,reservation_number,company,status,crew_size,eta,dock_appointment',
+    'L-77,R-12,Acme Freight LLC,Crew en route,4,2025-06-02T14:30:00-05:00,2025-06-02T15:00:00-05:00',
+    'L-90,,Other Logistics,Scheduled,2,,'
+  ].join('\n'));
+  const provider = createOrderStatusProvider({ provider: 'file', path: file });
+
+  const byReservation = await lookupForCaller(provider, 'r 12', acme);
+  assert.equal(byReservation.found, true);
+  assert.deepEqual(byReservation.order, {
+    number: 'L-77',
+    company: 'Acme Freight LLC',
+    status: 'Crew en route',
+    crew_size: 4,
+    eta: '2025-06-02T14:30:00-05:00',
+    dock_appointment: '2025-06-02T15:00:00-05:00'
+  });
+  // Another customer's load looks exactly like a missing one.
+  assert.deepEqual(await lookupForCaller(provider, 'L-90', acme), { found: false });
+  assert.deepEqual(await lookupForCaller(provider, 'L-404', acme), { found: false });
+
+  const json = path.join(dir, 'orders.json');
+  fs.writeFileSync(json, JSON.stringify([{ number: 'L-77', status: 'Complete' }]));
+  // No company on the row, but it's the load on the caller's own contact.
+  const own = await lookupForCaller(createOrderStatusProvider({ provider: 'file', path: json }), 'L-77', acme);
+  assert.equal(own.order.status, 'Complete');
+});
+
+test('http provider sends the number and company and treats 404 as not found', async (t) => {
+  const stub = await startStubServer({
+    'GET /status': (req) => (req.query.number === 'L-77'
+      ? { body: { load_number: 'L-77', company: 'ACME FREIGHT', status: 'Scheduled', crew_size: '3' } }
+      : { status: 404 })
+  });
+  t.after(() => stub.close());
+  const provider = createOrderStatusProvider({ provider: 'http', url: `${stub.url}/status`, token: 'tms-key' });
+
+  const result = await lookupForCaller(provider, 'L-77', acme);
+  assert.equal(result.order.crew_size, 3);
+  assert.equal(stub.requests[0].query.company, 'Acme Freight');
+  assert.equal(stub.requests[0].headers.authorization, 'Bearer tms-key');
+  assert.deepEqual(await lookupForCaller(provider, 'L-1', acme), { found: false });
+
+  stub.routes['GET /status'] = () => ({ status: 500 });
+  await assert.rejects(lookupForCaller(provider, 'L-77', acme), /500/);
+  assert.equal(createOrderStatusProvider({ provider: 'http' }), null);
+});
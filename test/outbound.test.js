@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+import { computeTwilioSignature, createStreamToken } from '../src/twilioAuth.js';
+
+const PUBLIC = 'https://bridge.example.com';
+const env = {
+  TWILIO_ACCOUNT_SID: 'ACtest',
+  TWILIO_AUTH_TOKEN: 'auth-test',
+  PUBLIC_BASE_URL: PUBLIC,
+  OUTBOUND_CALLER_ID: '+15555550100'
+};
+const ANSWERED = '/twilio/outbound?flow=crew-confirmation&to=%2B15555550100&ctx_first_name=Ann&ctx_load_number=L-77&ctx_eta=6am';
+
+// POSTs to a Twilio webhook path (with query), signed like Twilio would.
+function twilioPost(h, pathAndQuery, params) {
+  return fetch(`${h.baseUrl}${pathAndQuery}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': computeTwilioSignature('auth-test', `${PUBLIC}${pathAndQuery}`, params)
+    },
+    body: new URLSearchParams(params).toString()
+  });
+}
+
+function placeCall(h, body) {
+  return fetch(`${h.baseUrl}/calls/outbound`, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer admin-test', 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+const outcomes = (h) => h.stub.requests.filter((r) => r.path === '/hooks/outbound-outcome');
+
+test('POST /calls/outbound validates and places the call with context on the TwiML URL', async (t) => {
+  const h = await startHarness({
+    env,
+    routes: { 'POST /2010-04-01/Accounts/ACtest/Calls.json': () => ({ status: 201, body: { sid: 'CAout', status: 'queued' } }) }
+  });
+  t.after(() => h.close());
+
+  const bad = await placeCall(h, { to: 'nope', flow: 'new-caller', context: { pallets: 3 } });
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).errors.length, 3);
+
+  const res = await placeCall(h, {
+    to: '(555) 123-0000',
+    flow: 'crew-confirmation',
+    context: { first_name: 'Ann', load_number: 'L-77', eta: '6am Tuesday', location: 'the Dallas DC' }
+  });
+  assert.equal(res.status, 201);
+  assert.deepEqual(await res.json(), { callSid: 'CAout', status: 'queued', to: '+15551230000', from: '+15555550100', flow: 'crew-confirmation' });
+
+  const created = new URLSearchParams(h.stub.requests.find((r) => r.path.endsWith('/Calls.json')).body);
+  assert.equal(created.get('To'), '+15551230000');
+  assert.equal(created.get('MachineDetection'), 'DetectMessageEnd');
+  const url = new URL(created.get('Url'));
+  assert.equal(`${url.origin}${url.pathname}`, `${PUBLIC}/twilio/outbound`);
+  assert.equal(url.searchParams.get('ctx_load_number'), 'L-77');
+  assert.equal(url.searchParams.get('to'), '+15555550100');
+  assert.match(created.get('StatusCallback'), /\/twilio\/outbound-status\?flow=crew-confirmation/);
+});
+
+test('an answering machine gets the scripted voicemail and a voicemail_left outcome', async (t) => {
+  const h = await startHarness({ env });
+  t.after(() => h.close());
+
+  const res = await twilioPost(h, ANSWERED, { CallSid: 'CAout', To: '+15551230000', AnsweredBy: 'machine_end_beep' });
+  const xml = await res.text();
+  assert.match(xml, /<Say>Hi Ann, this is Mike from EZ Lumper Services calling to confirm your lumper crew for load L-77, 6am/);
+  assert.match(xml, /<Hangup \/>/);
+
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/outbound-outcome');
+  assert.equal(hook.body.outcome, 'voicemail_left');
+  assert.equal(hook.headers['idempotency-key'], 'outbound:CAout');
+
+  // The final status callback doesn't override it.
+  await twilioPost(h, ANSWERED.replace('/twilio/outbound?', '/twilio/outbound-status?'), { CallSid: 'CAout', CallStatus: 'completed' });
+  assert.equal(outcomes(h).length, 1);
+});
+
+test('a live answer streams with the outbound flow and the answer is posted once', async (t) => {
+  const h = await startHarness({ env });
+  t.after(() => h.close());
+
+  const xml = await (await twilioPost(h, ANSWERED, { CallSid: 'CAtest', To: '+15551230000', AnsweredBy: 'human' })).text();
+  assert.match(xml, /<Parameter name="direction" value="outbound" \/>/);
+  assert.match(xml, /<Parameter name="ctx_load_number" value="L-77" \/>/);
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({
+    caller: '+15551230000',
+    to: '+15555550100',
+    direction: 'outbound',
+    flow: 'crew-confirmation',
+    ctx_first_name: 'Ann',
+    ctx_load_number: 'L-77',
+    token: createStreamToken('auth-test', 'CAtest', 60)
+  });
+  const openai = await h.openai.nextSession();
+  const config = await openai.waitFor('session.update');
+  assert.deepEqual(config.session.tools.map((tool) => tool.name), ['record_call_outcome']);
+  assert.match(config.session.instructions, /YOU placed this call to Ann/);
+  const greeting = await openai.waitFor('response.create');
+  assert.match(greeting.response.instructions, /confirm your lumper crew for load L-77/);
+
+  openai.send({
+    type: 'response.function_call_arguments.done',
+    name: 'record_call_outcome',
+    call_id: 'call_1',
+    arguments: JSON.stringify({ outcome: 'declined', notes: 'Needs 8am instead' })
+  });
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/outbound-outcome');
+  assert.equal(hook.body.outcome, 'declined');
+  assert.equal(hook.body.notes, 'Needs 8am instead');
+  assert.deepEqual(hook.body.context, { first_name: 'Ann', load_number: 'L-77' });
+  await openai.waitFor('conversation.item.create');
+
+  twilio.stop();
+  twilio.close();
+  await twilioPost(h, ANSWERED.replace('/twilio/outbound?', '/twilio/outbound-status?'), { CallSid: 'CAtest', CallStatus: 'completed' });
+  assert.equal(outcomes(h).length, 1);
+});
+
+test('pressing 1 on an outbound call confirms it', async (t) => {
+  const h = await startHarness({ env });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({
+    caller: '+15551230000',
+    to: '+15555550100',
+    direction: 'outbound',
+    flow: 'crew-confirmation',
+    token: createStreamToken('auth-test', 'CAtest', 60)
+  });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+  twilio.dtmf('1');
+
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/outbound-outcome');
+  assert.equal(hook.body.outcome, 'confirmed');
+  assert.equal(hook.body.source, 'keypad');
+  const note = await openai.waitFor('conversation.item.create');
+  assert.match(note.item.content[0].text, /pressed 1/);
+  twilio.close();
+});
+
+test('unanswered outbound calls report no_answer', async (t) => {
+  const h = await startHarness({ env });
+  t.after(() => h.close());
+
+  const res = await twilioPost(h, ANSWERED.replace('/twilio/outbound?', '/twilio/outbound-status?'), { CallSid: 'CAout', CallStatus: 'no-answer' });
+  assert.equal(res.status, 204);
+  assert.equal(outcomes(h)[0].body.outcome, 'no_answer');
+});
@@ -0,0 +1,202 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createOutbox, deliveryStatus } from '../src/outbox.js';
+import { startHarness } from './helpers/harness.js';
+import { startStubServer } from './helpers/stubHttp.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+
+const admin = { headers: { Authorization: 'Bearer admin-test' } };
+
+function functionCall(name, args, callId = 'call_1') {
+  return { type: 'response.function_call_arguments.done', name, call_id: callId, arguments: JSON.stringify(args) };
+}
+
+function testLog() {
+  const entries = [];
+  const log = {};
+  for (const level of ['info', 'warn', 'error']) log[level] = (obj, msg) => entries.push({ level, msg, ...obj });
+  return { log, entries };
+}
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'outbox.jsonl');
+}
+
+test('failed deliveries back off exponentially, then dead-letter', async (t) => {
+  const statuses = [500, 502];
+  const stub = await startStubServer({ 'POST /hook': () => ({ status: statuses.shift() ?? 200 }) });
+  t.after(() => stub.close());
+  const { log, entries } = testLog();
+  const outbox = createOutbox({ filePath: tempFile(t), retryBaseMs: 1000, log });
+
+  const delivery = await outbox.send({ idempotencyKey: 'CA1:call_1', url: `${stub.url}/hook`, payload: { a: 1 } });
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.lastError, 'HTTP 500');
+  const firstWait = Date.parse(delivery.nextAttemptAt) - Date.parse(delivery.updatedAt);
+  assert.ok(firstWait > 900 && firstWait <= 1000, `first retry after ${firstWait}ms`);
+
+  // Not due yet: nothing is sent.
+  await outbox.processDue();
+  assert.equal(stub.requests.length, 1);
+
+  delivery.nextAttemptAt = new Date(0).toISOString();
+  await outbox.processDue();
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.lastError, 'HTTP 502');
+  const secondWait = Date.parse(delivery.nextAttemptAt) - Date.parse(delivery.updatedAt);
+  assert.ok(secondWait > 1900 && secondWait <= 2000, `second retry after ${secondWait}ms`);
+
+  delivery.nextAttemptAt = new Date(0).toISOString();
+  await outbox.processDue();
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.lastError, null);
+  assert.deepEqual(stub.requests.map((r) => r.headers['idempotency-key']), ['CA1:call_1', 'CA1:call_1', 'CA1:call_1']);
+  assert.deepEqual(entries.filter((e) => e.level === 'warn').map((e) => e.attempts), [1, 2]);
+
+  const failing = await startStubServer({ 'POST /hook': () => ({ status: 503 }) });
+  t.after(() => failing.close());
+  const deadOutbox = createOutbox({ filePath: tempFile(t), maxAttempts: 1, log });
+  const deadLettered = await deadOutbox.send({ idempotencyKey: 'CA3:call_1', url: `${failing.url}/hook`, payload: {} });
+  assert.equal(deadLettered.status, 'dead');
+  assert.equal(deadLettered.nextAttemptAt, null);
+  assert.deepEqual(deadOutbox.list({ status: 'dead' }).map((d) => d.idempotencyKey), ['CA3:call_1']);
+  assert.ok(entries.some((e) => e.level === 'error' && e.idempotencyKey === 'CA3:call_1'));
+});
+
+test('an idempotency key is only delivered once, across a restart', async (t) => {
+  const stub = await startStubServer();
+  t.after(() => stub.close());
+  const filePath = tempFile(t);
+  const { log } = testLog();
+
+  const first = await createOutbox({ filePath, log }).send({ idempotencyKey: 'CA1:call_1', url: `${stub.url}/hook`, payload: { a: 1 } });
+  assert.equal(first.status, 'delivered');
+
+  const restarted = createOutbox({ filePath, log });
+  const again = await restarted.send({ idempotencyKey: 'CA1:call_1', url: `${stub.url}/hook`, payload: { a: 1 } });
+  assert.equal(again.id, first.id);
+  assert.equal(again.status, 'delivered');
+  assert.equal(stub.requests.length, 1);
+});
+
+test('sending a dead-lettered key again re-queues it instead of reporting the old record', async (t) => {
+  let hookStatus = 503;
+  const stub = await startStubServer({ 'POST /hook': () => ({ status: hookStatus }) });
+  t.after(() => stub.close());
+  const { log } = testLog();
+  const outbox = createOutbox({ filePath: tempFile(t), maxAttempts: 2, retryBaseMs: 60000, log });
+  const job = { idempotencyKey: 'CA1:call_1', url: `${stub.url}/hook`, payload: { a: 1 } };
+
+  const delivery = await outbox.send(job);
+  delivery.nextAttemptAt = new Date(0).toISOString();
+  await outbox.processDue();
+  assert.equal(delivery.status, 'dead');
+  assert.equal(deliveryStatus(delivery), 'failed');
+
+  // Still failing: it is pending again, with the retries it was promised.
+  const requeued = await outbox.send(job);
+  assert.equal(requeued.id, delivery.id);
+  assert.deepEqual([requeued.status, requeued.attempts], ['pending', 1]);
+  assert.equal(deliveryStatus(requeued), 'queued_for_retry');
+
+  hookStatus = 200;
+  requeued.nextAttemptAt = new Date(0).toISOString();
+  await outbox.processDue();
+  assert.equal(deliveryStatus(requeued), 'delivered');
+  assert.equal(stub.requests.length, 4);
+});
+
+test('the poller compacts the file while running, not only at load', async (t) => {
+  const stub = await startStubServer();
+  t.after(() => stub.close());
+  const filePath = tempFile(t);
+  const { log } = testLog();
+  const outbox = createOutbox({ filePath, pollMs: 10, compactMs: 0, log });
+
+  const sent = [];
+  for (let i = 0; i < 5; i += 1) {
+    sent.push(await outbox.send({ idempotencyKey: `CA1:call_${i}`, url: `${stub.url}/hook`, payload: { i } }));
+  }
+  const lineCount = () => fs.readFileSync(filePath, 'utf-8').trim().split('\n').length;
+  assert.equal(lineCount(), 10); // queued, then delivered
+  sent[0].deliveredAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+
+  outbox.start();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  outbox.stop();
+  assert.equal(lineCount(), 4);
+  assert.equal(outbox.get(sent[0].id), null);
+});
+
+test('loading compacts the file and drops old delivered entries', (t) => {
+  const filePath = tempFile(t);
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const delivery = (id, status, deliveredAt = null) => ({ id, idempotencyKey: id, status, deliveredAt, createdAt: daysAgo(30), attempts: 1 });
+  const lines = [
+    { op: 'put', delivery: delivery('old', 'pending') },
+    { op: 'put', delivery: delivery('old', 'delivered', daysAgo(8)) },
+    { op: 'put', delivery: delivery('recent', 'pending') },
+    { op: 'put', delivery: delivery('recent', 'delivered', daysAgo(1)) },
+    { op: 'put', delivery: delivery('dead', 'dead') },
+    { op: 'put', delivery: delivery('pending', 'pending') }
+  ];
+  fs.writeFileSync(filePath, `${lines.map((line) => JSON.stringify(line)).join('\n')}\nnot json\n`);
+  const { log, entries } = testLog();
+
+  const outbox = createOutbox({ filePath, log });
+  assert.deepEqual(outbox.list().map((d) => d.id).sort(), ['dead', 'pending', 'recent']);
+  assert.equal(outbox.get('old'), null);
+  const compacted = fs.readFileSync(filePath, 'utf-8').trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(compacted.map((line) => [line.delivery.id, line.delivery.status]), [['recent', 'delivered'], ['dead', 'dead'], ['pending', 'pending']]);
+  assert.ok(entries.some((e) => e.level === 'warn' && e.msg === 'Skipping corrupt outbox line'));
+});
+
+test('admin routes list and replay dead deliveries', async (t) => {
+  let hookStatus = 503;
+  const h = await startHarness({
+    env: { OUTBOX_MAX_ATTEMPTS: '1' },
+    routes: { 'POST /hooks/new-order': () => ({ status: hookStatus }) }
+  });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('response.create'); // greeting
+  for (const callId of ['call_1', 'call_2']) {
+    openai.send(functionCall('submit_new_intake', { first_name: 'Ann', job_city: 'Dallas', phone: '+15551230000' }, callId));
+    await openai.waitFor('conversation.item.create');
+  }
+  twilio.close();
+
+  assert.equal((await fetch(`${h.baseUrl}/admin/outbox`)).status, 401);
+  const { deliveries: dead } = await (await fetch(`${h.baseUrl}/admin/outbox`, admin)).json();
+  assert.deepEqual(dead.map((d) => [d.idempotencyKey, d.status, d.lastError]).sort(), [
+    ['CAtest:call_1', 'dead', 'HTTP 503'],
+    ['CAtest:call_2', 'dead', 'HTTP 503']
+  ]);
+
+  const replay = (suffix) => fetch(`${h.baseUrl}/admin/outbox${suffix}`, { method: 'POST', ...admin });
+  assert.equal((await replay('/nope/replay')).status, 404);
+
+  // Still failing: one attempt, then dead again.
+  const [first, second] = dead;
+  const { delivery: stillDead } = await (await replay(`/${first.id}/replay`)).json();
+  assert.deepEqual([stillDead.status, stillDead.attempts], ['dead', 1]);
+
+  hookStatus = 200;
+  const { delivery } = await (await replay(`/${first.id}/replay`)).json();
+  assert.equal(delivery.status, 'delivered');
+  const { deliveries: replayed } = await (await replay('/replay')).json();
+  assert.deepEqual(replayed.map((d) => [d.id, d.status]), [[second.id, 'delivered']]);
+
+  const { deliveries: remaining } = await (await fetch(`${h.baseUrl}/admin/outbox`, admin)).json();
+  assert.deepEqual(remaining, []);
+  const hooks = h.stub.requests.filter((r) => r.path === '/hooks/new-order');
+  assert.equal(hooks.length, 5);
+});
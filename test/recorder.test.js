@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { decodeMulaw } from '../src/audio.js';
+import { createCallRecorder } from '../src/recorder.js';
+import { createRecordingStore } from '../src/recordings.js';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+
+const log = { info() {}, error() {} };
+// `ms` of one mu-law byte value, base64-encoded like a Twilio/OpenAI payload.
+const audio = (byte, ms) => Buffer.alloc(ms * 8, byte).toString('base64');
+
+function channels(wav) {
+  const left = [];
+  const right = [];
+  for (let offset = 44; offset < wav.length; offset += 4) {
+    left.push(wav.readInt16LE(offset));
+    right.push(wav.readInt16LE(offset + 2));
+  }
+  return { left, right };
+}
+
+test('mu-law decodes to the G.711 reference values', () => {
+  assert.deepEqual([...decodeMulaw(Buffer.from([0xff, 0x7f, 0x00, 0x80, 0xf0]))], [0, 0, -32124, 32124, 120]);
+});
+
+test('both legs share one timeline with silence for gaps and barge-in clears', () => {
+  const recorder = createCallRecorder();
+  recorder.addInbound(audio(0x00, 10), 0);
+  recorder.addInbound(audio(0x00, 10), 20); // 10ms gap in the inbound stream
+  recorder.addOutbound(audio(0x80, 40)); // starts at "now" (30ms) and runs to 70ms
+  recorder.addInbound(audio(0x00, 10), 40);
+  recorder.clearOutbound(); // caller barged in at 50ms: 50-70ms was never played
+  recorder.addOutbound(audio(0x80, 10));
+
+  const wav = recorder.toWav();
+  assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(wav.readUInt16LE(22), 2);
+  assert.equal(wav.readUInt32LE(24), 8000);
+
+  const { left, right } = channels(wav);
+  const at = (ms) => ms * 8;
+  assert.equal(left[at(5)], -32124);
+  assert.equal(left[at(15)], 0);
+  assert.equal(left[at(25)], -32124);
+  assert.equal(right[at(25)], 0);
+  assert.equal(right[at(35)], 32124);
+  assert.equal(right[at(55)], 32124); // the post-barge-in reply, placed at 50ms
+  assert.equal(right.length, at(60));
+  assert.equal(right[at(59)], 32124);
+  assert.equal(recorder.durationMs(), 60);
+});
+
+test('the retention sweep deletes only recordings older than N days', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createRecordingStore({ dir, retentionDays: 30, log });
+
+  await store.save('CAold', Buffer.from('old'));
+  await store.save('CAnew', Buffer.from('new'));
+  const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+  fs.utimesSync(path.join(dir, 'CAold.wav'), old, old);
+
+  assert.equal(await store.sweep(), 1);
+  assert.equal(await store.load('CAold'), null);
+  assert.equal((await store.load('CAnew')).toString(), 'new');
+  assert.equal(await store.load('../etc/passwd'), null);
+});
+
+test('recorded calls can be downloaded by an admin', async (t) => {
+  const h = await startHarness({ env: { RECORD_CALLS: 'true' } });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+  twilio.media(audio(0x00, 20), 0);
+  twilio.media(audio(0x00, 20), 20);
+  await openai.waitFor('input_audio_buffer.append');
+  openai.send({ type: 'response.audio.delta', item_id: 'item_1', delta: audio(0x80, 20) });
+  await twilio.waitFor((m) => m.event === 'media');
+  twilio.stop();
+
+  const url = `${h.baseUrl}/calls/CAtest/recording`;
+  let res;
+  for (let i = 0; i < 20; i++) {
+    res = await fetch(url, { headers: { Authorization: 'Bearer admin-test' } });
+    if (res.status === 200) break;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'audio/wav');
+  const { left, right } = channels(Buffer.from(await res.arrayBuffer()));
+  // 40ms of caller audio, then the reply plays from 40ms to 60ms.
+  assert.equal(left.length, 60 * 8);
+  assert.equal(left[30 * 8], -32124);
+  assert.equal(right[30 * 8], 0);
+  assert.equal(right[50 * 8], 32124);
+
+  assert.equal((await fetch(url)).status, 401);
+  twilio.close();
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+import { createStreamToken } from '../src/twilioAuth.js';
+
+function functionCall(name, args, callId = 'call_1') {
+  return { type: 'response.function_call_arguments.done', name, call_id: callId, arguments: JSON.stringify(args) };
+}
+
+test('a dropped OpenAI session is reconnected and briefed on the call so far', async (t) => {
+  const h = await startHarness();
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const first = await h.openai.nextSession();
+  await first.waitFor('session.update');
+  first.send({ type: 'conversation.item.input_audio_transcription.completed', transcript: 'I need two lumpers in Dallas' });
+  first.send(functionCall('submit_new_intake', { first_name: 'Ann', job_city: 'Dallas' }));
+  await first.waitFor('conversation.item.create');
+  first.close();
+
+  const second = await h.openai.nextSession();
+  const config = await second.waitFor('session.update');
+  assert.match(config.session.instructions, /CALL IN PROGRESS/);
+  assert.match(config.session.instructions, /Caller: I need two lumpers in Dallas/);
+  assert.match(config.session.instructions, /job_city: Dallas/);
+  const resume = await second.waitFor('response.create');
+  assert.match(resume.response.instructions, /apologize/);
+  assert.doesNotMatch(resume.response.instructions, /Say exactly/);
+
+  twilio.media('AAAA');
+  assert.equal((await second.waitFor('input_audio_buffer.append')).audio, 'AAAA');
+  twilio.close();
+});
+
+test('when OpenAI stays down the call is redirected and the partial intake is flushed', async (t) => {
+  const h = await startHarness({
+    env: {
+      TWILIO_ACCOUNT_SID: 'ACtest',
+      TWILIO_AUTH_TOKEN: 'auth-test',
+      DISPATCHER_NUMBERS: '+15550001111',
+      OPENAI_RECONNECT_BUDGET_MS: '300'
+    }
+  });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000', token: createStreamToken('auth-test', 'CAtest', 60) });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+  openai.send(functionCall('submit_new_intake', { first_name: 'Ann', job_city: 'Dallas' }));
+  await openai.waitFor('conversation.item.create');
+  h.openai.refuse();
+  openai.close();
+
+  const redirect = await h.stub.waitFor((r) => r.path === '/2010-04-01/Accounts/ACtest/Calls/CAtest.json');
+  const twiml = new URLSearchParams(redirect.body).get('Twiml');
+  assert.match(twiml, /<Say>I&apos;m sorry/);
+  assert.match(twiml, /<Number>\+15550001111<\/Number>/);
+
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/new-order');
+  assert.equal(hook.body.incomplete, true);
+  assert.equal(hook.body.first_name, 'Ann');
+  assert.equal(hook.body.phone, '+15551230000');
+  assert.equal(hook.headers['idempotency-key'], 'CAtest:incomplete');
+
+  const record = await (await fetch(`${h.baseUrl}/calls/CAtest`, { headers: { Authorization: 'Bearer admin-test' } })).json();
+  assert.equal(record.endReason, 'openai_failed');
+  twilio.close();
+});
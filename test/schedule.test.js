@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { validateSchedule, scheduleModeAt, nextOpening, fillAfterHours } from '../src/schedule.js';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+
+const admin = { headers: { Authorization: 'Bearer admin-test' } };
+const weekdays = [['07:00', '19:00']];
+const CHICAGO = {
+  timezone: 'America/Chicago',
+  hours: { mon: weekdays, tue: weekdays, wed: weekdays, thu: weekdays, fri: weekdays, sat: [['08:00', '12:00']], sun: [] },
+  holidays: ['2025-12-25']
+};
+
+function writeSchedule(t, schedule) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'schedule.json');
+  fs.writeFileSync(filePath, JSON.stringify(schedule));
+  return filePath;
+}
+
+function voice(h, params) {
+  return fetch(`${h.baseUrl}/twilio/voice`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params).toString()
+  }).then((res) => res.text());
+}
+
+test('opening hours follow the local clock across DST changes and holidays', () => {
+  const schedule = validateSchedule(CHICAGO);
+  const at = (iso) => scheduleModeAt(schedule, new Date(iso));
+
+  assert.deepEqual(scheduleModeAt(null), { mode: 'open', reason: 'no_schedule', timezone: null, localTime: null, nextOpen: null });
+
+  // 12:30 UTC is 06:30 in winter (CST) but 07:30 in summer (CDT).
+  assert.deepEqual(at('2025-03-07T12:30:00Z'), {
+    mode: 'after_hours', reason: 'closed', timezone: 'America/Chicago', localTime: '2025-03-07 06:30', nextOpen: 'today at 7am'
+  });
+  assert.equal(at('2025-03-10T12:30:00Z').mode, 'open');
+  assert.equal(at('2025-03-10T12:30:00Z').reason, 'business_hours');
+  assert.equal(at('2025-11-03T12:30:00Z').mode, 'after_hours');
+  assert.equal(at('2025-11-03T13:00:00Z').mode, 'open');
+
+  // Windows end exclusive: 19:00 Friday is closed until Saturday morning.
+  assert.equal(at('2025-03-08T01:00:00Z').localTime, '2025-03-07 19:00');
+  assert.equal(at('2025-03-08T01:00:00Z').nextOpen, 'tomorrow at 8am');
+
+  const christmas = at('2025-12-25T15:00:00Z');
+  assert.deepEqual([christmas.mode, christmas.reason, christmas.nextOpen], ['after_hours', 'holiday', 'tomorrow at 7am']);
+
+  const voicemail = validateSchedule({ ...CHICAGO, afterHours: { mode: 'voicemail' } });
+  assert.equal(scheduleModeAt(voicemail, new Date('2025-03-07T12:30:00Z')).mode, 'voicemail');
+  assert.equal(scheduleModeAt(voicemail, new Date('2025-03-10T12:30:00Z')).mode, 'open');
+});
+
+test('the next opening is worded by calendar day in the office time zone', () => {
+  const schedule = validateSchedule({
+    ...CHICAGO,
+    hours: { ...CHICAGO.hours, tue: [['13:00', '17:00'], ['07:30', '11:00']] },
+    holidays: ['2025-12-26']
+  });
+  const next = (iso) => nextOpening(schedule, new Date(iso));
+
+  // Saturday 23:30 CST, the night clocks spring forward: Sunday is closed, so Monday.
+  assert.equal(next('2025-03-09T05:30:00Z'), 'Monday at 7am');
+  // Saturday 23:30 CDT, the night clocks fall back.
+  assert.equal(next('2025-11-02T04:30:00Z'), 'Monday at 7am');
+  assert.equal(next('2025-03-10T20:00:00Z'), 'tomorrow at 7:30am');
+  assert.equal(next('2025-03-11T17:00:00Z'), 'today at 1pm');
+  // Christmas Day evening: the 26th is a holiday too, then the Saturday hours.
+  assert.equal(next('2025-12-26T01:00:00Z'), 'Saturday at 8am');
+
+  assert.equal(nextOpening(validateSchedule({ timezone: 'America/Chicago', hours: {} }), new Date()), null);
+  assert.equal(fillAfterHours('Back {{next_open}}.', { nextOpen: null, tenant: {} }), 'Back as soon as the office opens.');
+});
+
+test('a bad schedule lists every problem', () => {
+  assert.throws(
+    () => validateSchedule({
+      timezone: 'Mars/Olympus',
+      hours: { mon: [['07:00', '06:00']], tue: [['7am', '5pm']] },
+      holidays: ['12/25/2025'],
+      afterHours: { mode: 'email' }
+    }),
+    (err) => {
+      assert.deepEqual(err.message.split('\n  ').slice(1), [
+        'invalid timezone: Mars/Olympus',
+        'hours.mon: bad window ["07:00","06:00"] (want ["HH:MM","HH:MM"], start before end)',
+        'hours.tue: bad window ["7am","5pm"] (want ["HH:MM","HH:MM"], start before end)',
+        'holidays: bad date 12/25/2025 (want YYYY-MM-DD)',
+        'afterHours.mode must be "ai" or "voicemail"'
+      ]);
+      return true;
+    }
+  );
+});
+
+test('GET /schedule/now reports the active mode', async (t) => {
+  const closed = await startHarness({ env: { SCHEDULE_PATH: writeSchedule(t, { timezone: 'America/Chicago', hours: {} }) } });
+  t.after(() => closed.close());
+  assert.equal((await fetch(`${closed.baseUrl}/schedule/now`)).status, 401);
+  const now = await (await fetch(`${closed.baseUrl}/schedule/now`, admin)).json();
+  assert.deepEqual([now.mode, now.reason, now.timezone, now.nextOpen], ['after_hours', 'closed', 'America/Chicago', null]);
+  assert.match(now.localTime, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/);
+
+  const open = await startHarness();
+  t.after(() => open.close());
+  assert.deepEqual(await (await fetch(`${open.baseUrl}/schedule/now`, admin)).json(), {
+    mode: 'open', reason: 'no_schedule', timezone: null, localTime: null, nextOpen: null
+  });
+});
+
+test('after hours, calls stream to the after-hours assistant or go to voicemail', async (t) => {
+  const ai = await startHarness({ env: { SCHEDULE_PATH: writeSchedule(t, { timezone: 'America/Chicago', hours: {} }) } });
+  t.after(() => ai.close());
+  const stream = await voice(ai, { CallSid: 'CAtest', From: '+15551230000', To: '+15550001111' });
+  assert.match(stream, /<Parameter name="mode" value="after_hours" \/>/);
+
+  const twilio = await connectFakeTwilio(ai.baseUrl);
+  twilio.start({ caller: '+15551230000', to: '+15550001111', mode: 'after_hours' });
+  const openai = await ai.openai.nextSession();
+  const { session } = await openai.waitFor('session.update');
+  assert.match(session.instructions, /AFTER HOURS: The dispatch office is CLOSED/);
+  const greeting = await openai.waitFor('response.create');
+  assert.match(greeting.response.instructions, /Our dispatch office is closed right now.*call you back as soon as the office opens/);
+  twilio.close();
+
+  const voicemailSchedule = { timezone: 'America/Chicago', hours: {}, afterHours: { mode: 'voicemail' } };
+  const vm = await startHarness({
+    env: { SCHEDULE_PATH: writeSchedule(t, voicemailSchedule), WEBHOOK_VOICEMAIL: `${ai.stub.url}/hooks/voicemail` }
+  });
+  t.after(() => vm.close());
+  const twiml = await voice(vm, { CallSid: 'CA2', From: '+15551230000', To: '+15550001111' });
+  assert.match(twiml, /<Say>Thanks for calling EZ Lumper Services\. Our office is closed\..*as soon as the office opens\.<\/Say>/);
+  assert.match(twiml, /<Record maxLength="120" playBeep="true" recordingStatusCallback="[^"]*\/twilio\/recording-status\?to=%2B15550001111" \/>/);
+  assert.doesNotMatch(twiml, /<Stream/);
+  assert.equal(vm.openai.sessions.length, 0);
+
+  const res = await fetch(`${vm.baseUrl}/twilio/recording-status?to=%2B15550001111`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      CallSid: 'CA2', RecordingSid: 'RE1', RecordingStatus: 'completed', RecordingUrl: 'https://api.twilio.com/RE1', RecordingDuration: '12'
+    }).toString()
+  });
+  assert.equal(res.status, 204);
+  const hook = await ai.stub.waitFor((r) => r.path === '/hooks/voicemail');
+  assert.deepEqual(hook.body, { type: 'voicemail', call_sid: 'CA2', recording_sid: 'RE1', recording_url: 'https://api.twilio.com/RE1', recording_duration: 12 });
+  assert.equal(hook.headers['idempotency-key'], 'recording:RE1');
+});
@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createSmsStore, smsBody, keywordOf, referenceFor } from '../src/sms.js';
+import { createStreamToken, computeTwilioSignature } from '../src/twilioAuth.js';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+
+const silentLog = { error() {}, warn() {}, info() {} };
+const MESSAGES_URL = '/2010-04-01/Accounts/ACtest/Messages.json';
+
+function functionCall(name, args, callId = 'call_1') {
+  return { type: 'response.function_call_arguments.done', name, call_id: callId, arguments: JSON.stringify(args) };
+}
+
+test('templates fill per language and drop lines with nothing to show', () => {
+  assert.equal(referenceFor('CA0123456789abcdef'), '89ABCDEF');
+  assert.equal(
+    smsBody('submit_new_intake', { brand: 'EZ', reference: 'AB12', location: 'Dallas, TX' }),
+    'EZ: we got your crew request, thank you.\nRef: AB12\nLocation: Dallas, TX\nNext: a dispatcher will call you shortly to confirm the details.\nReply STOP to opt out.'
+  );
+  assert.equal(
+    smsBody('report_existing_issue', { brand: 'EZ', reference: 'AB12' }, 'es'),
+    'EZ: su actualización fue enviada a despacho.\nRef: AB12\nSiguiente paso: despacho revisará sus notas y le llamará pronto.\nResponda STOP para no recibir más mensajes.'
+  );
+  assert.equal(keywordOf(' Stop. '), 'opt_out');
+  assert.equal(keywordOf('START'), 'opt_in');
+  assert.equal(keywordOf('Yes!'), null);
+  assert.equal(keywordOf('Yes!', { optedOut: true }), 'opt_in');
+  assert.equal(keywordOf('stop sending the crew'), null);
+});
+
+test('the SMS store honors opt-outs, tracks status and survives a restart', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'sms.jsonl');
+  const sent = [];
+  const twilio = {
+    async sendMessage(params) {
+      if (params.To === '+15559990000') throw Object.assign(new Error('unsubscribed'), { code: 21610 });
+      sent.push(params);
+      return { sid: `SM${sent.length}`, status: 'queued' };
+    }
+  };
+  const store = createSmsStore({ filePath, twilio, log: silentLog });
+
+  assert.deepEqual(await store.send({ from: '+15550001111', to: '(555) 123-0000', body: 'hi', callSid: 'CA1' }), { sent: true, sid: 'SM1', to: '+15551230000' });
+  assert.deepEqual(await store.send({ to: '12' }), { sent: false, error: 'invalid_number' });
+  assert.deepEqual(await store.send({ to: '+15559990000', body: 'hi' }), { sent: false, error: 'opted_out' });
+  assert.equal(store.isOptedOut('+15559990000'), true);
+
+  assert.equal(store.updateStatus('SM1', { status: 'delivered' }).status, 'delivered');
+  assert.equal(store.updateStatus('SM404', { status: 'delivered' }), null);
+  store.optOut('+15551230000', 'reply');
+  assert.deepEqual(await store.send({ to: '+15551230000', body: 'again' }), { sent: false, error: 'opted_out' });
+  assert.equal(sent.length, 1);
+
+  const reloaded = createSmsStore({ filePath, twilio, log: silentLog });
+  assert.deepEqual(reloaded.optOuts().sort(), ['+15551230000', '+15559990000']);
+  assert.equal(reloaded.lastMessageTo('5551230000').callSid, 'CA1');
+  reloaded.optIn('+15551230000');
+  assert.equal(reloaded.isOptedOut('+15551230000'), false);
+});
+
+test('intake confirmation text, send_sms, status callbacks and replies linked to the call', async (t) => {
+  let sid = 0;
+  const h = await startHarness({
+    env: { TWILIO_ACCOUNT_SID: 'ACtest', TWILIO_AUTH_TOKEN: 'auth-test', PUBLIC_BASE_URL: 'https://bridge.example.com', SMS_ENABLED: 'true' },
+    routes: { [`POST ${MESSAGES_URL}`]: () => ({ status: 201, body: { sid: `SM${++sid}`, status: 'queued' } }) }
+  });
+  t.after(() => h.close());
+  const twilioPost = (route, params) => fetch(`${h.baseUrl}${route}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': computeTwilioSignature('auth-test', `https://bridge.example.com${route}`, params)
+    },
+    body: new URLSearchParams(params).toString()
+  });
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000', to: '+15550001111', token: createStreamToken('auth-test', 'CAtest', 60) });
+  const openai = await h.openai.nextSession();
+  const config = await openai.waitFor('session.update');
+  assert.ok(config.session.tools.some((tool) => tool.name === 'send_sms'));
+  await openai.waitFor('response.create'); // greeting
+
+  openai.send(functionCall('submit_new_intake', { first_name: 'Ann', job_city: 'Dallas', job_state: 'TX', phone: '555-123-0000' }));
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/new-order');
+  assert.equal(hook.body.reference, 'CATEST');
+  const confirmation = new URLSearchParams((await h.stub.waitFor((r) => r.path === MESSAGES_URL)).body);
+  assert.equal(confirmation.get('To'), '+15551230000');
+  assert.equal(confirmation.get('From'), '+15550001111');
+  assert.match(confirmation.get('Body'), /we got your crew request, Ann\.\nRef: CATEST\nLocation: Dallas, TX/);
+  assert.equal(confirmation.get('StatusCallback'), 'https://bridge.example.com/twilio/sms-status');
+  assert.equal(JSON.parse((await openai.waitFor('conversation.item.create')).item.output).confirmation_sms, 'sent');
+  await openai.waitFor('response.create');
+
+  openai.send(functionCall('send_sms', { message: 'Dock 4, 1200 Main St', phone: '214 555 0100' }, 'call_2'));
+  const output = JSON.parse((await openai.waitFor('conversation.item.create')).item.output);
+  assert.deepEqual(output, { success: true, to: '+12145550100' });
+  const text = new URLSearchParams(h.stub.requests.filter((r) => r.path === MESSAGES_URL)[1].body);
+  assert.equal(text.get('Body'), 'EZ Lumper Services: Dock 4, 1200 Main St\nRef: CATEST\nReply STOP to opt out.');
+  twilio.stop();
+
+  assert.equal((await twilioPost('/twilio/sms-status', { AccountSid: 'ACbad', MessageSid: 'SM1' })).status, 403);
+  assert.equal((await twilioPost('/twilio/sms-status', { AccountSid: 'ACtest', MessageSid: 'SM1', MessageStatus: 'delivered' })).status, 204);
+
+  const reply = await twilioPost('/twilio/sms', { AccountSid: 'ACtest', MessageSid: 'SMin1', From: '+15551230000', To: '+15550001111', Body: 'Can the crew come at 3 instead?' });
+  assert.match(await reply.text(), /<Response>\n<\/Response>/);
+  const forwarded = await h.stub.waitFor((r) => r.path === '/hooks/existing-update');
+  assert.equal(forwarded.body.type, 'sms_reply');
+  assert.equal(forwarded.body.call_sid, 'CAtest');
+  assert.equal(forwarded.body.reference, 'CATEST');
+  assert.equal(forwarded.headers['idempotency-key'], 'sms:SMin1');
+  assert.equal(forwarded.body.keyword, null);
+
+  // "Yes" from a number that never opted out is an answer for dispatch, not an opt-in.
+  await twilioPost('/twilio/sms', { AccountSid: 'ACtest', MessageSid: 'SMyes', From: '+15551230000', To: '+15550001111', Body: 'Yes' });
+  const yes = await h.stub.waitFor((r) => r.path === '/hooks/existing-update' && r.body.message_sid === 'SMyes');
+  assert.deepEqual([yes.body.body, yes.body.keyword, yes.body.call_sid], ['Yes', null, 'CAtest']);
+
+  // After STOP, nothing more is texted to that number. Dispatch still sees the STOP.
+  await twilioPost('/twilio/sms', { AccountSid: 'ACtest', MessageSid: 'SMin2', From: '+15551230000', To: '+15550001111', Body: 'STOP' });
+  const stop = await h.stub.waitFor((r) => r.path === '/hooks/existing-update' && r.body.message_sid === 'SMin2');
+  assert.equal(stop.body.keyword, 'opt_out');
+  const record = await (await fetch(`${h.baseUrl}/calls/CAtest`, { headers: { Authorization: 'Bearer admin-test' } })).json();
+  assert.deepEqual(record.messages.map((m) => [m.sid, m.kind]), [['SM1', 'submit_new_intake'], ['SM2', 'message']]);
+  twilio.close();
+
+  const second = await connectFakeTwilio(h.baseUrl, { callSid: 'CAsecond' });
+  second.start({ caller: '+15551230000', to: '+15550001111', token: createStreamToken('auth-test', 'CAsecond', 60) });
+  const session = await h.openai.nextSession();
+  await session.waitFor('session.update');
+  await session.waitFor('response.create'); // greeting
+  session.send(functionCall('send_sms', { message: 'Hello' }));
+  assert.deepEqual(JSON.parse((await session.waitFor('conversation.item.create')).item.output), { success: false, error: 'opted_out' });
+  assert.match((await session.waitFor('response.create')).response.instructions, /opted out/);
+  second.close();
+
+  // Once opted out, "yes" opts back in.
+  await twilioPost('/twilio/sms', { AccountSid: 'ACtest', MessageSid: 'SMin3', From: '+15551230000', To: '+15550001111', Body: 'yes' });
+  const resubscribe = await h.stub.waitFor((r) => r.path === '/hooks/existing-update' && r.body.message_sid === 'SMin3');
+  assert.equal(resubscribe.body.keyword, 'opt_in');
+});
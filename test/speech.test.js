@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeMulaw, encodeMulaw, resample } from '../src/audio.js';
+import { validateSpeech } from '../src/speech.js';
+import { createStreamToken } from '../src/twilioAuth.js';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+
+const admin = { headers: { Authorization: 'Bearer admin-test' } };
+
+function functionCall(name, args, callId = 'call_1') {
+  return { type: 'response.function_call_arguments.done', name, call_id: callId, arguments: JSON.stringify(args) };
+}
+
+// 20ms Twilio frames: a 440Hz tone (the caller talking) or mu-law silence.
+function toneFrame() {
+  const pcm = new Int16Array(160);
+  for (let i = 0; i < pcm.length; i++) pcm[i] = Math.round(8000 * Math.sin((2 * Math.PI * 440 * i) / 8000));
+  return encodeMulaw(pcm).toString('base64');
+}
+const SILENT_FRAME = Buffer.alloc(160, 0xff).toString('base64');
+
+test('mu-law and resampling helpers keep speech intact', () => {
+  const pcm = new Int16Array([0, 1000, -1000, 20000, -20000]);
+  const back = decodeMulaw(encodeMulaw(pcm));
+  pcm.forEach((sample, i) => assert.ok(Math.abs(back[i] - sample) <= Math.abs(sample) * 0.04 + 8));
+  assert.equal(resample(new Int16Array(2400), 24000, 8000).length, 800);
+  assert.deepEqual([...resample(new Int16Array([0, 300, 600]), 8000, 16000)], [0, 150, 300, 450, 600, 600]);
+});
+
+test('the GA provider uses the GA session shape and event names', async (t) => {
+  const h = await startHarness({ env: { SPEECH_PROVIDER: 'openai-ga' } });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  assert.equal(openai.headers['openai-beta'], undefined);
+  const { session } = await openai.waitFor('session.update');
+  assert.equal(session.type, 'realtime');
+  assert.deepEqual(session.audio.input.format, { type: 'audio/pcmu' });
+  assert.equal(session.audio.input.turn_detection.type, 'server_vad');
+  assert.equal(session.audio.output.voice, 'ember');
+  assert.equal(session.temperature, undefined);
+  assert.ok(session.tools.some((tool) => tool.name === 'submit_new_intake'));
+  await openai.waitFor('response.create'); // greeting
+
+  openai.send({ type: 'response.created', response: { id: 'resp_1' } });
+  openai.send({ type: 'response.audio.delta', item_id: 'item_0', delta: 'AAAA' }); // beta name: not a GA event
+  openai.send({ type: 'response.output_audio.delta', item_id: 'item_1', delta: '//8=' });
+  openai.send({ type: 'response.output_audio_transcript.done', transcript: 'Thanks for calling EZ Lumper.' });
+  openai.send({ type: 'response.done', response: { id: 'resp_1' } });
+  assert.equal((await twilio.waitFor((m) => m.event === 'media')).media.payload, '//8=');
+
+  openai.send(functionCall('submit_new_intake', { first_name: 'Ann', job_city: 'Dallas', phone: '555-123-0000' }));
+  assert.equal(JSON.parse((await openai.waitFor('conversation.item.create')).item.output).success, true);
+  twilio.stop();
+
+  const record = await (await fetch(`${h.baseUrl}/calls/CAtest`, admin)).json();
+  assert.deepEqual(record.turns.map((turn) => [turn.speaker, turn.text]), [['assistant', 'Thanks for calling EZ Lumper.']]);
+  assert.deepEqual(twilio.received.filter((m) => m.event === 'media').map((m) => m.media.payload), ['//8=']);
+  twilio.close();
+});
+
+test('the cascaded provider runs speech-to-text, chat completions with tools, and text-to-speech', async (t) => {
+  const answers = [
+    { content: 'Thanks for calling EZ Lumper, this is Mike.' },
+    {
+      content: null,
+      tool_calls: [{
+        id: 'tc_1',
+        type: 'function',
+        function: { name: 'submit_new_intake', arguments: JSON.stringify({ first_name: 'Ann', job_city: 'Dallas', phone: '555-123-0000' }) }
+      }]
+    },
+    { content: 'Dispatch has been notified.' }
+  ];
+  let chats = 0;
+  const h = await startHarness({
+    env: { SPEECH_PROVIDER: 'cascaded', SPEECH_SILENCE_MS: '100', SPEECH_TTS_VOICE: 'coral' },
+    routes: {
+      'POST /v1/audio/transcriptions': () => ({ body: { text: 'I need a crew in Dallas.' } }),
+      'POST /v1/chat/completions': () => ({ body: { choices: [{ message: { role: 'assistant', ...answers[chats++] } }] } }),
+      // 100ms of 24kHz 16-bit PCM
+      'POST /v1/audio/speech': () => ({ raw: Buffer.alloc(4800) })
+    }
+  });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const greeting = await twilio.waitFor((m) => m.event === 'media');
+  assert.equal(Buffer.from(greeting.media.payload, 'base64').length, 800); // 100ms at 8kHz mu-law
+
+  const [firstChat] = h.stub.requests.filter((r) => r.path === '/v1/chat/completions');
+  assert.equal(firstChat.body.model, 'gpt-4o-mini');
+  assert.equal(firstChat.headers.authorization, 'Bearer sk-test');
+  assert.match(firstChat.body.messages[0].content, /Mike/);
+  assert.ok(firstChat.body.tools.some((tool) => tool.type === 'function' && tool.function.name === 'submit_new_intake'));
+  const speech = h.stub.requests.find((r) => r.path === '/v1/audio/speech');
+  assert.deepEqual(speech.body, { model: 'gpt-4o-mini-tts', voice: 'coral', input: 'Thanks for calling EZ Lumper, this is Mike.', response_format: 'pcm' });
+
+  // The caller talks for 240ms, then goes quiet.
+  for (let i = 0; i < 12; i++) twilio.media(toneFrame());
+  for (let i = 0; i < 6; i++) twilio.media(SILENT_FRAME);
+
+  const transcription = await h.stub.waitFor((r) => r.path === '/v1/audio/transcriptions');
+  assert.match(transcription.body, /name="model"\r\n\r\ngpt-4o-mini-transcribe/);
+  assert.match(transcription.body, /RIFF.{4}WAVE/s);
+  const hook = await h.stub.waitFor((r) => r.path === '/hooks/new-order');
+  assert.equal(hook.body.first_name, 'Ann');
+
+  const followUp = await h.stub.waitFor((r) => r.path === '/v1/chat/completions' && r.body.messages.some((m) => m.role === 'tool'));
+  const messages = followUp.body.messages;
+  assert.deepEqual(messages.slice(-4).map((m) => m.role), ['user', 'assistant', 'tool', 'system']);
+  assert.equal(messages.at(-4).content, 'I need a crew in Dallas.');
+  assert.equal(messages.at(-2).tool_call_id, 'tc_1');
+  assert.match(messages.at(-1).content, /Confirm dispatch has been notified/);
+
+  await twilio.waitFor((m) => m.event === 'media' && m !== greeting);
+  twilio.stop();
+  const record = await (await fetch(`${h.baseUrl}/calls/CAtest`, admin)).json();
+  assert.deepEqual(record.turns.map((turn) => [turn.speaker, turn.text]), [
+    ['assistant', 'Thanks for calling EZ Lumper, this is Mike.'],
+    ['caller', 'I need a crew in Dallas.'],
+    ['assistant', 'Dispatch has been notified.']
+  ]);
+  assert.deepEqual(record.toolCalls.map((toolCall) => toolCall.name), ['submit_new_intake']);
+  twilio.close();
+});
+
+test('the cascaded provider hands a transfer off once the handoff line has played', async (t) => {
+  const answers = [
+    { content: 'Thanks for calling EZ Lumper, this is Mike.' },
+    {
+      content: null,
+      tool_calls: [{
+        id: 'tc_1',
+        type: 'function',
+        function: { name: 'transfer_to_dispatcher', arguments: JSON.stringify({ reason: 'caller_request', summary: 'Ann wants a person.' }) }
+      }]
+    },
+    { content: "Okay, I'm connecting you with a dispatcher now." }
+  ];
+  let chats = 0;
+  const h = await startHarness({
+    env: {
+      SPEECH_PROVIDER: 'cascaded',
+      SPEECH_SILENCE_MS: '100',
+      TWILIO_ACCOUNT_SID: 'ACtest',
+      TWILIO_AUTH_TOKEN: 'auth-test',
+      DISPATCHER_NUMBERS: '+15550002222'
+    },
+    routes: {
+      'POST /v1/audio/transcriptions': () => ({ body: { text: 'Let me talk to a person.' } }),
+      'POST /v1/chat/completions': () => ({ body: { choices: [{ message: { role: 'assistant', ...answers[chats++] } }] } }),
+      'POST /v1/audio/speech': () => ({ raw: Buffer.alloc(4800) })
+    }
+  });
+  t.after(() => h.close());
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000', token: createStreamToken('auth-test', 'CAtest', 60) });
+  const greeting = await twilio.waitFor((m) => m.event === 'media');
+  for (let i = 0; i < 12; i++) twilio.media(toneFrame());
+  for (let i = 0; i < 6; i++) twilio.media(SILENT_FRAME);
+
+  const mark = await twilio.waitFor((m) => m.event === 'mark' && m.mark.name === 'handoff');
+  assert.ok(twilio.received.some((m) => m.event === 'media' && m !== greeting));
+  twilio.mark(mark.mark.name);
+  const redirect = await h.stub.waitFor((r) => r.path === '/2010-04-01/Accounts/ACtest/Calls/CAtest.json');
+  assert.match(new URLSearchParams(redirect.body).get('Twiml'), /<Number[^>]*>\+15550002222<\/Number>/);
+  twilio.close();
+});
+
+test('speech settings are validated per provider', () => {
+  assert.deepEqual(validateSpeech({ provider: 'openai-ga' }), []);
+  assert.deepEqual(validateSpeech({ provider: 'carrier-pigeon' }), ['speech.provider "carrier-pigeon" is not one of openai-beta, openai-ga, cascaded']);
+  assert.deepEqual(validateSpeech({ provider: 'cascaded', sttModel: 'whisper-1', chatModel: 'gpt-4o-mini' }), ['speech.ttsModel is required for the cascaded provider']);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+import { withTimeout } from './helpers/fakeOpenAI.js';
+
+async function connectSupervisor(baseUrl) {
+  const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/supervisor/ws`);
+  const received = [];
+  let listeners = [];
+  ws.on('message', (raw) => {
+    const msg = JSON.parse(raw.toString());
+    received.push(msg);
+    listeners = listeners.filter((listener) => !listener(msg));
+  });
+  const closed = new Promise((resolve) => ws.on('close', (code) => resolve(code)));
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  return {
+    send: (msg) => ws.send(JSON.stringify(msg)),
+    // Resolves with the next message (past ones are skipped once seen) matching `predicate`.
+    waitFor(predicate, timeoutMs = 2000) {
+      const index = received.findIndex(predicate);
+      if (index !== -1) return Promise.resolve(received.splice(index, 1)[0]);
+      return withTimeout(new Promise((resolve) => {
+        listeners.push((msg) => {
+          if (!predicate(msg)) return false;
+          received.splice(received.indexOf(msg), 1);
+          resolve(msg);
+          return true;
+        });
+      }), timeoutMs, 'supervisor message');
+    },
+    waitForClose: (timeoutMs = 2000) => withTimeout(closed, timeoutMs, 'supervisor socket close'),
+    close: () => ws.close()
+  };
+}
+
+test('supervisor socket rejects a bad token', async (t) => {
+  const h = await startHarness();
+  t.after(() => h.close());
+
+  const supervisor = await connectSupervisor(h.baseUrl);
+  supervisor.send({ type: 'auth', token: 'wrong' });
+  assert.equal(await supervisor.waitForClose(), 1008);
+
+  const page = await fetch(`${h.baseUrl}/supervisor`);
+  assert.match(page.headers.get('content-type'), /text\/html/);
+  assert.match(await page.text(), /\/supervisor\/ws/);
+});
+
+test('supervisor lists calls, follows the transcript and steers the assistant', async (t) => {
+  const h = await startHarness({ env: { SUPERVISOR_TOKEN: 'sup-test' } });
+  t.after(() => h.close());
+
+  const supervisor = await connectSupervisor(h.baseUrl);
+  supervisor.send({ type: 'auth', token: 'sup-test' });
+  assert.deepEqual((await supervisor.waitFor((m) => m.type === 'calls')).calls, []);
+
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000' });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('session.update');
+
+  const listed = await supervisor.waitFor((m) => m.type === 'calls' && m.calls.length === 1);
+  assert.equal(listed.calls[0].callSid, 'CAtest');
+  assert.equal(listed.calls[0].direction, 'inbound');
+
+  supervisor.send({ type: 'watch', callSid: 'CAtest' });
+  const watching = await supervisor.waitFor((m) => m.type === 'watching');
+  assert.equal(watching.record.caller, '+15551230000');
+
+  openai.send({ type: 'conversation.item.input_audio_transcription.completed', transcript: 'My truck broke down.' });
+  const turn = await supervisor.waitFor((m) => m.type === 'turn');
+  assert.deepEqual([turn.callSid, turn.speaker, turn.text], ['CAtest', 'caller', 'My truck broke down.']);
+
+  supervisor.send({ type: 'action', callSid: 'CAtest', action: 'inject', text: 'Offer a callback within the hour.' });
+  assert.equal((await supervisor.waitFor((m) => m.type === 'action_result' && m.action === 'inject')).ok, true);
+  const item = await openai.waitFor('conversation.item.create');
+  assert.equal(item.item.role, 'system');
+  assert.equal(item.item.content[0].text, 'Offer a callback within the hour.');
+
+  supervisor.send({ type: 'action', callSid: 'CAtest', action: 'say', text: 'A dispatcher will call you back shortly.' });
+  assert.equal((await supervisor.waitFor((m) => m.type === 'action_result' && m.action === 'say')).ok, true);
+  const responses = [];
+  for (;;) {
+    const response = await openai.waitFor('response.create');
+    responses.push(response);
+    if (/A dispatcher will call you back shortly/.test(response.response?.instructions || '')) break;
+  }
+  assert.match(responses.at(-1).response.instructions, /^Say exactly/);
+
+  supervisor.send({ type: 'action', callSid: 'CAtest', action: 'say', text: '  ' });
+  assert.equal((await supervisor.waitFor((m) => m.type === 'action_result')).error, 'text_required');
+  supervisor.send({ type: 'action', callSid: 'CAnope', action: 'hangup' });
+  assert.equal((await supervisor.waitFor((m) => m.type === 'action_result')).error, 'call_not_active');
+
+  twilio.stop();
+  twilio.close();
+  assert.equal((await supervisor.waitFor((m) => m.type === 'call_ended')).callSid, 'CAtest');
+  await supervisor.waitFor((m) => m.type === 'calls' && m.calls.length === 0);
+  supervisor.close();
+});
@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildTenants, createTenantRegistry } from '../src/tenants.js';
+import { validateSchedule, afterHoursFor, fillAfterHours } from '../src/schedule.js';
+import { startHarness } from './helpers/harness.js';
+
+const admin = { 'Content-Type': 'application/json', Authorization: 'Bearer admin-test' };
+const silentLog = { info() {}, error() {} };
+
+const envDefaults = {
+  brand: 'EZ Lumper Services',
+  personaName: 'Mike',
+  temperature: 0.6,
+  webhooks: { newOrder: 'https://hooks.example.com/new', existingUpdate: 'https://hooks.example.com/existing' },
+  languages: { default: 'en', supported: ['en'] },
+  keypad: { globalKeys: {} },
+  speech: { provider: 'openai-beta' },
+  limits: { maxCallSeconds: 1200, warnSeconds: 60, silenceSeconds: 30 },
+  afterHours: {},
+  tools: null,
+  dispatcherNumbers: ['+15550001111']
+};
+
+async function until(check, ms = 3000) {
+  const deadline = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('timed out');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+test('tenants inherit from default and env defaults, and env: values are read from the environment', () => {
+  process.env.TENANT_TEST_GHL_TOKEN = 'pit-houston';
+  const tenants = buildTenants({
+    default: { voice: 'ash' },
+    '+15555550100': { id: 'ez-houston', brand: 'EZ Lumper Houston', ghl: { token: 'env:TENANT_TEST_GHL_TOKEN' }, limits: { silenceSeconds: 20 } }
+  }, envDefaults);
+  delete process.env.TENANT_TEST_GHL_TOKEN;
+
+  const houston = tenants['+15555550100'];
+  assert.equal(houston.id, 'ez-houston');
+  assert.equal(houston.brand, 'EZ Lumper Houston');
+  assert.equal(houston.personaName, 'Mike');
+  assert.equal(houston.voice, 'ash');
+  assert.equal(houston.ghl.token, 'pit-houston');
+  assert.deepEqual(houston.limits, { maxCallSeconds: 1200, warnSeconds: 60, silenceSeconds: 20 });
+  assert.equal(tenants.default.id, 'default');
+  assert.equal(tenants.default.voice, 'ash');
+  assert.equal(buildTenants({ default: { brand: 'env:TENANT_TEST_UNSET' } }, envDefaults).default.brand, '');
+});
+
+test('a bad tenant config lists every problem', () => {
+  assert.throws(() => buildTenants({ houston: {} }, envDefaults), /key "houston" is not an E.164 number or "default"/);
+  assert.throws(
+    () => buildTenants({
+      '+15555550100': {
+        temperature: 2,
+        webhooks: { newOrder: '' },
+        tools: ['submit_new_intake', 'order_pizza'],
+        afterHours: { mode: 'voicemail', onCallNumbers: ['555-0100'] }
+      }
+    }, envDefaults, (id) => (id === 'default' ? [] : [`${id}: app check`])),
+    (err) => {
+      assert.deepEqual(err.message.split('\n  ').slice(1), [
+        '+15555550100: webhooks.newOrder is required',
+        '+15555550100: temperature must be a number between 0.6 and 1.2',
+        '+15555550100: afterHours.mode is set in the schedule, not per tenant',
+        '+15555550100: afterHours.onCallNumbers must be a list of E.164 numbers',
+        '+15555550100: unknown tool "order_pizza"',
+        '+15555550100: app check'
+      ]);
+      return true;
+    }
+  );
+});
+
+test('calls are routed by the dialed number and the file is hot-reloaded', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-'));
+  const filePath = path.join(dir, 'tenants.json');
+  const write = (config, mtime) => {
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    fs.utimesSync(filePath, mtime, mtime);
+  };
+  write({ '+15555550100': { brand: 'EZ Lumper Houston' } }, new Date(Date.now() - 60000));
+  const errors = [];
+  const registry = createTenantRegistry({ filePath, envDefaults, log: { ...silentLog, error: (...args) => errors.push(args) }, pollMs: 20 });
+  t.after(() => {
+    registry.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  assert.equal(registry.forNumber('+15555550100').brand, 'EZ Lumper Houston');
+  assert.equal(registry.forNumber('+15555550199').id, 'default');
+  assert.equal(registry.forNumber(undefined).id, 'default');
+
+  write({ '+15555550100': { brand: 'EZ Lumper Houston' }, '+15555550101': { brand: 'EZ Lumper Dallas' } }, new Date(Date.now() - 30000));
+  await until(() => registry.forNumber('+15555550101').brand === 'EZ Lumper Dallas');
+  assert.equal(registry.list().length, 3);
+
+  // A bad edit is logged and the previous config stays live.
+  write({ '+15555550101': { temperature: 5 } }, new Date());
+  await until(() => errors.length > 0);
+  assert.match(errors[0][0].err.message, /temperature must be a number/);
+  assert.equal(registry.forNumber('+15555550101').brand, 'EZ Lumper Dallas');
+});
+
+test('after-hours text is filled from the tenant, which can override it', () => {
+  const schedule = validateSchedule({ timezone: 'America/Chicago', hours: {}, afterHours: { onCallNumbers: ['+15550009999'] } });
+  const tenants = buildTenants({
+    '+15555550100': { brand: 'EZ Lumper Houston', personaName: 'Rosa' },
+    '+15555550101': { brand: 'EZ Lumper Dallas', afterHours: { voicemailMessage: 'Dallas is closed until {{next_open}}.', onCallNumbers: ['+15550008888'] } }
+  }, envDefaults);
+
+  const houston = tenants['+15555550100'];
+  assert.equal(
+    fillAfterHours(afterHoursFor(schedule, houston).voicemailMessage, { nextOpen: 'tomorrow at 7am', tenant: houston }),
+    'Thanks for calling EZ Lumper Houston. Our office is closed. Please leave your name, number, and load number after the tone and dispatch will call you back tomorrow at 7am.'
+  );
+  assert.deepEqual(afterHoursFor(schedule, houston).onCallNumbers, ['+15550009999']);
+
+  const dallas = tenants['+15555550101'];
+  assert.equal(fillAfterHours(afterHoursFor(schedule, dallas).voicemailMessage, { nextOpen: null, tenant: dallas }), 'Dallas is closed until as soon as the office opens.');
+  assert.deepEqual(afterHoursFor(schedule, dallas).onCallNumbers, ['+15550008888']);
+});
+
+test('the after-hours greeting uses the dialed tenant\'s brand and persona', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-'));
+  const schedulePath = path.join(dir, 'schedule.json');
+  const tenantsPath = path.join(dir, 'tenants.json');
+  fs.writeFileSync(schedulePath, JSON.stringify({ timezone: 'America/Chicago', hours: {} }));
+  fs.writeFileSync(tenantsPath, JSON.stringify({ '+15555550100': { brand: 'EZ Lumper Houston', personaName: 'Rosa' } }));
+  const h = await startHarness({ env: { SCHEDULE_PATH: schedulePath, TENANTS_PATH: tenantsPath } });
+  t.after(async () => {
+    await h.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const preview = (to) => fetch(`${h.baseUrl}/flows/preview`, { method: 'POST', headers: admin, body: JSON.stringify({ to, afterHours: true }) })
+    .then((res) => res.json());
+  const houston = await preview('+15555550100');
+  assert.match(houston.greeting, /^Thanks for calling EZ Lumper Houston, this is Rosa\. Our dispatch office is closed/);
+  assert.match(houston.instructions, /AFTER HOURS: The dispatch office is CLOSED/);
+  const other = await preview('+15555550199');
+  assert.match(other.greeting, /^Thanks for calling EZ Lumper Services, this is Mike\./);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStreamToken } from '../src/twilioAuth.js';
+import { startHarness } from './helpers/harness.js';
+import { connectFakeTwilio } from './helpers/fakeTwilio.js';
+
+const TWILIO = { TWILIO_ACCOUNT_SID: 'ACtest', TWILIO_AUTH_TOKEN: 'auth-test', DISPATCHER_NUMBERS: '+15550002222' };
+const REDIRECT = '/2010-04-01/Accounts/ACtest/Calls/CAtest.json';
+
+function functionCall(name, args, callId = 'call_1') {
+  return { type: 'response.function_call_arguments.done', name, call_id: callId, arguments: JSON.stringify(args) };
+}
+
+// Plays the handoff line: the response starts and finishes, and Twilio echoes
+// the 'handoff' mark once it has played.
+async function playHandoff(openai, twilio, responseId) {
+  openai.send({ type: 'response.created', response: { id: responseId } });
+  openai.send({ type: 'response.done', response: { id: responseId } });
+  const mark = await twilio.waitFor((m) => m.event === 'mark' && m.mark.name === 'handoff');
+  twilio.mark(mark.mark.name);
+}
+
+async function startCall(h, params = {}) {
+  const twilio = await connectFakeTwilio(h.baseUrl);
+  twilio.start({ caller: '+15551230000', token: createStreamToken('auth-test', 'CAtest', 60), ...params });
+  const openai = await h.openai.nextSession();
+  await openai.waitFor('response.create'); // greeting
+  return { twilio, openai };
+}
+
+test('after hours only urgent calls reach the on-call dispatcher', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transfer-'));
+  const schedulePath = path.join(dir, 'schedule.json');
+  fs.writeFileSync(schedulePath, JSON.stringify({ timezone: 'America/Chicago', hours: {}, afterHours: { onCallNumbers: ['+15550003333'] } }));
+  const h = await startHarness({ env: { ...TWILIO, SCHEDULE_PATH: schedulePath } });
+  t.after(async () => {
+    await h.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const { twilio, openai } = await startCall(h, { mode: 'after_hours' });
+  openai.send(functionCall('transfer_to_dispatcher', { reason: 'caller_request', summary: 'Ann wants a person.' }));
+  assert.deepEqual(JSON.parse((await openai.waitFor('conversation.item.create')).item.output), { success: false, error: 'after_hours_urgent_only' });
+  assert.match((await openai.waitFor('response.create')).response.instructions, /only urgent issues can go to the on-call dispatcher/);
+  assert.ok(!twilio.received.some((m) => m.event === 'mark'));
+
+  openai.send(functionCall('transfer_to_dispatcher', { reason: 'urgent', summary: 'Truck at the dock, no lumpers.' }, 'call_2'));
+  assert.deepEqual(JSON.parse((await openai.waitFor('conversation.item.create')).item.output), { success: true, transferring: true });
+  await openai.waitFor('response.create');
+  await playHandoff(openai, twilio, 'resp_handoff');
+
+  const redirect = await h.stub.waitFor((r) => r.path === REDIRECT);
+  const twiml = new URLSearchParams(redirect.body).get('Twiml');
+  assert.match(twiml, /<Number url="[^"]*\/twilio\/whisper\?summary=[^"]*">\+15550003333<\/Number>/);
+  assert.doesNotMatch(twiml, /\+15550002222/);
+  const whisper = new URL(twiml.match(/url="([^"]*)"/)[1].replaceAll('&amp;', '&')).searchParams.get('summary');
+  assert.equal(whisper, 'Transfer from Mike, urgent. caller +15551230000. Truck at the dock, no lumpers.');
+  assert.match(twiml, /action="[^"]*\/twilio\/dial-status\?lang=en"/);
+  twilio.close();
+});
+
+test('a failed redirect puts the caller back with the assistant, who can try again', async (t) => {
+  let redirectStatus = 500;
+  const h = await startHarness({ env: TWILIO, routes: { [`POST ${REDIRECT}`]: () => ({ status: redirectStatus }) } });
+  t.after(() => h.close());
+
+  const { twilio, openai } = await startCall(h);
+  openai.send(functionCall('transfer_to_dispatcher', { reason: 'caller_request', summary: 'Ann wants a person.' }));
+  await openai.waitFor('conversation.item.create');
+  await openai.waitFor('response.create');
+  await playHandoff(openai, twilio, 'resp_1');
+
+  const failed = await h.stub.waitFor((r) => r.path === REDIRECT);
+  assert.match((await openai.waitFor('response.create')).response.instructions, /The transfer did not go through/);
+  assert.equal(twilio.closed, null);
+
+  redirectStatus = 200;
+  openai.send(functionCall('transfer_to_dispatcher', { reason: 'caller_request', summary: 'Ann still wants a person.' }, 'call_2'));
+  assert.deepEqual(JSON.parse((await openai.waitFor('conversation.item.create')).item.output), { success: true, transferring: true });
+  await openai.waitFor('response.create');
+  twilio.received.length = 0; // so the first handoff mark isn't matched again
+  await playHandoff(openai, twilio, 'resp_2');
+  const retried = await h.stub.waitFor((r) => r.path === REDIRECT && r !== failed);
+  assert.match(new URLSearchParams(retried.body).get('Twiml'), /\+15550002222/);
+  twilio.close();
+});
+
+test('the whisper reads the summary to the dispatcher, and an unanswered dial goes to voicemail', async (t) => {
+  const h = await startHarness();
+  t.after(() => h.close());
+  const post = (pathAndQuery, params) => fetch(`${h.baseUrl}${pathAndQuery}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params).toString()
+  }).then((res) => res.text());
+
+  assert.match(
+    await post(`/twilio/whisper?summary=${encodeURIComponent('Transfer from Mike. Ann from Acme & Co.')}`, { CallSid: 'CA2' }),
+    /<Say>Transfer from Mike\. Ann from Acme &amp; Co\.<\/Say>/
+  );
+  assert.match(await post('/twilio/whisper', { CallSid: 'CA2' }), /<Say>Transfer from the AI receptionist\.<\/Say>/);
+
+  assert.match(await post('/twilio/dial-status', { CallSid: 'CAtest', DialCallStatus: 'completed' }), /<Hangup \/>/);
+  const english = await post('/twilio/dial-status', { CallSid: 'CAtest', DialCallStatus: 'no-answer', To: '+15550001111' });
+  assert.match(english, /<Say>Sorry, no dispatcher is available right now\./);
+  assert.match(english, /<Record maxLength="120" playBeep="true" recordingStatusCallback="[^"]*\/twilio\/recording-status\?to=%2B15550001111" \/>/);
+  const spanish = await post('/twilio/dial-status?lang=es', { CallSid: 'CAtest', DialCallStatus: 'busy' });
+  assert.match(spanish, /<Say language="es-MX">Lo sentimos, no hay un despachador disponible/);
+});
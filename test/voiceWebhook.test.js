@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+import { computeTwilioSignature, validateTwilioSignature } from '../src/twilioAuth.js';
+
+test('computes the signature from Twilio\'s documented example', () => {
+  const params = { CallSid: 'CA1234567890ABCDE', Caller: '+12349013030', Digits: '1234', From: '+12349013030', To: '+18005551212' };
+  const url = 'https://mycompany.com/myapp.php?foo=1&bar=2';
+  assert.equal(computeTwilioSignature('12345', url, params), '0/KCTR6DLpKmkAf8muzZqo1nDgQ=');
+  assert.ok(validateTwilioSignature({ authToken: '12345', signature: '0/KCTR6DLpKmkAf8muzZqo1nDgQ=', url, params }));
+});
+
+test('/twilio/voice requires a valid signature and escapes stream parameters', async (t) => {
+  const h = await startHarness({ env: { TWILIO_AUTH_TOKEN: 'auth-test', PUBLIC_BASE_URL: 'https://bridge.example.com' } });
+  t.after(() => h.close());
+
+  const params = { CallSid: 'CA1', From: '+1555<&>', To: '+15550001111' };
+  const post = (signature) => fetch(`${h.baseUrl}/twilio/voice`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature },
+    body: new URLSearchParams(params).toString()
+  });
+
+  assert.equal((await post('bogus')).status, 403);
+
+  const res = await post(computeTwilioSignature('auth-test', 'https://bridge.example.com/twilio/voice', params));
+  assert.equal(res.status, 200);
+  const xml = await res.text();
+  assert.match(xml, /<Stream url="wss:\/\/bridge\.example\.com\/twilio-media">/);
+  assert.match(xml, /<Parameter name="caller" value="\+1555&lt;&amp;&gt;" \/>/);
+  assert.match(xml, /<Parameter name="token" value="\d+\.[\w-]+" \/>/);
+});